@@ -1,9 +1,24 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import SearchBar from './components/SearchBar';
 import SolarPanelInfo from './components/SolarPanelInfo';
-import PdokMap from './components/PdokMap';
-import { loadSpreadsheetFromUrl } from './utils/spreadsheetReader';
-import { geocodeAddress } from './utils/geocoding';
+import PdokMap, { DEFAULT_PICK_RADIUS } from './components/PdokMap';
+import MatchCandidates from './components/MatchCandidates';
+import ValidationReport from './components/ValidationReport';
+import DatasetLoader from './components/DatasetLoader';
+import DatasetStatus from './components/DatasetStatus';
+import AreaSummary from './components/AreaSummary';
+import DatasetStatistics from './components/DatasetStatistics';
+import BatchLookup from './components/BatchLookup';
+import PrintableReport, { DISCLAIMER } from './components/PrintableReport';
+import PropertyDrawer from './components/PropertyDrawer';
+import PropertyComparison from './components/PropertyComparison';
+import { createDatasetClient } from './utils/datasetClient';
+import { locateRecord, reverseGeocode, getCachedLocations, isCityLevelResult } from './utils/geocoding';
+import { loadRecordOverlays } from './utils/buildingGeometry';
+import { needsDisambiguation, MATCH_REASONS } from './utils/addressMatcher';
+import { readUrlState, buildUrlSearch, describeLookup } from './utils/urlState';
+import { createPropertyStore, propertyId } from './utils/savedProperties';
+import { MAX_PINNED, nextPinColor } from './utils/comparison';
 import './App.css';
 
 // Default coordinates
@@ -16,217 +31,516 @@ function App() {
   const [coordinates, setCoordinates] = useState({ lat: DEFAULT_LAT, lon: DEFAULT_LON });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [spreadsheetData, setSpreadsheetData] = useState({});
+  const [datasetCount, setDatasetCount] = useState(0);
+  const [matchCandidates, setMatchCandidates] = useState([]);
+  const [currentMatch, setCurrentMatch] = useState(null);
+  const [geocodeResult, setGeocodeResult] = useState(null);
+  const [mapOverlays, setMapOverlays] = useState(null);
+  // Polygon drawn on the map ([lat, lon] corners) and the records inside it
+  const [area, setArea] = useState(null);
+  const [areaSelection, setAreaSelection] = useState(null);
+  // Boundary files for the choropleth layer ({name, join}), from the data source configuration
+  const [boundarySources, setBoundarySources] = useState([]);
+  const [validationReport, setValidationReport] = useState(null);
+  const [adminView, setAdminView] = useState(null); // null, 'report', 'loader', 'statistics' or 'batch'
+  const [datasetStatus, setDatasetStatus] = useState(null);
+  // Values of the printable report while it is open
+  const [printReport, setPrintReport] = useState(null);
+  // Shown search, calculation overrides and map view, kept in the URL (see utils/urlState)
+  const [urlLookup, setUrlLookup] = useState(() => readUrlState(window.location.search).lookup);
+  const [overrides, setOverrides] = useState(() => readUrlState(window.location.search).overrides);
+  const [mapView, setMapView] = useState(() => readUrlState(window.location.search).view);
+  // Search restored from the URL, for the search bar to show
+  const [restoredLookup, setRestoredLookup] = useState(null);
+  // Search history and saved properties on this device; the state mirrors the store's lists
+  const [propertyStore] = useState(() => createPropertyStore());
+  const [searchHistory, setSearchHistory] = useState(() => propertyStore.history());
+  const [savedProperties, setSavedProperties] = useState(() => propertyStore.saved());
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  // Properties pinned for comparison ({id, address, data, color, location}) and the assumptions
+  // set for all of them
+  const [pinnedProperties, setPinnedProperties] = useState([]);
+  const [comparisonAssumptions, setComparisonAssumptions] = useState({});
+  const datasetClientRef = useRef(null);
+  // Record whose map overlays are loading, so a slow BAG request can't draw over a newer match
+  const overlayRecordRef = useRef(null);
+  // How the next URL change is recorded: 'push' for a new search (a new history entry), else 'replace'
+  const historyModeRef = useRef('replace');
+  const urlRestoredRef = useRef(false);
+  const applyUrlStateRef = useRef(null);
 
-  // Load spreadsheet from Google Sheets on mount
+  // Load the configured data source(s) in the dataset worker on mount: serve the cached copy
+  // right away and refresh it in the background, and refresh again when the browser comes back online
   useEffect(() => {
-    const loadSpreadsheet = async () => {
+    const client = createDatasetClient();
+    datasetClientRef.current = client;
+    let active = true;
+
+    const applySummary = ({ count, report }) => {
+      setDatasetCount(count);
+      setValidationReport(report);
+    };
+
+    const handleProgress = (progress) => {
+      if (active) setDatasetStatus((status) => ({ ...status, refreshing: true, progress }));
+    };
+
+    const refresh = async () => {
       try {
-        // Load from Google Sheets
-        const googleSheetsUrl = 'https://docs.google.com/spreadsheets/d/10pxEZ3RvdQWfbILSCfv5elbAbmKAUKbZFWBKkOqhtIk/edit?usp=sharing';
-        const data = await loadSpreadsheetFromUrl(googleSheetsUrl);
-        setSpreadsheetData(data);
+        const result = await client.refresh(handleProgress);
+        if (!active) return;
+        if (result.changed) applySummary(result);
+        // A local file replaced the configured sources; keep showing it as such
+        if (result.localDataset) {
+          setDatasetStatus((status) => ({ ...status, refreshing: false, progress: null }));
+          return;
+        }
+        setDatasetStatus({ savedAt: result.savedAt, offline: result.offline, usedFallback: result.usedFallback });
       } catch (err) {
+        if (!active) return;
         console.error('Failed to load spreadsheet:', err);
         setError('Failed to load solar panel data. Please refresh the page.');
+        setDatasetStatus((status) => (status?.savedAt ? { ...status, refreshing: false, progress: null } : { failed: true }));
       }
     };
+
+    const loadSpreadsheet = async () => {
+      try {
+        const cached = await client.loadCached(handleProgress);
+        if (active && cached) {
+          applySummary(cached);
+          setDatasetStatus({ savedAt: cached.savedAt, refreshing: true });
+        }
+      } catch (err) {
+        console.error('Failed to read the cached dataset:', err);
+      }
+      await refresh();
+    };
+
+    const handleOnline = () => {
+      setDatasetStatus((status) => status && { ...status, refreshing: true });
+      refresh();
+    };
+
     loadSpreadsheet();
+    client.boundarySources()
+      .then((sources) => {
+        if (active) setBoundarySources(sources);
+      })
+      .catch((err) => console.error('Failed to read the boundary configuration:', err));
+    // Back/forward: show the search of that history entry
+    const handlePopState = () => applyUrlStateRef.current(readUrlState(window.location.search));
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      active = false;
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('popstate', handlePopState);
+      client.terminate();
+      datasetClientRef.current = null;
+    };
   }, []);
 
-  const handleSearch = async (searchAddress) => {
+  // Suggestions come from the worker's trigram index; a new callback re-runs open suggestions
+  // when the dataset changes
+  const handleSuggest = useCallback(
+    (query) => datasetClientRef.current?.suggest(query) ?? [],
+    [datasetCount, validationReport]
+  );
+
+  // Select the records inside the drawn area, again whenever the dataset changes
+  useEffect(() => {
+    setAreaSelection(null);
+    if (!area) return;
+
+    let cancelled = false;
+    datasetClientRef.current.selectArea(area, getCachedLocations())
+      .then((selection) => {
+        if (!cancelled) setAreaSelection(selection);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError('Failed to select the area: ' + err.message);
+        setArea(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [area, datasetCount, validationReport]);
+
+  // Clusters for the map overview; a new function per dataset makes the map reload them
+  const loadClusters = useCallback(
+    (bounds, zoom, metric) => datasetClientRef.current.clusters(bounds, zoom, metric, getCachedLocations()),
+    [datasetCount, validationReport]
+  );
+
+  // Choropleth layer: boundaries only change with the configuration, statistics with the dataset
+  const loadBoundaries = useCallback((source) => datasetClientRef.current.boundaries(source), []);
+  const loadChoropleth = useCallback(
+    (source) => datasetClientRef.current.choropleth(source, getCachedLocations()),
+    [datasetCount, validationReport]
+  );
+
+  // Show a matched dataset entry: locate it, then set data and coordinates together
+  const showMatch = async (match, searchAddress) => {
+    const { data } = match;
+    // Always use the original address from spreadsheet for display and geocoding
+    // This ensures correct spelling and full address (with city, zip, country) is shown
+    const record = { ...data, originalAddress: data.originalAddress || match.key || searchAddress };
+
+    // Footprint and panel polygons load alongside; the marker doesn't wait for the BAG
+    overlayRecordRef.current = record;
+    setMapOverlays(null);
+    loadRecordOverlays(record).then((overlays) => {
+      if (overlayRecordRef.current === record) setMapOverlays(overlays);
+    });
+
+    // Locate first (dataset coordinates, else geocoding), then set both data and coordinates together to prevent double zoom
+    try {
+      const location = await locateRecord(record);
+      // Set coordinates and data together to prevent intermediate map updates
+      setCoordinates({ lat: location.lat, lon: location.lon });
+      setGeocodeResult(location);
+      setSolarPanelData(data);
+      setCurrentMatch(match);
+      setError(null); // Clear any previous errors
+    } catch (geocodeErr) {
+      console.warn('Geocoding failed, but continuing with solar panel data:', geocodeErr);
+      // Set data even if geocoding fails, but don't update coordinates
+      setGeocodeResult(null);
+      setSolarPanelData(data);
+      setCurrentMatch(match);
+      setError(null);
+      // Keep default coordinates or previous coordinates
+    }
+  };
+
+  // Run a lookup against the loaded dataset, handling the shared loading and error state.
+  // Returns the ranked candidate list; the best one is only shown when it is unambiguous.
+  const runLookup = async (searchLabel, findMatches, notFoundMessage = 'The address is not available in this dataset.') => {
     setLoading(true);
     setError(null);
-    setAddress(searchAddress);
+    setAddress(searchLabel);
     setSolarPanelData(null);
+    setCurrentMatch(null);
+    setGeocodeResult(null);
+    setMatchCandidates([]);
+    overlayRecordRef.current = null;
+    setMapOverlays(null);
 
     // Check if data is loaded
-    if (Object.keys(spreadsheetData).length === 0) {
+    if (datasetCount === 0) {
       setError('Solar panel data is still loading. Please wait a moment and try again.');
       setLoading(false);
-      return;
+      return [];
     }
 
     // Look up solar panel data (this is the main functionality)
     try {
-      // Helper function to normalize address (remove punctuation, extra spaces, lowercase)
-      const normalizeAddress = (addr) => {
-        return addr
-          .replace(/^["']|["']$/g, '') // Remove quotes
-          .toLowerCase()
-          .replace(/[.,;:]/g, ' ') // Replace punctuation with spaces
-          .replace(/\s+/g, ' ') // Normalize spaces
-          .trim();
-      };
-
-      // Helper function to extract street name and number from address
-      const extractStreetAndNumber = (addr) => {
-        const normalized = normalizeAddress(addr);
-        // Try to match: street name + number (with optional letter suffix like "23a")
-        const match = normalized.match(/([a-z\s]+?)\s+(\d+[a-z]*)/);
-        if (match) {
-          return {
-            street: match[1].trim().replace(/\s+/g, ' '),
-            number: match[2].toLowerCase()
-          };
-        }
-        // Fallback: try to find number anywhere
-        const numberMatch = normalized.match(/(\d+[a-z]*)/);
-        if (numberMatch) {
-          const number = numberMatch[1].toLowerCase();
-          const street = normalized.replace(number, '').trim();
-          return { street, number };
-        }
-        return { street: normalized, number: '' };
-      };
-
-      // Helper function for fuzzy string matching (Levenshtein distance approximation)
-      const calculateSimilarity = (str1, str2) => {
-        if (str1 === str2) return 1.0;
-        if (str1.length === 0 || str2.length === 0) return 0.0;
-        
-        // Check if one contains the other
-        if (str1.includes(str2) || str2.includes(str1)) {
-          return Math.min(str1.length, str2.length) / Math.max(str1.length, str2.length);
-        }
-        
-        // Calculate Levenshtein-like similarity
-        const longer = str1.length > str2.length ? str1 : str2;
-        const shorter = str1.length > str2.length ? str2 : str1;
-        
-        // Simple character-based similarity
-        let matches = 0;
-        const shorterChars = shorter.split('');
-        const longerChars = longer.split('');
-        
-        for (let i = 0; i < shorterChars.length; i++) {
-          if (shorterChars[i] === longerChars[i] || longerChars.includes(shorterChars[i])) {
-            matches++;
-          }
-        }
-        
-        // Also check for common substrings
-        let commonSubstring = 0;
-        for (let i = 0; i < shorter.length - 2; i++) {
-          const substr = shorter.substring(i, i + 3);
-          if (longer.includes(substr)) commonSubstring++;
-        }
-        
-        const similarity = (matches / longer.length) * 0.7 + (commonSubstring / Math.max(shorter.length - 2, 1)) * 0.3;
-        return similarity;
-      };
-
-      // Normalize search address
-      let normalizedSearchAddress = normalizeAddress(searchAddress);
-      
-      // Try exact match first
-      let data = spreadsheetData[normalizedSearchAddress];
-      let matchedKey = normalizedSearchAddress;
-      
-      // If no exact match, try matching by street name and number
-      if (!data) {
-        const searchParts = extractStreetAndNumber(searchAddress);
-        
-        // Find best match by comparing street name and number
-        let bestMatch = null;
-        let bestScore = 0;
-        
-        for (const [key, value] of Object.entries(spreadsheetData)) {
-          const keyParts = extractStreetAndNumber(value.originalAddress || key);
-          
-          // Must match number if both have numbers
-          if (searchParts.number && keyParts.number) {
-            if (searchParts.number !== keyParts.number) {
-              continue; // Skip if numbers don't match
-            }
-          }
-          
-          // Calculate similarity for street names
-          const streetSimilarity = calculateSimilarity(searchParts.street, keyParts.street);
-          
-          // Prefer matches where search address is contained in full address
-          const containsMatch = key.includes(searchParts.street) && 
-                                (!searchParts.number || key.includes(searchParts.number));
-          
-          const score = containsMatch ? 0.9 : streetSimilarity;
-          
-          if (score > bestScore && score > 0.6) { // Minimum threshold of 60% similarity
-            bestScore = score;
-            bestMatch = key;
-            data = value;
-          }
-        }
-        
-        if (bestMatch) {
-          matchedKey = bestMatch;
-        }
-      }
-      
-      // If still no match, try partial string matching as last resort
-      if (!data) {
-        const matchingKey = Object.keys(spreadsheetData).find(key => {
-          const searchParts = extractStreetAndNumber(searchAddress);
-          const keyParts = extractStreetAndNumber(key);
-          
-          // Check if street name is similar and number matches
-          if (searchParts.number && keyParts.number && searchParts.number === keyParts.number) {
-            const similarity = calculateSimilarity(searchParts.street, keyParts.street);
-            return similarity > 0.5;
-          }
-          
-          // Fallback: check if search is contained in key or vice versa
-          return key.includes(normalizedSearchAddress) || normalizedSearchAddress.includes(key);
-        });
-        
-        if (matchingKey) {
-          data = spreadsheetData[matchingKey];
-          matchedKey = matchingKey;
-        }
-      }
+      const candidates = await findMatches();
 
-      if (data) {
-        // Always use the original address from spreadsheet for display and geocoding
-        // This ensures correct spelling and full address (with city, zip, country) is shown
-        const addressToGeocode = data.originalAddress || matchedKey || searchAddress;
-        
-        // Geocode first, then set both data and coordinates together to prevent double zoom
-        try {
-          const coords = await geocodeAddress(addressToGeocode);
-          // Set coordinates and data together to prevent intermediate map updates
-          setCoordinates(coords);
-          setSolarPanelData(data);
-          setError(null); // Clear any previous errors
-        } catch (geocodeErr) {
-          console.warn('Geocoding failed, but continuing with solar panel data:', geocodeErr);
-          // Set data even if geocoding fails, but don't update coordinates
-          setSolarPanelData(data);
-          setError(null);
-          // Keep default coordinates or previous coordinates
-        }
-      } else {
-        setError('The address is not available in this dataset.');
-        console.log('Searched for:', normalizedSearchAddress);
-        console.log('Total addresses loaded:', Object.keys(spreadsheetData).length);
-        console.log('Sample addresses:', Object.keys(spreadsheetData).slice(0, 5));
+      if (candidates.length === 0) {
+        setError(notFoundMessage);
+        console.log('Searched for:', searchLabel);
+        console.log('Total addresses loaded:', datasetCount);
         // Don't update coordinates - keep map as is
+      } else if (needsDisambiguation(candidates)) {
+        // Let the user pick instead of showing a possibly wrong house
+        setMatchCandidates(candidates);
+      } else {
+        await showMatch(candidates[0], searchLabel);
       }
+      return candidates;
     } catch (err) {
       setError('Failed to process address: ' + err.message);
       console.error(err);
+      return [];
     } finally {
       setLoading(false);
     }
   };
 
+  // Clear the shown result, e.g. when going back to before the first search
+  const clearLookup = () => {
+    setAddress('');
+    setError(null);
+    setSolarPanelData(null);
+    setCurrentMatch(null);
+    setGeocodeResult(null);
+    setMatchCandidates([]);
+    overlayRecordRef.current = null;
+    setMapOverlays(null);
+  };
+
+  // Record a search started by the user as a new history entry, with the record's own
+  // assumptions and the default zoom
+  const trackLookup = (lookup) => {
+    propertyStore.addToHistory(lookup);
+    setSearchHistory(propertyStore.history());
+    historyModeRef.current = 'push';
+    setUrlLookup(lookup);
+    setOverrides({});
+    setMapView((view) => ({ ...view, zoom: null }));
+  };
+
+  const handleSelectCandidate = async (candidate) => {
+    setLoading(true);
+    setMatchCandidates([]);
+    // A link to this result opens the chosen address directly instead of the list
+    historyModeRef.current = 'replace';
+    setUrlLookup({ type: 'address', query: candidate.data.originalAddress || candidate.key });
+    try {
+      await showMatch(candidate, address);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const lookupAddress = (searchAddress) => {
+    // Rank dataset entries against the searched address
+    return runLookup(searchAddress, () => datasetClientRef.current.search(searchAddress));
+  };
+
+  const lookupPostcode = (lookup) => {
+    // Match postcode, house number and addition exactly
+    return runLookup(describeLookup({ type: 'postcode', ...lookup }), () => datasetClientRef.current.postcodeSearch(lookup));
+  };
+
+  // A point picked on the map: the nearest located record within the radius, else the
+  // dataset matches for the address found there by reverse geocoding
+  const lookupPick = (lat, lon, radiusMeters) => {
+    return runLookup(describeLookup({ type: 'pick', lat, lon }), async () => {
+      const nearest = await datasetClientRef.current.nearest(lat, lon, radiusMeters, getCachedLocations());
+      if (nearest) {
+        return [{ ...nearest, score: 1, reason: MATCH_REASONS.NEAREST }];
+      }
+      const place = await reverseGeocode(lat, lon);
+      if (!place) return [];
+      const candidates = await datasetClientRef.current.search(place.displayName);
+      return candidates.map((candidate) => ({ ...candidate, distance: place.distance }));
+    }, `No dataset record within ${radiusMeters} m of this point, and the address there is not in the dataset.`);
+  };
+
+  // Run the lookup described by URL state
+  const performLookup = (lookup) => {
+    switch (lookup.type) {
+      case 'postcode':
+        return lookupPostcode(lookup);
+      case 'pick':
+        return lookupPick(lookup.lat, lookup.lon, lookup.radius || DEFAULT_PICK_RADIUS);
+      default:
+        return lookupAddress(lookup.query);
+    }
+  };
+
+  const handleSearch = (searchAddress) => {
+    trackLookup({ type: 'address', query: searchAddress });
+    return lookupAddress(searchAddress);
+  };
+
+  const handlePostcodeSearch = (lookup) => {
+    trackLookup({ type: 'postcode', ...lookup });
+    return lookupPostcode(lookup);
+  };
+
+  // An address clicked on the map overview is shown like an exact search result
+  const handleSelectMapPoint = (key, label) => {
+    trackLookup({ type: 'address', query: label });
+    return runLookup(label, async () => {
+      const data = await datasetClientRef.current.getRecord(key);
+      return data ? [{ key, data, score: 1, reason: MATCH_REASONS.EXACT }] : [];
+    });
+  };
+
+  const handlePickLocation = (lat, lon, radiusMeters) => {
+    trackLookup({ type: 'pick', lat, lon, radius: radiusMeters });
+    return lookupPick(lat, lon, radiusMeters);
+  };
+
+  // Reopen a saved property, earlier search or pinned property, with the property's overrides
+  const handleOpenProperty = (lookup, savedOverrides = {}) => {
+    trackLookup(lookup);
+    setOverrides(savedOverrides);
+    setRestoredLookup(lookup);
+    setDrawerOpen(false);
+    performLookup(lookup);
+  };
+
+  // Save the shown property with the values and assumptions from the info panel
+  const handleSaveProperty = (values) => {
+    const { address: savedAddress, panels, kwp, annualOutput, confidence, kwhPerKwpPerYear, availabilityFactor, avgPanelOutput } = values;
+    propertyStore.saveProperty({
+      address: savedAddress,
+      panels,
+      kwp,
+      annualOutput,
+      confidence,
+      kwhPerKwpPerYear,
+      availabilityFactor,
+      avgPanelOutput,
+      overrides
+    });
+    setSavedProperties(propertyStore.saved());
+  };
+
+  const handleUpdateNotes = (id, notes) => {
+    propertyStore.updateProperty(id, { notes });
+    setSavedProperties(propertyStore.saved());
+  };
+
+  const handleRemoveProperty = (id) => {
+    propertyStore.removeProperty(id);
+    setSavedProperties(propertyStore.saved());
+  };
+
+  const handleClearHistory = () => {
+    propertyStore.clearHistory();
+    setSearchHistory(propertyStore.history());
+  };
+
+  const closeDrawer = useCallback(() => setDrawerOpen(false), []);
+
+  const shownPropertyId = solarPanelData ? propertyId(solarPanelData.originalAddress || address) : null;
+
+  // Pin the shown property for comparison, or unpin it
+  const handleTogglePin = () => {
+    setPinnedProperties((pinned) => {
+      if (pinned.some((pin) => pin.id === shownPropertyId)) {
+        return pinned.filter((pin) => pin.id !== shownPropertyId);
+      }
+      if (pinned.length >= MAX_PINNED) return pinned;
+      return [...pinned, {
+        id: shownPropertyId,
+        address: solarPanelData.originalAddress || address,
+        data: solarPanelData,
+        color: nextPinColor(pinned),
+        // Only where the map shows the property itself
+        location: geocodeResult && !isCityLevelResult(geocodeResult) ? { ...coordinates } : null
+      }];
+    });
+  };
+
+  const handleUnpin = (id) => setPinnedProperties((pinned) => pinned.filter((pin) => pin.id !== id));
+
+  const clearPins = () => {
+    setPinnedProperties([]);
+    setComparisonAssumptions({});
+  };
+
+  // Show the state of a shared link or history entry: its search, overrides and map view
+  const applyUrlState = (state) => {
+    historyModeRef.current = 'replace';
+    setUrlLookup(state.lookup);
+    setOverrides(state.overrides);
+    setMapView(state.view);
+    setRestoredLookup(state.lookup);
+    if (state.lookup) {
+      performLookup(state.lookup);
+    } else {
+      clearLookup();
+    }
+  };
+  applyUrlStateRef.current = applyUrlState;
+
+  // Keep the URL in step with the shown search, overrides and map view
+  useEffect(() => {
+    const search = buildUrlSearch({ lookup: urlLookup, overrides, view: mapView });
+    const mode = historyModeRef.current;
+    historyModeRef.current = 'replace';
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (mode === 'push') {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [urlLookup, overrides, mapView]);
+
+  // Open the search of a shared link once the dataset is loaded
+  useEffect(() => {
+    if (datasetCount === 0 || urlRestoredRef.current) return;
+    urlRestoredRef.current = true;
+    applyUrlState(readUrlState(window.location.search));
+  }, [datasetCount]);
+
+  // Open the printable report of the shown property with the values from the info panel
+  const handleExportReport = (values) => {
+    setPrintReport({
+      ...values,
+      // Without a location of this property the coordinates are the previous property's or the default ones
+      coordinates: geocodeResult && !isCityLevelResult(geocodeResult) ? coordinates : null,
+      approximateLocation: isCityLevelResult(geocodeResult),
+      dataTimestamp: datasetStatus?.savedAt ?? null,
+      sourceName: validationReport?.sourceName ?? null,
+      generatedAt: Date.now()
+    });
+  };
+
+  const closePrintReport = useCallback(() => setPrintReport(null), []);
+
+  // A local file replaced or was merged into the dataset in the worker
+  const handleDatasetApplied = ({ count, report }) => {
+    setDatasetCount(count);
+    setValidationReport(report);
+    setDatasetStatus({ savedAt: null });
+    setMatchCandidates([]);
+    setError(null);
+    setAdminView(null);
+  };
+
   return (
     <div className="app">
       <header className="app-header">
         <div className="header-content">
           <div className="header-top">
             <h1 className="app-title">Solar Panel Finder</h1>
-            <a href="https://spenatlabs.com" target="_blank" rel="noopener noreferrer" className="spenat-logo">
-              Spenat Labs
-            </a>
+            <div className="header-actions">
+              <DatasetStatus status={datasetStatus} />
+              <button
+                type="button"
+                className="header-button"
+                onClick={() => setAdminView('loader')}
+              >
+                Load dataset
+              </button>
+              <button
+                type="button"
+                className="header-button"
+                onClick={() => setAdminView('report')}
+              >
+                Data quality
+                {validationReport && validationReport.issues.length > 0 && (
+                  <span className="header-badge">{validationReport.issues.length}</span>
+                )}
+              </button>
+              <button
+                type="button"
+                className="header-button"
+                onClick={() => setAdminView('statistics')}
+                disabled={datasetCount === 0}
+              >
+                Statistics
+              </button>
+              <button
+                type="button"
+                className="header-button"
+                onClick={() => setAdminView('batch')}
+                disabled={datasetCount === 0}
+              >
+                Batch lookup
+              </button>
+              <button
+                type="button"
+                className="header-button"
+                onClick={() => setDrawerOpen(true)}
+              >
+                Saved properties
+              </button>
+              <a href="https://spenatlabs.com" target="_blank" rel="noopener noreferrer" className="spenat-logo">
+                Spenat Labs
+              </a>
+            </div>
           </div>
           <p className="app-subtitle">Search for addresses and view solar panel data</p>
         </div>
@@ -234,33 +548,126 @@ function App() {
 
       <div className="main-container">
         <div className="search-section">
-          <SearchBar onSearch={handleSearch} loading={loading} />
+          <SearchBar
+            onSearch={handleSearch}
+            onPostcodeSearch={handlePostcodeSearch}
+            onSuggest={handleSuggest}
+            loading={loading}
+            restoredLookup={restoredLookup}
+          />
           {error && (
             <div className="error-message">
               {error}
             </div>
           )}
+          <MatchCandidates
+            candidates={matchCandidates}
+            searchedAddress={address}
+            onSelect={handleSelectCandidate}
+            onDismiss={() => setMatchCandidates([])}
+          />
         </div>
 
+        <PropertyComparison
+          pinned={pinnedProperties}
+          sharedAssumptions={comparisonAssumptions}
+          onSharedAssumptionsChange={setComparisonAssumptions}
+          onShow={(pin) => handleOpenProperty({ type: 'address', query: pin.address })}
+          onUnpin={handleUnpin}
+          onClear={clearPins}
+        />
+
         <div className="content-container">
           <div className="info-panel">
-            <SolarPanelInfo data={solarPanelData} address={solarPanelData?.originalAddress || address} loading={loading} />
+            <AreaSummary selection={areaSelection} loading={Boolean(area) && !areaSelection} onClear={() => setArea(null)} />
+            <SolarPanelInfo
+              data={solarPanelData}
+              address={solarPanelData?.originalAddress || address}
+              match={currentMatch}
+              location={geocodeResult}
+              searchedAddress={address}
+              loading={loading}
+              onExportReport={handleExportReport}
+              overrides={overrides}
+              onOverridesChange={setOverrides}
+              onSaveProperty={handleSaveProperty}
+              saved={savedProperties.some((property) => property.id === shownPropertyId)}
+              onTogglePin={handleTogglePin}
+              pinned={pinnedProperties.some((pin) => pin.id === shownPropertyId)}
+              pinDisabled={pinnedProperties.length >= MAX_PINNED}
+            />
           </div>
           <div className="map-panel">
-            <PdokMap address={solarPanelData?.originalAddress || address} coordinates={coordinates} />
+            <PdokMap
+              address={solarPanelData?.originalAddress || address}
+              coordinates={coordinates}
+              overlays={mapOverlays}
+              loadClusters={loadClusters}
+              boundarySources={boundarySources}
+              loadBoundaries={loadBoundaries}
+              loadChoropleth={loadChoropleth}
+              onSelectPoint={handleSelectMapPoint}
+              onPickLocation={handlePickLocation}
+              area={area}
+              onAreaChange={setArea}
+              baseLayer={mapView.baseLayer}
+              zoom={mapView.zoom}
+              onViewChange={setMapView}
+              pins={pinnedProperties}
+            />
           </div>
         </div>
       </div>
+      {adminView && (
+        <div className="admin-overlay" onClick={() => setAdminView(null)}>
+          <div className={`admin-panel admin-panel-${adminView}`} onClick={(e) => e.stopPropagation()}>
+            {adminView === 'report' ? (
+              <ValidationReport report={validationReport} onClose={() => setAdminView(null)} />
+            ) : adminView === 'batch' ? (
+              <BatchLookup
+                datasetClient={datasetClientRef.current}
+                datasetCount={datasetCount}
+                onClose={() => setAdminView(null)}
+              />
+            ) : adminView === 'statistics' ? (
+              <DatasetStatistics
+                datasetClient={datasetClientRef.current}
+                datasetCount={datasetCount}
+                onClose={() => setAdminView(null)}
+              />
+            ) : (
+              <DatasetLoader
+                datasetClient={datasetClientRef.current}
+                currentCount={datasetCount}
+                onApplied={handleDatasetApplied}
+                onClose={() => setAdminView(null)}
+              />
+            )}
+          </div>
+        </div>
+      )}
       <footer className="app-footer">
         <div className="footer-content">
           <p className="disclaimer">
             For API access and inquiries, please contact{' '}
             <a href="mailto:andrej@spenatlabs.com" className="footer-link">andrej@spenatlabs.com</a>.
             <br /><br />
-            Estimates are approximate and based on aerial or satellite imagery and other third-party information. No legal responsibility is assumed for accuracy or timeliness. Copyright © Spenat Labs Inc. All rights reserved.
+            {DISCLAIMER}
           </p>
         </div>
       </footer>
+      {drawerOpen && (
+        <PropertyDrawer
+          saved={savedProperties}
+          history={searchHistory}
+          onOpen={handleOpenProperty}
+          onUpdateNotes={handleUpdateNotes}
+          onRemove={handleRemoveProperty}
+          onClearHistory={handleClearHistory}
+          onClose={closeDrawer}
+        />
+      )}
+      {printReport && <PrintableReport report={printReport} onClose={closePrintReport} />}
     </div>
   );
 }
@@ -0,0 +1,71 @@
+import React from 'react';
+import { downloadFile } from '../utils/exportFile';
+import { selectionToCsv } from '../utils/areaSelection';
+import './AreaSummary.css';
+
+const formatNumber = (value, fractionDigits = 0) => value.toLocaleString(undefined, {
+  minimumFractionDigits: fractionDigits,
+  maximumFractionDigits: fractionDigits
+});
+
+const AreaSummary = ({ selection, loading, onClear }) => {
+  if (!selection && !loading) return null;
+
+  const handleExport = () => {
+    downloadFile(selectionToCsv(selection.rows), 'area-selection.csv');
+  };
+
+  return (
+    <div className="area-summary">
+      <div className="area-summary-header">
+        <h3>Selected area</h3>
+        <button type="button" className="area-summary-close" onClick={onClear} aria-label="Clear area">
+          ×
+        </button>
+      </div>
+      {loading || !selection ? (
+        <p className="area-summary-note">Selecting addresses...</p>
+      ) : (
+        <>
+          <dl className="area-summary-stats">
+            <div>
+              <dt>Addresses</dt>
+              <dd>{formatNumber(selection.summary.count)}</dd>
+            </div>
+            <div>
+              <dt>Panels</dt>
+              <dd>{formatNumber(selection.summary.totalPanels)}</dd>
+            </div>
+            <div>
+              <dt>Total kWp</dt>
+              <dd>{formatNumber(selection.summary.totalKwp, 2)}</dd>
+            </div>
+            <div>
+              <dt>Annual output</dt>
+              <dd>{formatNumber(selection.summary.totalAnnualOutput)} kWh</dd>
+            </div>
+            <div>
+              <dt>Mean confidence</dt>
+              <dd>{selection.summary.meanConfidence === null ? '–' : formatNumber(selection.summary.meanConfidence, 1)}</dd>
+            </div>
+          </dl>
+          {selection.unlocated > 0 && (
+            <p className="area-summary-note">
+              {formatNumber(selection.unlocated)} addresses without coordinates could not be included.
+            </p>
+          )}
+          <button
+            type="button"
+            className="area-summary-export"
+            onClick={handleExport}
+            disabled={selection.rows.length === 0}
+          >
+            Export CSV
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AreaSummary;
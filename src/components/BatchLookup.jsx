@@ -0,0 +1,146 @@
+import React, { useState, useRef } from 'react';
+import { BATCH_STATUS, BATCH_STATUS_LABELS } from '../utils/batchLookup';
+import { downloadFile } from '../utils/exportFile';
+import { formatProgress } from './DatasetStatus';
+import './BatchLookup.css';
+
+const ACCEPTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const isAcceptedFile = (file) => ACCEPTED_EXTENSIONS.some((extension) => file.name.toLowerCase().endsWith(extension));
+
+const resultFileName = (fileName) => `${fileName.replace(/\.[^.]+$/, '')}-results.xlsx`;
+
+// Matching runs in the dataset worker with the same matcher as the search bar
+// (see datasetService's batchLookup); this component uploads the list and offers the results
+const BatchLookup = ({ datasetClient, datasetCount, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const runLookup = async (selectedFile) => {
+    if (!selectedFile || running) return;
+    if (!isAcceptedFile(selectedFile)) {
+      setError(`Unsupported file type. Use ${ACCEPTED_EXTENSIONS.join(', ')}.`);
+      return;
+    }
+
+    setFile(selectedFile);
+    setResult(null);
+    setError(null);
+    setProgress(null);
+    setRunning(true);
+    try {
+      setResult(await datasetClient.batchLookup(selectedFile, setProgress));
+    } catch (err) {
+      console.error('Batch lookup failed:', err);
+      setError(`Failed to look up ${selectedFile.name}: ${err.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    runLookup(e.dataTransfer.files[0]);
+  };
+
+  const handleDownload = () => {
+    downloadFile(new Blob([result.xlsx], { type: XLSX_MIME_TYPE }), resultFileName(file.name));
+  };
+
+  const percent = progress?.total ? Math.floor((progress.loaded / progress.total) * 100) : 0;
+
+  return (
+    <div className="batch-lookup">
+      <div className="batch-lookup-header">
+        <h2 className="batch-lookup-title">Batch lookup</h2>
+        <button type="button" className="batch-lookup-close" onClick={onClose} aria-label="Close">×</button>
+      </div>
+
+      <p className="batch-lookup-help">
+        Upload a CSV or XLSX file with an address column, or postcode and house number columns.
+        Every row is matched against the dataset ({datasetCount.toLocaleString()} addresses) and the
+        results are added as extra columns.
+      </p>
+
+      <div
+        className={`batch-dropzone ${dragging ? 'dragging' : ''} ${running ? 'disabled' : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => !running && fileInputRef.current?.click()}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => {
+          if (!running && (e.key === 'Enter' || e.key === ' ')) fileInputRef.current?.click();
+        }}
+      >
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_EXTENSIONS.join(',')}
+          className="batch-file-input"
+          onChange={(e) => {
+            runLookup(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        {running
+          ? `${file.name}: ${progress ? formatProgress(progress) : 'Reading file...'}`
+          : <>Drop an address list here, or <span className="batch-dropzone-link">browse</span></>}
+      </div>
+
+      {running && (
+        <div
+          className="batch-progress"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={percent}
+        >
+          <div className="batch-progress-bar" style={{ width: `${percent}%` }} />
+        </div>
+      )}
+
+      {error && <div className="batch-lookup-error">{error}</div>}
+
+      {result && (
+        <div className="batch-summary">
+          <div className="batch-summary-file">
+            {file.name}: {result.rowCount.toLocaleString()} rows
+            {result.columns.address
+              ? ` matched by "${result.columns.address}"`
+              : ` matched by "${result.columns.postcode}" and "${result.columns.houseNumber}"`}
+          </div>
+          <div className="batch-summary-stats">
+            {Object.values(BATCH_STATUS).map((status) => (
+              <div key={status} className={`batch-summary-${status}`}>
+                <strong>{result.summary[status].toLocaleString()}</strong> {BATCH_STATUS_LABELS[status].toLowerCase()}
+              </div>
+            ))}
+          </div>
+          {result.summary[BATCH_STATUS.AMBIGUOUS] > 0 && (
+            <p className="batch-lookup-help">
+              Rows marked "Check match" have an uncertain or nearly tied best match; verify them before use.
+            </p>
+          )}
+          <button type="button" className="batch-button primary" onClick={handleDownload}>
+            Download results (XLSX)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchLookup;
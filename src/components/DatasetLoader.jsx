@@ -0,0 +1,162 @@
+import React, { useState, useRef } from 'react';
+import ValidationReport from './ValidationReport';
+import { formatProgress } from './DatasetStatus';
+import './DatasetLoader.css';
+
+const ACCEPTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+const isAcceptedFile = (file) => ACCEPTED_EXTENSIONS.some((extension) => file.name.toLowerCase().endsWith(extension));
+
+// Parsing and applying happen in the dataset worker; this component only shows the
+// summary of the pending file (see datasetService's parseFile/selectSheet/applyFile)
+const DatasetLoader = ({ datasetClient, currentCount, onApplied, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [dataset, setDataset] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [reading, setReading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [showReport, setShowReport] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Run a worker request with the shared reading/progress/error state
+  const runStep = async (step, failureMessage) => {
+    setReading(true);
+    setProgress(null);
+    setError(null);
+    try {
+      return await step();
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(`${failureMessage}: ${err.message}`);
+      return null;
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const loadFile = async (selectedFile) => {
+    if (!selectedFile) return;
+    if (!isAcceptedFile(selectedFile)) {
+      setError(`Unsupported file type. Use ${ACCEPTED_EXTENSIONS.join(', ')}.`);
+      return;
+    }
+
+    setDataset(null);
+    const result = await runStep(() => datasetClient.parseFile(selectedFile, setProgress), `Failed to read ${selectedFile.name}`);
+    if (result) {
+      setFile(selectedFile);
+      setDataset(result);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    loadFile(e.dataTransfer.files[0]);
+  };
+
+  const handleSheetChange = async (e) => {
+    const sheetName = e.target.value;
+    const result = await runStep(() => datasetClient.selectSheet(sheetName, setProgress), 'Failed to read sheet');
+    if (result) setDataset(result);
+  };
+
+  const handleApply = async (mode) => {
+    const result = await runStep(() => datasetClient.applyFile(mode, file.name, setProgress), 'Failed to apply dataset');
+    if (result) onApplied(result);
+  };
+
+  const recordCount = dataset ? dataset.recordCount : 0;
+
+  if (dataset && showReport) {
+    return (
+      <div className="dataset-loader-report">
+        <ValidationReport report={{ ...dataset.report, sourceName: file.name }} onClose={() => setShowReport(false)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="dataset-loader">
+      <div className="dataset-loader-header">
+        <h2 className="dataset-loader-title">Load dataset</h2>
+        <button type="button" className="dataset-loader-close" onClick={onClose} aria-label="Close">×</button>
+      </div>
+
+      <div
+        className={`dataset-dropzone ${dragging ? 'dragging' : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => fileInputRef.current?.click()}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ' ') fileInputRef.current?.click();
+        }}
+      >
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_EXTENSIONS.join(',')}
+          className="dataset-file-input"
+          onChange={(e) => {
+            loadFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        {reading
+          ? (progress ? formatProgress(progress) : 'Reading file...')
+          : <>Drop a CSV or XLSX file here, or <span className="dataset-dropzone-link">browse</span></>}
+      </div>
+
+      {error && <div className="dataset-loader-error">{error}</div>}
+
+      {dataset && (
+        <div className="dataset-summary">
+          <div className="dataset-summary-file">{file.name}</div>
+
+          {dataset.sheetNames.length > 1 && (
+            <label className="dataset-sheet-select">
+              Sheet
+              <select value={dataset.sheetName} onChange={handleSheetChange} disabled={reading}>
+                {dataset.sheetNames.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <div className="dataset-summary-stats">
+            <div><strong>{dataset.rowCount}</strong> rows</div>
+            <div><strong>{recordCount}</strong> addresses</div>
+            <div className={dataset.report.issues.length > 0 ? 'dataset-summary-warning' : 'dataset-summary-ok'}>
+              <strong>{dataset.report.issues.length}</strong> validation issues
+            </div>
+          </div>
+
+          {dataset.report.issues.length > 0 && (
+            <button type="button" className="dataset-link-button" onClick={() => setShowReport(true)}>
+              View validation report
+            </button>
+          )}
+
+          <div className="dataset-loader-actions">
+            <button type="button" className="dataset-button primary" onClick={() => handleApply('replace')} disabled={reading || recordCount === 0}>
+              Replace current dataset
+            </button>
+            <button type="button" className="dataset-button" onClick={() => handleApply('merge')} disabled={reading || recordCount === 0 || currentCount === 0}>
+              Merge into current ({currentCount} addresses)
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetLoader;
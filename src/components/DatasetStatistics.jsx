@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { GROUP_BY, GROUP_BY_LABELS, CONFIDENCE_BUCKETS, aggregationToCsv } from '../utils/aggregation';
+import { CLUSTER_METRICS, UNKNOWN_METRIC_CLASS } from '../utils/pointClusters';
+import { downloadFile } from '../utils/exportFile';
+import './DatasetStatistics.css';
+
+// Maximum number of groups rendered in the table (the CSV export always has all of them)
+const MAX_VISIBLE_GROUPS = 500;
+
+const BUCKET_COLORS = [...CLUSTER_METRICS.confidence.classes.map(({ color }) => color), UNKNOWN_METRIC_CLASS.color];
+
+// Sortable numeric columns: [group field, header]
+const COLUMNS = [
+  ['count', 'Addresses'],
+  ['totalPanels', 'Panels'],
+  ['medianPanels', 'Median panels'],
+  ['totalKwp', 'kWp'],
+  ['totalAnnualOutput', 'Annual kWh'],
+  ['adoptionRate', 'Adoption']
+];
+
+const formatNumber = (value, fractionDigits = 0) => value.toLocaleString(undefined, {
+  minimumFractionDigits: fractionDigits,
+  maximumFractionDigits: fractionDigits
+});
+
+const formatCell = (field, value) => {
+  if (value === null) return '–';
+  if (field === 'adoptionRate') return `${formatNumber(value * 100, 1)}%`;
+  if (field === 'totalKwp') return formatNumber(value, 1);
+  return formatNumber(value, field === 'medianPanels' && !Number.isInteger(value) ? 1 : 0);
+};
+
+const DatasetStatistics = ({ datasetClient, datasetCount, onClose }) => {
+  const [groupBy, setGroupBy] = useState(GROUP_BY.PC4);
+  const [sortField, setSortField] = useState('count');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setResult(null);
+    setError(null);
+    datasetClient.aggregate(groupBy)
+      .then((aggregation) => {
+        if (!cancelled) setResult(aggregation);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [datasetClient, groupBy, datasetCount]);
+
+  const columns = COLUMNS.filter(([field]) => field !== 'adoptionRate' || result?.hasBuildings);
+  const groups = result
+    ? [...result.groups].sort((a, b) => (b[sortField] ?? -1) - (a[sortField] ?? -1))
+    : [];
+
+  const handleExport = () => {
+    downloadFile(aggregationToCsv(groups, groupBy), `statistics-${groupBy}.csv`);
+  };
+
+  return (
+    <div className="dataset-statistics">
+      <div className="dataset-statistics-header">
+        <h2 className="dataset-statistics-title">Statistics</h2>
+        <div className="dataset-statistics-actions">
+          <select
+            className="dataset-statistics-select"
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            aria-label="Group by"
+          >
+            {Object.values(GROUP_BY).map((value) => (
+              <option key={value} value={value}>By {GROUP_BY_LABELS[value].toLowerCase()}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="dataset-statistics-button"
+            onClick={handleExport}
+            disabled={groups.length === 0}
+          >
+            Export CSV
+          </button>
+          <button type="button" className="dataset-statistics-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+      </div>
+
+      {error && <p className="dataset-statistics-note">Failed to compute the statistics: {error}</p>}
+      {!result && !error && <p className="dataset-statistics-note">Computing statistics...</p>}
+
+      {result && (
+        <>
+          <p className="dataset-statistics-note">
+            {formatNumber(result.groups.length)} areas
+            {result.ungrouped > 0 && (
+              <>
+                {' '}· {formatNumber(result.ungrouped)} addresses without{' '}
+                {groupBy === GROUP_BY.MUNICIPALITY ? 'a municipality' : groupBy === GROUP_BY.CITY ? 'a city' : 'a postcode'} are not included
+              </>
+            )}
+            {!result.hasBuildings && ' · Adoption rates need a "Total buildings" count per area of this size or smaller'}
+          </p>
+
+          {groups.length > 0 && (
+            <div className="dataset-statistics-table-wrapper">
+              <table className="dataset-statistics-table">
+                <thead>
+                  <tr>
+                    <th>{GROUP_BY_LABELS[groupBy]}</th>
+                    {columns.map(([field, header]) => (
+                      <th key={field} className="numeric">
+                        <button
+                          type="button"
+                          className={`dataset-statistics-sort ${sortField === field ? 'active' : ''}`}
+                          onClick={() => setSortField(field)}
+                        >
+                          {header}
+                        </button>
+                      </th>
+                    ))}
+                    <th>Confidence</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {groups.slice(0, MAX_VISIBLE_GROUPS).map((group) => (
+                    <tr key={group.key}>
+                      <td>{group.key}</td>
+                      {columns.map(([field]) => (
+                        <td key={field} className="numeric">{formatCell(field, group[field])}</td>
+                      ))}
+                      <td>
+                        <div
+                          className="confidence-bar"
+                          title={CONFIDENCE_BUCKETS.map((bucket) => `${bucket}: ${group.confidence[bucket]}`).join(', ')}
+                        >
+                          {CONFIDENCE_BUCKETS.map((bucket, index) => (
+                            <span
+                              key={bucket}
+                              style={{ flexGrow: group.confidence[bucket], background: BUCKET_COLORS[index] }}
+                            />
+                          ))}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {groups.length > MAX_VISIBLE_GROUPS && (
+                <p className="dataset-statistics-note">
+                  Showing the first {MAX_VISIBLE_GROUPS} of {groups.length} areas. Export the CSV to see all of them.
+                </p>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DatasetStatistics;
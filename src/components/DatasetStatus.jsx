@@ -0,0 +1,73 @@
+import React from 'react';
+import './DatasetStatus.css';
+
+const STAGE_LABELS = {
+  download: 'Downloading',
+  parse: 'Parsing',
+  records: 'Reading rows',
+  index: 'Indexing',
+  lookup: 'Looking up'
+};
+
+/**
+ * Formats a dataset progress update, e.g. "Reading rows 42%" or "Downloading 3.1 MB"
+ * @param {{stage: string, loaded?: number, total?: number}} progress - Progress update from the dataset worker
+ * @returns {string}
+ */
+export const formatProgress = ({ stage, loaded, total }) => {
+  const label = STAGE_LABELS[stage] || 'Loading';
+  if (total) {
+    return `${label} ${Math.floor((loaded / total) * 100)}%`;
+  }
+  if (stage === 'download' && loaded) {
+    return `${label} ${(loaded / 1e6).toFixed(1)} MB`;
+  }
+  return `${label}...`;
+};
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString('nl-NL', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const DatasetStatus = ({ status }) => {
+  if (status?.failed) {
+    return (
+      <div className="dataset-status">
+        <span className="dataset-status-dot error" />
+        No data
+      </div>
+    );
+  }
+
+  if (!status?.savedAt && (!status || status.refreshing)) {
+    return (
+      <div className="dataset-status">
+        {status?.progress ? formatProgress(status.progress) : 'Loading data...'}
+      </div>
+    );
+  }
+
+  const { savedAt, refreshing, progress, offline, usedFallback } = status;
+
+  let state = null;
+  if (refreshing) {
+    state = <span className="dataset-status-state refreshing">{progress ? formatProgress(progress) : 'updating...'}</span>;
+  } else if (offline) {
+    state = <span className="dataset-status-state warning" title="The data sources could not be reached">offline copy</span>;
+  } else if (usedFallback) {
+    state = <span className="dataset-status-state warning" title="The data sources could not be reached">sample data</span>;
+  }
+
+  return (
+    <div className="dataset-status" title={savedAt ? new Date(savedAt).toLocaleString() : undefined}>
+      <span className={`dataset-status-dot ${offline || usedFallback ? 'warning' : ''}`} />
+      {savedAt ? `Data from ${formatTimestamp(savedAt)}` : 'Local data'}
+      {state}
+    </div>
+  );
+};
+
+export default DatasetStatus;
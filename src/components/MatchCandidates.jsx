@@ -0,0 +1,35 @@
+import React from 'react';
+import './MatchCandidates.css';
+
+const formatScore = (score) => `${Math.round(score * 100)}%`;
+
+const MatchCandidates = ({ candidates, searchedAddress, onSelect, onDismiss }) => {
+  if (!candidates || candidates.length === 0) return null;
+
+  return (
+    <div className="match-candidates">
+      <div className="match-candidates-header">
+        <span>
+          No exact match for <strong>{searchedAddress}</strong>. Did you mean:
+        </span>
+        {onDismiss && (
+          <button type="button" className="match-candidates-dismiss" onClick={onDismiss} aria-label="Dismiss suggestions">
+            ×
+          </button>
+        )}
+      </div>
+      <ul className="match-candidates-list">
+        {candidates.map((candidate) => (
+          <li key={candidate.key}>
+            <button type="button" className="match-candidate" onClick={() => onSelect(candidate)}>
+              <span className="match-candidate-address">{candidate.data.originalAddress || candidate.key}</span>
+              <span className="match-candidate-score">{formatScore(candidate.score)} match</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default MatchCandidates;
@@ -1,7 +1,10 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './PdokMap.css';
+import { CLUSTER_METRICS, UNKNOWN_METRIC_CLASS, DEFAULT_MAX_CLUSTER_ZOOM, metricClass } from '../utils/pointClusters';
+import { CHOROPLETH_METRICS, NO_DATA_COLOR, quantileBreaks, choroplethColor } from '../utils/areaBoundaries';
+import { BASE_LAYERS, DEFAULT_BASE_LAYER } from '../utils/urlState';
 
 // Fix for default marker icons in Leaflet with Vite
 import icon from 'leaflet/dist/images/marker-icon.png';
@@ -18,11 +21,132 @@ const DefaultIcon = L.icon({
 
 L.Marker.prototype.options.icon = DefaultIcon;
 
-const PdokMap = ({ address, coordinates }) => {
+// Outline the building and fill the detected panels so both stay readable on aerial imagery
+const FOOTPRINT_STYLE = { color: '#ffd54f', weight: 2, fillOpacity: 0.08 };
+const PANELS_STYLE = { color: '#4fc3f7', weight: 1, fillColor: '#4fc3f7', fillOpacity: 0.35 };
+
+// Area drawn to select records, and the outline shown while drawing
+const AREA_STYLE = { color: '#f472b6', weight: 2, fillColor: '#f472b6', fillOpacity: 0.12 };
+const DRAFT_STYLE = { ...AREA_STYLE, dashArray: '6 4', fillOpacity: 0.06 };
+
+const DRAW_HINTS = {
+  polygon: 'Click to add corners; double-click or click the first corner to finish. Esc cancels.',
+  rectangle: 'Drag to draw a rectangle. Esc cancels.'
+};
+
+// Pixels within which a click on the first corner closes the polygon
+const CLOSE_POLYGON_DISTANCE = 10;
+
+// Search radii offered when picking a location on the map
+const PICK_RADIUS_OPTIONS = [25, 50, 100, 250];
+export const DEFAULT_PICK_RADIUS = 50;
+
+// Choropleth areas: translucent so the aerial photo stays visible, outlined on hover
+const CHOROPLETH_STYLE = { color: '#ffffff', weight: 1, opacity: 0.7, fillOpacity: 0.55 };
+const CHOROPLETH_HOVER_STYLE = { weight: 3, opacity: 1 };
+
+// Legend of the choropleth classes: below the first break, between breaks, from the last break
+const choroplethLegend = (breaks, format) => {
+  if (breaks.length === 0) return [];
+  return [
+    { color: choroplethColor(-Infinity, breaks), label: `< ${format(breaks[0])}` },
+    ...breaks.map((limit, index) => ({
+      color: choroplethColor(limit, breaks),
+      label: index < breaks.length - 1 ? `${format(limit)} – ${format(breaks[index + 1])}` : `≥ ${format(limit)}`
+    }))
+  ];
+};
+
+// Tooltip of a choropleth area or pinned property; built from DOM nodes since names come from data files
+const createAreaTooltip = (title, lines) => {
+  const element = document.createElement('div');
+  const heading = document.createElement('strong');
+  heading.textContent = title;
+  element.append(heading, ...lines.map((line) => {
+    const row = document.createElement('div');
+    row.textContent = line;
+    return row;
+  }));
+  return element;
+};
+
+// Marker of a property pinned for comparison, in the property's colour
+const createPinIcon = (color) => L.divIcon({
+  className: 'comparison-pin',
+  html: `<span style="background:${color}"></span>`,
+  iconSize: [24, 24],
+  // The rotated square's corner sits below the icon's centre
+  iconAnchor: [12, 26]
+});
+
+// Overview cluster marker: a circle sized by the number of addresses it holds
+const createClusterIcon = (count, color) => {
+  const size = Math.round(28 + 8 * Math.log10(count));
+  return L.divIcon({
+    className: 'overview-cluster',
+    html: `<span style="background:${color};width:${size}px;height:${size}px;line-height:${size}px">${count}</span>`,
+    iconSize: [size, size]
+  });
+};
+
+const PdokMap = ({
+  address,
+  coordinates,
+  overlays,
+  loadClusters,
+  boundarySources = [],
+  loadBoundaries,
+  loadChoropleth,
+  onSelectPoint,
+  onPickLocation,
+  area,
+  onAreaChange,
+  baseLayer,
+  zoom,
+  onViewChange,
+  pins = []
+}) => {
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const markerRef = useRef(null);
   const previousCoordinatesRef = useRef(null);
+  const footprintLayerRef = useRef(null);
+  const panelsLayerRef = useRef(null);
+  const overviewLayerRef = useRef(null);
+  // Canvas renderer for single-address markers, which can number in the thousands at high zoom
+  const overviewRendererRef = useRef(null);
+  // Latest click handler, so a new handler on every parent render doesn't reload the clusters
+  const onSelectPointRef = useRef(onSelectPoint);
+  onSelectPointRef.current = onSelectPoint;
+  const onPickLocationRef = useRef(onPickLocation);
+  onPickLocationRef.current = onPickLocation;
+  // Circle showing the search radius around the last picked point
+  const pickCircleRef = useRef(null);
+  const areaLayerRef = useRef(null);
+  const onAreaChangeRef = useRef(onAreaChange);
+  onAreaChangeRef.current = onAreaChange;
+  const choroplethLayerRef = useRef(null);
+  const pinsLayerRef = useRef(null);
+  // Base layers by their BASE_LAYERS key
+  const baseLayersRef = useRef(null);
+  // Requested zoom level (e.g. from a shared link); null zooms in to the shown address
+  const zoomRef = useRef(zoom);
+  zoomRef.current = zoom;
+  const onViewChangeRef = useRef(onViewChange);
+  onViewChangeRef.current = onViewChange;
+
+  const [overviewEnabled, setOverviewEnabled] = useState(false);
+  const [overviewMetric, setOverviewMetric] = useState('panels');
+  const [overviewTotal, setOverviewTotal] = useState(null);
+  const [pickEnabled, setPickEnabled] = useState(false);
+  const [pickRadius, setPickRadius] = useState(DEFAULT_PICK_RADIUS);
+  // 'polygon' or 'rectangle' while the user draws an area
+  const [drawMode, setDrawMode] = useState(null);
+  const [choroplethEnabled, setChoroplethEnabled] = useState(false);
+  const [choroplethSource, setChoroplethSource] = useState(0);
+  const [choroplethMetric, setChoroplethMetric] = useState('totalKwp');
+  // {items, message} for the legend once the layer is drawn
+  const [choroplethLegendState, setChoroplethLegendState] = useState(null);
 
   useEffect(() => {
     if (!coordinates) return;
@@ -55,7 +179,7 @@ const PdokMap = ({ address, coordinates }) => {
         const map = L.map(mapRef.current, {
           maxZoom: 25, // Allow maximum zoom
           zoomControl: true
-        }).setView([lat, lon], address ? 19 : 17); // Zoom level: 19 for address search, 17 for default view
+        }).setView([lat, lon], zoomRef.current ?? (address ? 19 : 17)); // Zoom level: 19 for address search, 17 for default view
 
       // Add PDOK base layer (BGT - Basisregistratie Grootschalige Topografie)
       // PDOK provides WMS services, using BGT as base layer
@@ -102,19 +226,40 @@ const PdokMap = ({ address, coordinates }) => {
       pdokAerialHRLayer.addTo(map);
       
       // Add base layers (satellite is default, but user can switch)
-      const baseMaps = {
-        'Satellite HR (10cm - Best Quality)': pdokAerialHRLayer,
-        'Satellite (25cm)': pdokAerialLayer,
-        'OpenStreetMap': osmLayer
-      };
+      baseLayersRef.current = { hr: pdokAerialHRLayer, aerial: pdokAerialLayer, osm: osmLayer };
+      const baseMaps = Object.fromEntries(
+        Object.entries(BASE_LAYERS).map(([key, name]) => [name, baseLayersRef.current[key]])
+      );
+
+      // GeoJSON overlays for the selected building, drawn above the base layer and filled by the overlays effect
+      const footprintLayer = L.geoJSON(null, { style: FOOTPRINT_STYLE }).addTo(map);
+      const panelsLayer = L.geoJSON(null, { style: PANELS_STYLE }).addTo(map);
+      footprintLayerRef.current = footprintLayer;
+      panelsLayerRef.current = panelsLayer;
+      // Choropleth below the overlay pane, so footprints, markers and drawn areas stay on top
+      map.createPane('choropleth').style.zIndex = 350;
+      choroplethLayerRef.current = L.geoJSON(null, { pane: 'choropleth' }).addTo(map);
+      overviewLayerRef.current = L.layerGroup().addTo(map);
+      areaLayerRef.current = L.layerGroup().addTo(map);
+      pinsLayerRef.current = L.layerGroup().addTo(map);
+      overviewRendererRef.current = L.canvas({ padding: 0.5 });
 
       const overlayMaps = {
-        'PDOK BGT': pdokBgtLayer
+        'PDOK BGT': pdokBgtLayer,
+        'Building footprint': footprintLayer,
+        'Detected panels': panelsLayer
       };
 
       // Add layer control
       L.control.layers(baseMaps, overlayMaps).addTo(map);
 
+      // Report the base layer and zoom level, so the parent can keep them in the URL
+      const reportView = () => {
+        const activeKey = Object.keys(baseLayersRef.current).find((key) => map.hasLayer(baseLayersRef.current[key]));
+        onViewChangeRef.current?.({ baseLayer: activeKey || DEFAULT_BASE_LAYER, zoom: map.getZoom() });
+      };
+      map.on('baselayerchange zoomend', reportView);
+
       // Add marker for the location (no popup)
       const marker = L.marker([lat, lon]).addTo(map);
       markerRef.current = marker;
@@ -127,7 +272,7 @@ const PdokMap = ({ address, coordinates }) => {
       }, 100);
     } else if (mapInstanceRef.current) {
       // Update map if it already exists
-      mapInstanceRef.current.setView([lat, lon], address ? 19 : 17); // Zoom level: 19 for address search, 17 for default view
+      mapInstanceRef.current.setView([lat, lon], zoomRef.current ?? (address ? 19 : 17)); // Zoom level: 19 for address search, 17 for default view
       
       // Remove old marker
       if (markerRef.current) {
@@ -155,6 +300,296 @@ const PdokMap = ({ address, coordinates }) => {
     };
   }, [address, coordinates]);
 
+  // Switch to the requested base layer (the default when none is requested)
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    const layers = baseLayersRef.current;
+    if (!map || !layers) return;
+    const target = layers[baseLayer] || layers[DEFAULT_BASE_LAYER];
+    if (map.hasLayer(target)) return;
+    Object.values(layers).forEach((layer) => map.removeLayer(layer));
+    target.addTo(map);
+  }, [baseLayer]);
+
+  // Zoom to a requested zoom level
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (map && zoom && map.getZoom() !== zoom) {
+      map.setZoom(zoom);
+    }
+  }, [zoom]);
+
+  // Markers of the properties pinned for comparison ({id, address, color, location})
+  useEffect(() => {
+    const layer = pinsLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    pins.filter((pin) => pin.location).forEach((pin) => {
+      L.marker([pin.location.lat, pin.location.lon], { icon: createPinIcon(pin.color), zIndexOffset: 500 })
+        .bindTooltip(createAreaTooltip(pin.address, []), { direction: 'top', offset: [0, -24] })
+        .addTo(layer);
+    });
+  }, [pins]);
+
+  // Replace the footprint and panel polygons when another record is shown
+  useEffect(() => {
+    const layers = [
+      [footprintLayerRef.current, overlays?.footprint],
+      [panelsLayerRef.current, overlays?.panels]
+    ];
+    layers.forEach(([layer, geoJson]) => {
+      if (!layer) return;
+      layer.clearLayers();
+      if (geoJson) layer.addData(geoJson);
+    });
+  }, [overlays]);
+
+  // Choropleth: colour the areas of a boundary file by a statistic of the records inside them
+  useEffect(() => {
+    const layer = choroplethLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    if (!choroplethEnabled || !loadBoundaries || !loadChoropleth) {
+      setChoroplethLegendState(null);
+      return;
+    }
+
+    let cancelled = false;
+    const metric = CHOROPLETH_METRICS[choroplethMetric];
+    setChoroplethLegendState({ items: [], message: 'Loading areas...' });
+    Promise.all([loadBoundaries(choroplethSource), loadChoropleth(choroplethSource)])
+      .then(([boundaries, { groups }]) => {
+        if (cancelled) return;
+        const groupsByKey = new Map(groups.map((group) => [group.key, group]));
+        const valueOf = (key) => {
+          const group = groupsByKey.get(key);
+          const value = group ? metric.value(group) : null;
+          return value === null || Number.isNaN(value) ? null : value;
+        };
+        const values = boundaries.features.map(({ properties }) => valueOf(properties.areaKey)).filter((value) => value !== null);
+        const breaks = quantileBreaks(values);
+
+        layer.clearLayers();
+        layer.options.style = (feature) => ({
+          ...CHOROPLETH_STYLE,
+          fillColor: choroplethColor(valueOf(feature.properties.areaKey), breaks)
+        });
+        layer.options.onEachFeature = ({ properties: { areaKey, areaLabel } }, areaLayer) => {
+          const group = groupsByKey.get(areaKey);
+          const value = valueOf(areaKey);
+          areaLayer.bindTooltip(createAreaTooltip(areaLabel, group
+            ? [`${metric.label}: ${value === null ? 'no data' : metric.format(value)}`, `${group.count.toLocaleString()} addresses`]
+            : ['No addresses in the dataset']), { sticky: true });
+          areaLayer.on({
+            mouseover: () => areaLayer.setStyle(CHOROPLETH_HOVER_STYLE).bringToFront(),
+            mouseout: () => layer.resetStyle(areaLayer)
+          });
+        };
+        layer.addData(boundaries);
+
+        const items = choroplethLegend(breaks, metric.format);
+        if (values.length > 0 && items.length === 0) {
+          items.push({ color: choroplethColor(values[0], breaks), label: metric.format(values[0]) });
+        }
+        setChoroplethLegendState({
+          items: [...items, { color: NO_DATA_COLOR, label: 'No data' }],
+          message: values.length === 0 ? `No area has ${metric.label.toLowerCase()} data` : null
+        });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Failed to load the choropleth:', err);
+        setChoroplethLegendState({ items: [], message: err.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [choroplethEnabled, choroplethSource, choroplethMetric, loadBoundaries, loadChoropleth]);
+
+  // Overview mode: cluster every located address in the view, reloading after each pan or zoom
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    const layer = overviewLayerRef.current;
+    if (!map || !layer) return;
+    if (!overviewEnabled || !loadClusters) {
+      layer.clearLayers();
+      return;
+    }
+
+    let latestRequest = 0;
+    const update = async () => {
+      const request = ++latestRequest;
+      // Load a margin around the view so short pans don't show empty edges
+      const bounds = map.getBounds().pad(0.25);
+      try {
+        const { clusters, total } = await loadClusters({
+          south: bounds.getSouth(),
+          west: bounds.getWest(),
+          north: bounds.getNorth(),
+          east: bounds.getEast()
+        }, map.getZoom(), overviewMetric);
+        if (request !== latestRequest) return;
+
+        layer.clearLayers();
+        clusters.forEach((cluster) => {
+          const { color } = metricClass(overviewMetric, cluster.value);
+          if (cluster.count === 1) {
+            const tooltip = document.createElement('span');
+            tooltip.textContent = `${cluster.label} (${CLUSTER_METRICS[overviewMetric].label}: ${cluster.value ?? 'unknown'})`;
+            L.circleMarker([cluster.lat, cluster.lon], {
+              renderer: overviewRendererRef.current,
+              radius: 7,
+              color: '#ffffff',
+              weight: 1,
+              fillColor: color,
+              fillOpacity: 0.9,
+              // Selecting an address must not also trigger a pick-mode map click
+              bubblingMouseEvents: false
+            })
+              .bindTooltip(tooltip)
+              .on('click', () => onSelectPointRef.current?.(cluster.key, cluster.label))
+              .addTo(layer);
+          } else {
+            const { south, west, north, east } = cluster.bounds;
+            L.marker([cluster.lat, cluster.lon], { icon: createClusterIcon(cluster.count, color) })
+              .on('click', () => map.fitBounds([[south, west], [north, east]], {
+                padding: [40, 40],
+                maxZoom: DEFAULT_MAX_CLUSTER_ZOOM + 1
+              }))
+              .addTo(layer);
+          }
+        });
+        setOverviewTotal(total);
+      } catch (error) {
+        console.warn('Failed to load the map overview:', error);
+      }
+    };
+
+    update();
+    map.on('moveend', update);
+    return () => {
+      map.off('moveend', update);
+      latestRequest++;
+    };
+  }, [overviewEnabled, overviewMetric, loadClusters]);
+
+  // Pick mode: a click on the map looks up the nearest dataset record within the radius
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !pickEnabled) return;
+
+    const handleClick = ({ latlng }) => {
+      pickCircleRef.current?.remove();
+      pickCircleRef.current = L.circle(latlng, {
+        radius: pickRadius,
+        color: '#ffffff',
+        weight: 1,
+        dashArray: '4 4',
+        fillOpacity: 0.05,
+        interactive: false
+      }).addTo(map);
+      onPickLocationRef.current?.(latlng.lat, latlng.lng, pickRadius);
+    };
+
+    map.getContainer().classList.add('map-crosshair');
+    map.on('click', handleClick);
+    return () => {
+      map.off('click', handleClick);
+      map.getContainer().classList.remove('map-crosshair');
+      pickCircleRef.current?.remove();
+      pickCircleRef.current = null;
+    };
+  }, [pickEnabled, pickRadius]);
+
+  // Show the selected area
+  useEffect(() => {
+    const layer = areaLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    if (area) {
+      L.polygon(area, { ...AREA_STYLE, interactive: false }).addTo(layer);
+    }
+  }, [area]);
+
+  // Draw mode: collect the corners of a polygon or drag a rectangle, then report the area
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !drawMode) return;
+
+    const draft = L.layerGroup().addTo(map);
+    const finish = (latlngs) => {
+      setDrawMode(null);
+      onAreaChangeRef.current?.(latlngs.map(({ lat, lng }) => [lat, lng]));
+    };
+    const handlers = {};
+
+    if (drawMode === 'polygon') {
+      const corners = [];
+      const outline = L.polyline([], { ...DRAFT_STYLE, interactive: false }).addTo(draft);
+      handlers.click = ({ latlng }) => {
+        const closesPolygon = corners.length >= 3
+          && map.latLngToContainerPoint(corners[0]).distanceTo(map.latLngToContainerPoint(latlng)) < CLOSE_POLYGON_DISTANCE;
+        if (closesPolygon) {
+          finish(corners);
+          return;
+        }
+        corners.push(latlng);
+        L.circleMarker(latlng, { ...DRAFT_STYLE, radius: 4, interactive: false }).addTo(draft);
+        outline.setLatLngs(corners);
+      };
+      handlers.mousemove = ({ latlng }) => {
+        if (corners.length > 0) outline.setLatLngs([...corners, latlng]);
+      };
+      // The double-click's own clicks added its point twice
+      handlers.dblclick = () => {
+        const distinct = corners.filter((corner, i) => i === 0 || !corner.equals(corners[i - 1]));
+        if (distinct.length >= 3) finish(distinct);
+      };
+      map.doubleClickZoom.disable();
+    } else {
+      let start = null;
+      const rectangle = L.rectangle([[0, 0], [0, 0]], { ...DRAFT_STYLE, interactive: false });
+      handlers.mousedown = ({ latlng }) => {
+        start = latlng;
+        rectangle.setBounds([start, latlng]).addTo(draft);
+      };
+      handlers.mousemove = ({ latlng }) => {
+        if (start) rectangle.setBounds([start, latlng]);
+      };
+      handlers.mouseup = ({ latlng }) => {
+        if (!start) return;
+        const bounds = L.latLngBounds(start, latlng);
+        start = null;
+        if (bounds.getNorthEast().equals(bounds.getSouthWest())) return;
+        finish([bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast(), bounds.getSouthWest()]);
+      };
+      map.dragging.disable();
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setDrawMode(null);
+    };
+
+    map.getContainer().classList.add('map-crosshair');
+    map.on(handlers);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      map.off(handlers);
+      document.removeEventListener('keydown', handleKeyDown);
+      map.getContainer().classList.remove('map-crosshair');
+      map.doubleClickZoom.enable();
+      map.dragging.enable();
+      draft.remove();
+    };
+  }, [drawMode]);
+
+  const startDrawing = (mode) => {
+    setPickEnabled(false);
+    setDrawMode(drawMode === mode ? null : mode);
+  };
+
+  const legendClasses = [...CLUSTER_METRICS[overviewMetric].classes, UNKNOWN_METRIC_CLASS];
+
   return (
     <div className="map-container">
       <div className="map-header">
@@ -163,6 +598,146 @@ const PdokMap = ({ address, coordinates }) => {
         {!address && coordinates && (
           <p className="map-address">Default location</p>
         )}
+        {(loadClusters || onPickLocation || onAreaChange || boundarySources.length > 0) && (
+          <div className="map-overview-controls">
+            {onPickLocation && (
+              <>
+                <label className="map-overview-toggle">
+                  <input
+                    type="checkbox"
+                    checked={pickEnabled}
+                    onChange={(e) => {
+                      setPickEnabled(e.target.checked);
+                      setDrawMode(null);
+                    }}
+                  />
+                  Pick on map
+                </label>
+                {pickEnabled && (
+                  <select
+                    className="map-overview-metric"
+                    value={pickRadius}
+                    onChange={(e) => setPickRadius(Number(e.target.value))}
+                    aria-label="Search radius"
+                  >
+                    {PICK_RADIUS_OPTIONS.map((radius) => (
+                      <option key={radius} value={radius}>Within {radius} m</option>
+                    ))}
+                  </select>
+                )}
+              </>
+            )}
+            {loadClusters && (
+              <label className="map-overview-toggle">
+                <input
+                  type="checkbox"
+                  checked={overviewEnabled}
+                  onChange={(e) => setOverviewEnabled(e.target.checked)}
+                />
+                Show all addresses
+              </label>
+            )}
+            {loadClusters && overviewEnabled && (
+              <>
+                <select
+                  className="map-overview-metric"
+                  value={overviewMetric}
+                  onChange={(e) => setOverviewMetric(e.target.value)}
+                  aria-label="Colour markers by"
+                >
+                  {Object.entries(CLUSTER_METRICS).map(([metric, { label }]) => (
+                    <option key={metric} value={metric}>Colour by {label.toLowerCase()}</option>
+                  ))}
+                </select>
+                {overviewTotal !== null && (
+                  <span className="map-overview-total">{overviewTotal.toLocaleString()} located addresses</span>
+                )}
+              </>
+            )}
+            {boundarySources.length > 0 && (
+              <label className="map-overview-toggle">
+                <input
+                  type="checkbox"
+                  checked={choroplethEnabled}
+                  onChange={(e) => setChoroplethEnabled(e.target.checked)}
+                />
+                Colour areas
+              </label>
+            )}
+            {boundarySources.length > 0 && choroplethEnabled && (
+              <>
+                {boundarySources.length > 1 && (
+                  <select
+                    className="map-overview-metric"
+                    value={choroplethSource}
+                    onChange={(e) => setChoroplethSource(Number(e.target.value))}
+                    aria-label="Areas"
+                  >
+                    {boundarySources.map(({ name }, index) => (
+                      <option key={index} value={index}>{name}</option>
+                    ))}
+                  </select>
+                )}
+                <select
+                  className="map-overview-metric"
+                  value={choroplethMetric}
+                  onChange={(e) => setChoroplethMetric(e.target.value)}
+                  aria-label="Colour areas by"
+                >
+                  {Object.entries(CHOROPLETH_METRICS).map(([metric, { label }]) => (
+                    <option key={metric} value={metric}>By {label.toLowerCase()}</option>
+                  ))}
+                </select>
+              </>
+            )}
+            {onAreaChange && (
+              <div className="map-draw-tools" role="group" aria-label="Select an area">
+                <span>Select area:</span>
+                <button
+                  type="button"
+                  className={`map-draw-button ${drawMode === 'polygon' ? 'active' : ''}`}
+                  onClick={() => startDrawing('polygon')}
+                >
+                  Polygon
+                </button>
+                <button
+                  type="button"
+                  className={`map-draw-button ${drawMode === 'rectangle' ? 'active' : ''}`}
+                  onClick={() => startDrawing('rectangle')}
+                >
+                  Rectangle
+                </button>
+                {area && (
+                  <button type="button" className="map-draw-button" onClick={() => onAreaChange(null)}>
+                    Clear
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+        {drawMode && <p className="map-draw-hint">{DRAW_HINTS[drawMode]}</p>}
+        {overviewEnabled && (
+          <ul className="map-legend">
+            {legendClasses.map(({ color, label }) => (
+              <li key={label} className="map-legend-item">
+                <span className="map-legend-swatch" style={{ background: color }} />
+                {label}
+              </li>
+            ))}
+          </ul>
+        )}
+        {choroplethLegendState && (
+          <ul className="map-legend">
+            {choroplethLegendState.message && <li className="map-legend-message">{choroplethLegendState.message}</li>}
+            {choroplethLegendState.items.map(({ color, label }) => (
+              <li key={color} className="map-legend-item">
+                <span className="map-legend-swatch map-legend-swatch-area" style={{ background: color }} />
+                {label}
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
       <div className="map-wrapper" ref={mapRef}></div>
     </div>
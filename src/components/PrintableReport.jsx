@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { buildStaticMapUrl } from '../utils/staticMap';
+import './PrintableReport.css';
+
+// Shown in the page footer and on every printed report
+export const DISCLAIMER = 'Estimates are approximate and based on aerial or satellite imagery and other third-party information. No legal responsibility is assumed for accuracy or timeliness. Copyright © Spenat Labs Inc. All rights reserved.';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString('nl-NL', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatNumber = (value, fractionDigits) => (Number.isNaN(value) ? 0 : value).toLocaleString('nl-NL', {
+  minimumFractionDigits: fractionDigits,
+  maximumFractionDigits: fractionDigits
+});
+
+// Print-ready report of the shown property. Rendered into document.body so the print
+// stylesheet can hide the rest of the app; "Save as PDF" in the print dialog makes the PDF.
+const PrintableReport = ({ report, onClose }) => {
+  // 'none' when the property has no location to show
+  const [mapState, setMapState] = useState(report.coordinates ? 'loading' : 'none');
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const { coordinates } = report;
+
+  return createPortal(
+    <div className="printable-report">
+      <div className="printable-report-toolbar">
+        <button
+          type="button"
+          className="printable-report-button primary"
+          onClick={() => window.print()}
+          disabled={mapState === 'loading'}
+        >
+          {mapState === 'loading' ? 'Loading map...' : 'Print / Save as PDF'}
+        </button>
+        <button type="button" className="printable-report-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <article className="printable-report-page">
+        <header className="report-header">
+          <div>
+            <h1 className="report-title">Solar Panel Report</h1>
+            <p className="report-subtitle">Solar Panel Finder · Spenat Labs</p>
+          </div>
+          <p className="report-generated">Generated {formatDate(report.generatedAt)}</p>
+        </header>
+
+        <h2 className="report-address">{report.address}</h2>
+
+        {coordinates ? (
+          <figure className="report-map">
+            {mapState === 'failed' ? (
+              <div className="report-map-unavailable">The aerial photo could not be loaded.</div>
+            ) : (
+              <div className="report-map-image">
+                <img
+                  src={buildStaticMapUrl(coordinates)}
+                  alt={`Aerial photo of ${report.address}`}
+                  onLoad={() => setMapState('loaded')}
+                  onError={() => setMapState('failed')}
+                />
+                <span className="report-map-marker" aria-hidden="true" />
+              </div>
+            )}
+            <figcaption>
+              Aerial photo © PDOK (Actueel_orthoHR), centred on {coordinates.lat.toFixed(6)}, {coordinates.lon.toFixed(6)}
+            </figcaption>
+          </figure>
+        ) : (
+          <p className="report-map-unavailable">
+            No aerial photo: {report.approximateLocation
+              ? 'the address could only be located at city level.'
+              : 'the address could not be located.'}
+          </p>
+        )}
+
+        <section className="report-section">
+          <h3>Results</h3>
+          <table className="report-table">
+            <tbody>
+              <tr>
+                <th>Approx. number of solar panels</th>
+                <td>{report.panels}</td>
+              </tr>
+              <tr>
+                <th>Confidence level (1-10)</th>
+                <td>{report.confidence || 'Not available'}</td>
+              </tr>
+              <tr>
+                <th>kWp</th>
+                <td>
+                  {formatNumber(report.kwp, 3)} kWp
+                  <span className="report-note">{report.kwpFromDataset ? 'from the dataset' : 'calculated'}</span>
+                </td>
+              </tr>
+              <tr>
+                <th>Approx. annual output</th>
+                <td>
+                  {formatNumber(report.annualOutput, 0)} kWh
+                  <span className="report-note">{report.annualOutputFromDataset ? 'from the dataset' : 'calculated'}</span>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </section>
+
+        <section className="report-section">
+          <h3>Assumptions</h3>
+          <table className="report-table">
+            <tbody>
+              <tr>
+                <th>Average solar panel output</th>
+                <td>{formatNumber(report.avgPanelOutput, 0)} Wp per panel</td>
+              </tr>
+              <tr>
+                <th>Annual yield in the Netherlands</th>
+                <td>{formatNumber(report.kwhPerKwpPerYear, 0)} kWh/kWp/year</td>
+              </tr>
+              <tr>
+                <th>Availability factor</th>
+                <td>{formatNumber(report.availabilityFactor, 1)}%</td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="report-formula">
+            kWp = number of panels × average panel output (Wp) ÷ 1,000
+            <br />
+            Annual output (kWh) = kWp × kWh/kWp/year × availability factor
+          </p>
+        </section>
+
+        <section className="report-section">
+          <h3>Data</h3>
+          <p>
+            {report.dataTimestamp
+              ? `Dataset fetched ${formatDate(report.dataTimestamp)}.`
+              : `Dataset loaded from a local file${report.sourceName ? ` (${report.sourceName})` : ''}.`}
+          </p>
+        </section>
+
+        <footer className="report-disclaimer">{DISCLAIMER}</footer>
+      </article>
+    </div>,
+    document.body
+  );
+};
+
+export default PrintableReport;
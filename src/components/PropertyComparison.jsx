@@ -0,0 +1,108 @@
+import React from 'react';
+import { compareRecord, MAX_PINNED } from '../utils/comparison';
+import { DEFAULT_ASSUMPTIONS } from '../utils/calculations';
+import './PropertyComparison.css';
+
+const formatNumber = (value, fractionDigits = 0) => value.toLocaleString(undefined, {
+  minimumFractionDigits: fractionDigits,
+  maximumFractionDigits: fractionDigits
+});
+
+// Compared values, one table row each
+const ROWS = [
+  { label: 'Panels', value: (result) => formatNumber(result.panels) },
+  { label: 'Confidence', value: (result) => (result.confidence === null ? '–' : result.confidence) },
+  { label: 'kWp', value: (result) => formatNumber(result.kwp, 3) },
+  { label: 'Annual output', value: (result) => `${formatNumber(result.annualOutput)} kWh` },
+  { label: 'Specific yield', value: (result) => (result.specificYield === null ? '–' : `${formatNumber(result.specificYield)} kWh/kWp`) }
+];
+
+// Assumptions that can be set for every pinned property at once; empty keeps each record's own
+const SHARED_FIELDS = [
+  { field: 'kwhPerKwpPerYear', label: 'kWh/kWp/year', step: '1' },
+  { field: 'availabilityFactor', label: 'Availability (%)', step: '0.1', max: '100' },
+  { field: 'avgPanelOutput', label: 'Wp per panel', step: '1' }
+];
+
+const PropertyComparison = ({ pinned, sharedAssumptions, onSharedAssumptionsChange, onShow, onUnpin, onClear }) => {
+  if (pinned.length === 0) return null;
+
+  const handleAssumptionChange = (field, text) => {
+    const { [field]: removed, ...rest } = sharedAssumptions;
+    const value = parseFloat(text);
+    onSharedAssumptionsChange(Number.isNaN(value) || value < 0 ? rest : { ...rest, [field]: value });
+  };
+
+  const results = pinned.map((pin) => compareRecord(pin.data, sharedAssumptions));
+
+  return (
+    <section className="property-comparison" aria-label="Property comparison">
+      <div className="property-comparison-header">
+        <h3>Compare properties</h3>
+        <div className="property-comparison-assumptions">
+          {SHARED_FIELDS.map(({ field, label, step, max }) => (
+            <label key={field}>
+              {label}
+              <input
+                type="number"
+                min="0"
+                max={max}
+                step={step}
+                value={sharedAssumptions[field] ?? ''}
+                placeholder={`Per record (${DEFAULT_ASSUMPTIONS[field]})`}
+                onChange={(e) => handleAssumptionChange(field, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+        <button type="button" className="property-comparison-clear" onClick={onClear}>
+          Clear all
+        </button>
+      </div>
+      {pinned.length < 2 && (
+        <p className="property-comparison-note">
+          Pin another address with <strong>Pin to compare</strong> in the info panel to compare up to {MAX_PINNED} properties.
+        </p>
+      )}
+      <div className="property-comparison-table-wrapper">
+        <table className="property-comparison-table">
+          <thead>
+            <tr>
+              <th scope="col" aria-label="Value" />
+              {pinned.map((pin) => (
+                <th key={pin.id} scope="col">
+                  <div className="property-comparison-column-header">
+                    <span className="property-comparison-swatch" style={{ background: pin.color }} />
+                    <button type="button" className="property-comparison-address" onClick={() => onShow(pin)}>
+                      {pin.address}
+                    </button>
+                    <button
+                      type="button"
+                      className="property-comparison-unpin"
+                      onClick={() => onUnpin(pin.id)}
+                      aria-label={`Unpin ${pin.address}`}
+                    >
+                      ×
+                    </button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {ROWS.map((row) => (
+              <tr key={row.label}>
+                <th scope="row">{row.label}</th>
+                {results.map((result, index) => (
+                  <td key={pinned[index].id}>{row.value(result)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+export default PropertyComparison;
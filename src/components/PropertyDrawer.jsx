@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { downloadFile } from '../utils/exportFile';
+import { savedPropertiesToCsv } from '../utils/savedProperties';
+import './PropertyDrawer.css';
+
+const OVERRIDE_LABELS = {
+  kwhPerKwpPerYear: (value) => `${value} kWh/kWp/year`,
+  availabilityFactor: (value) => `${value}% availability`,
+  avgPanelOutput: (value) => `${value} Wp per panel`
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Side drawer with the saved properties and the search history (see utils/savedProperties);
+// clicking an entry reopens it with its overrides
+const PropertyDrawer = ({ saved, history, onOpen, onUpdateNotes, onRemove, onClearHistory, onClose }) => {
+  const [tab, setTab] = useState(saved.length > 0 ? 'saved' : 'history');
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleExport = () => {
+    downloadFile(savedPropertiesToCsv(saved, `${window.location.origin}${window.location.pathname}`), 'saved-properties.csv');
+  };
+
+  return (
+    <div className="property-drawer-overlay" onClick={onClose}>
+      <aside className="property-drawer" onClick={(e) => e.stopPropagation()} aria-label="Saved properties and history">
+        <div className="property-drawer-header">
+          <div className="property-drawer-tabs" role="tablist">
+            <button
+              type="button"
+              role="tab"
+              aria-selected={tab === 'saved'}
+              className={`property-drawer-tab ${tab === 'saved' ? 'active' : ''}`}
+              onClick={() => setTab('saved')}
+            >
+              Saved ({saved.length})
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={tab === 'history'}
+              className={`property-drawer-tab ${tab === 'history' ? 'active' : ''}`}
+              onClick={() => setTab('history')}
+            >
+              History
+            </button>
+          </div>
+          <button type="button" className="property-drawer-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        {tab === 'saved' ? (
+          <>
+            {saved.length === 0 ? (
+              <p className="property-drawer-empty">
+                No saved properties yet. Use <strong>Save property</strong> in the info panel to keep a property here
+                with its notes and edited assumptions.
+              </p>
+            ) : (
+              <ul className="property-drawer-list">
+                {saved.map((property) => (
+                  <li key={property.id} className="property-drawer-item">
+                    <div className="property-drawer-item-header">
+                      <button
+                        type="button"
+                        className="property-drawer-open"
+                        onClick={() => onOpen({ type: 'address', query: property.address }, property.overrides)}
+                      >
+                        {property.address}
+                      </button>
+                      <button
+                        type="button"
+                        className="property-drawer-remove"
+                        onClick={() => onRemove(property.id)}
+                        aria-label={`Remove ${property.address}`}
+                      >
+                        ×
+                      </button>
+                    </div>
+                    <div className="property-drawer-meta">
+                      {property.panels} panels · {property.kwp.toFixed(2)} kWp · {Math.round(property.annualOutput).toLocaleString()} kWh/year
+                    </div>
+                    {Object.keys(property.overrides || {}).length > 0 && (
+                      <div className="property-drawer-meta">
+                        Edited: {Object.entries(property.overrides).map(([field, value]) => OVERRIDE_LABELS[field](value)).join(', ')}
+                      </div>
+                    )}
+                    <textarea
+                      className="property-drawer-notes"
+                      value={property.notes}
+                      onChange={(e) => onUpdateNotes(property.id, e.target.value)}
+                      placeholder="Notes"
+                      rows={2}
+                    />
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="property-drawer-actions">
+              <button type="button" className="property-drawer-button" onClick={handleExport} disabled={saved.length === 0}>
+                Export CSV
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            {history.length === 0 ? (
+              <p className="property-drawer-empty">Your searches on this device will appear here.</p>
+            ) : (
+              <ul className="property-drawer-list">
+                {history.map((entry) => (
+                  <li key={entry.id} className="property-drawer-item">
+                    <button type="button" className="property-drawer-open" onClick={() => onOpen(entry.lookup)}>
+                      {entry.label}
+                    </button>
+                    <div className="property-drawer-meta">
+                      {entry.lookup.type === 'pick' ? 'Picked on map' : 'Searched'} {formatDate(entry.searchedAt)}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="property-drawer-actions">
+              <button type="button" className="property-drawer-button" onClick={onClearHistory} disabled={history.length === 0}>
+                Clear history
+              </button>
+            </div>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default PropertyDrawer;
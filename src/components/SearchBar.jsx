@@ -1,47 +1,277 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { isValidPostcode, normalizePostcode, parseHouseNumberFields } from '../utils/addressParser';
 import './SearchBar.css';
 
-const SearchBar = ({ onSearch, loading }) => {
+// Delay before looking up suggestions, so fast typing does not trigger a lookup per keystroke
+const SUGGEST_DEBOUNCE_MS = 120;
+
+// Render a label with the matched ranges wrapped in <mark>
+const HighlightedLabel = ({ label, highlights }) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end], index) => {
+    if (start > position) parts.push(label.slice(position, start));
+    parts.push(<mark key={index}>{label.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < label.length) parts.push(label.slice(position));
+  return <>{parts}</>;
+};
+
+const SearchBar = ({ onSearch, onPostcodeSearch, onSuggest, loading, restoredLookup }) => {
+  const [mode, setMode] = useState('address');
   const [address, setAddress] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [postcode, setPostcode] = useState('');
+  const [houseNumber, setHouseNumber] = useState('');
+  const [addition, setAddition] = useState('');
+  const [validationError, setValidationError] = useState(null);
   const inputRef = useRef(null);
+  const postcodeInputRef = useRef(null);
+
+  useEffect(() => {
+    // Focus the first input of the active mode (also on mount)
+    const input = mode === 'address' ? inputRef.current : postcodeInputRef.current;
+    if (input) {
+      input.focus();
+    }
+  }, [mode]);
+
+  // Show a search restored from the URL (a shared link, or back/forward) in the inputs
+  useEffect(() => {
+    if (restoredLookup?.type === 'address') {
+      setMode('address');
+      setAddress(restoredLookup.query);
+    } else if (restoredLookup?.type === 'postcode') {
+      setMode('postcode');
+      setPostcode(restoredLookup.postcode);
+      setHouseNumber(String(restoredLookup.houseNumber));
+      setAddition(restoredLookup.addition);
+    }
+    setShowSuggestions(false);
+    setValidationError(null);
+  }, [restoredLookup]);
 
+  // Look up suggestions for the typed address (onSuggest may return an array or a promise)
   useEffect(() => {
-    // Auto-focus the search input when component mounts
-    if (inputRef.current) {
-      inputRef.current.focus();
+    if (!onSuggest || mode !== 'address' || !showSuggestions) {
+      return;
     }
-  }, []);
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await onSuggest(address);
+        if (!cancelled) {
+          setSuggestions(results || []);
+          setActiveSuggestion(-1);
+        }
+      } catch (err) {
+        console.warn('Failed to load suggestions:', err);
+      }
+    }, SUGGEST_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [address, mode, showSuggestions, onSuggest]);
+
+  const closeSuggestions = () => {
+    setShowSuggestions(false);
+    setSuggestions([]);
+    setActiveSuggestion(-1);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    setAddress(suggestion.label);
+    closeSuggestions();
+    if (!loading) {
+      onSearch(suggestion.label);
+    }
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (showSuggestions && activeSuggestion >= 0 && suggestions[activeSuggestion]) {
+      selectSuggestion(suggestions[activeSuggestion]);
+      return;
+    }
+    closeSuggestions();
     if (address.trim() && !loading) {
       onSearch(address.trim());
     }
   };
 
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      closeSuggestions();
+      return;
+    }
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion((prev) => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion((prev) => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    }
+  };
+
+  const handlePostcodeSubmit = (e) => {
+    e.preventDefault();
+    if (loading) return;
+
+    if (!isValidPostcode(postcode)) {
+      setValidationError('Enter a valid Dutch postcode, e.g. 3511 AB.');
+      return;
+    }
+    if (!/^\d{1,5}$/.test(houseNumber.trim())) {
+      setValidationError('Enter a house number (digits only; use the addition field for letters).');
+      return;
+    }
+    if (parseHouseNumberFields(houseNumber, addition).houseNumber === null) {
+      setValidationError('Enter a valid addition: a letter and/or up to 4 letters or digits, e.g. a, 2, a-1 or bis.');
+      return;
+    }
+
+    setValidationError(null);
+    onPostcodeSearch({
+      postcode: normalizePostcode(postcode),
+      houseNumber: houseNumber.trim(),
+      addition: addition.trim()
+    });
+  };
+
+  const switchMode = (newMode) => {
+    setMode(newMode);
+    setValidationError(null);
+  };
+
   return (
-    <form onSubmit={handleSubmit} className="search-form">
-      <div className="search-input-wrapper">
-        <svg className="search-icon" width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
-          <path d="M9 17C13.4183 17 17 13.4183 17 9C17 4.58172 13.4183 1 9 1C4.58172 1 1 4.58172 1 9C1 13.4183 4.58172 17 9 17Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-          <path d="M19 19L14.65 14.65" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-        </svg>
-        <input
-          ref={inputRef}
-          type="text"
-          value={address}
-          onChange={(e) => setAddress(e.target.value)}
-          placeholder="Search for an address..."
-          className="search-input"
-          disabled={loading}
-        />
+    <div className="search-bar">
+      <div className="search-mode-toggle" role="tablist">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={mode === 'address'}
+          className={`search-mode-button ${mode === 'address' ? 'active' : ''}`}
+          onClick={() => switchMode('address')}
+        >
+          Address
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={mode === 'postcode'}
+          className={`search-mode-button ${mode === 'postcode' ? 'active' : ''}`}
+          onClick={() => switchMode('postcode')}
+        >
+          Postcode + number
+        </button>
       </div>
-      <button type="submit" className="search-button" disabled={loading || !address.trim()}>
-        {loading ? 'Searching...' : 'Search'}
-      </button>
-    </form>
+
+      {mode === 'address' ? (
+        <form onSubmit={handleSubmit} className="search-form">
+          <div className="search-input-wrapper" onBlur={(e) => {
+            // Close the dropdown when focus leaves the input and the suggestion list
+            if (!e.currentTarget.contains(e.relatedTarget)) closeSuggestions();
+          }}>
+            <svg className="search-icon" width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M9 17C13.4183 17 17 13.4183 17 9C17 4.58172 13.4183 1 9 1C4.58172 1 1 4.58172 1 9C1 13.4183 4.58172 17 9 17Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              <path d="M19 19L14.65 14.65" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+            <input
+              ref={inputRef}
+              type="text"
+              value={address}
+              onChange={(e) => {
+                setAddress(e.target.value);
+                setShowSuggestions(true);
+              }}
+              onKeyDown={handleKeyDown}
+              placeholder="Search for an address..."
+              className="search-input"
+              disabled={loading}
+              role="combobox"
+              aria-autocomplete="list"
+              aria-expanded={showSuggestions && suggestions.length > 0}
+              aria-controls="search-suggestions"
+              aria-activedescendant={activeSuggestion >= 0 ? `search-suggestion-${activeSuggestion}` : undefined}
+              autoComplete="off"
+            />
+            {showSuggestions && suggestions.length > 0 && (
+              <ul id="search-suggestions" className="search-suggestions" role="listbox">
+                {suggestions.map((suggestion, index) => (
+                  <li
+                    key={suggestion.key}
+                    id={`search-suggestion-${index}`}
+                    role="option"
+                    aria-selected={index === activeSuggestion}
+                    tabIndex={-1}
+                    className={`search-suggestion ${index === activeSuggestion ? 'active' : ''}`}
+                    onMouseEnter={() => setActiveSuggestion(index)}
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => selectSuggestion(suggestion)}
+                  >
+                    <HighlightedLabel label={suggestion.label} highlights={suggestion.highlights} />
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <button type="submit" className="search-button" disabled={loading || !address.trim()}>
+            {loading ? 'Searching...' : 'Search'}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handlePostcodeSubmit} className="search-form" noValidate>
+          <input
+            ref={postcodeInputRef}
+            type="text"
+            value={postcode}
+            onChange={(e) => setPostcode(e.target.value)}
+            placeholder="Postcode (3511 AB)"
+            className="search-input search-input-plain search-input-postcode"
+            maxLength={7}
+            aria-label="Postcode"
+            disabled={loading}
+          />
+          <input
+            type="text"
+            inputMode="numeric"
+            value={houseNumber}
+            onChange={(e) => setHouseNumber(e.target.value)}
+            placeholder="Number"
+            className="search-input search-input-plain search-input-number"
+            maxLength={5}
+            aria-label="House number"
+            disabled={loading}
+          />
+          <input
+            type="text"
+            value={addition}
+            onChange={(e) => setAddition(e.target.value)}
+            placeholder="Addition"
+            className="search-input search-input-plain search-input-number"
+            maxLength={6}
+            aria-label="Addition (optional)"
+            disabled={loading}
+          />
+          <button type="submit" className="search-button" disabled={loading || !postcode.trim() || !houseNumber.trim()}>
+            {loading ? 'Searching...' : 'Search'}
+          </button>
+        </form>
+      )}
+
+      {validationError && (
+        <div className="search-validation-error">{validationError}</div>
+      )}
+    </div>
   );
 };
 
 export default SearchBar;
-
@@ -1,16 +1,25 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { calculateKwp, calculateAnnualOutput } from '../utils/calculations';
+import { calculateKwp, calculateAnnualOutput, recordAssumptions, DEFAULT_ASSUMPTIONS } from '../utils/calculations';
+import { isApproximateMatch, MATCH_REASONS } from '../utils/addressMatcher';
+import { isCityLevelResult } from '../utils/geocoding';
 import './SolarPanelInfo.css';
 
-const SolarPanelInfo = ({ data, address, loading, onDataChange }) => {
-  const [kwhPerKwpPerYear, setKwhPerKwpPerYear] = useState(875);
-  const [availabilityFactor, setAvailabilityFactor] = useState(99);
-  const [avgPanelOutput, setAvgPanelOutput] = useState(435);
+const formatDistance = (meters) => (meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`);
+
+const SolarPanelInfo = ({ data, address, match, location, searchedAddress, loading, onDataChange, onExportReport, overrides, onOverridesChange, onSaveProperty, saved, onTogglePin, pinned, pinDisabled }) => {
+  const [kwhPerKwpPerYear, setKwhPerKwpPerYear] = useState(DEFAULT_ASSUMPTIONS.kwhPerKwpPerYear);
+  const [availabilityFactor, setAvailabilityFactor] = useState(DEFAULT_ASSUMPTIONS.availabilityFactor);
+  const [avgPanelOutput, setAvgPanelOutput] = useState(DEFAULT_ASSUMPTIONS.avgPanelOutput);
   const [calculatedKwp, setCalculatedKwp] = useState(0);
   const [calculatedAnnualOutput, setCalculatedAnnualOutput] = useState(0);
   const [visibleHelpTexts, setVisibleHelpTexts] = useState({});
   const isInitialLoadRef = useRef(true);
   const previousDataRef = useRef(null);
+  // Overrides (e.g. from a shared link) are read when data arrives; edits are reported back through onOverridesChange
+  const overridesRef = useRef(overrides);
+  overridesRef.current = overrides;
+  const onOverridesChangeRef = useRef(onOverridesChange);
+  onOverridesChangeRef.current = onOverridesChange;
 
   const toggleHelpText = (fieldId) => {
     setVisibleHelpTexts(prev => ({
@@ -31,14 +40,15 @@ const SolarPanelInfo = ({ data, address, loading, onDataChange }) => {
         previousDataRef.current = data;
       }
       
-      // Use data values if available, otherwise use defaults (not current state to avoid circular dependency)
-      const newKwhPerKwpPerYear = data.kwhPerKwpPerYear !== undefined && data.kwhPerKwpPerYear !== null ? data.kwhPerKwpPerYear : 875;
-      let newAvailabilityFactor = data.availabilityFactor !== undefined && data.availabilityFactor !== null ? data.availabilityFactor : 99;
-      // Normalize: if value is less than 1, treat as decimal and convert to percentage (multiply by 100)
-      if (newAvailabilityFactor > 0 && newAvailabilityFactor < 1) {
-        newAvailabilityFactor = newAvailabilityFactor * 100;
-      }
-      const newAvgPanelOutput = data.avgPanelOutput !== undefined && data.avgPanelOutput !== null ? data.avgPanelOutput : 435;
+      // Use data values if available, otherwise use defaults (not current state to avoid circular dependency),
+      // with any overrides on top
+      const activeOverrides = overridesRef.current || {};
+      const {
+        kwhPerKwpPerYear: newKwhPerKwpPerYear,
+        availabilityFactor: newAvailabilityFactor,
+        avgPanelOutput: newAvgPanelOutput
+      } = { ...recordAssumptions(data), ...activeOverrides };
+      const hasOverrides = Object.keys(activeOverrides).length > 0;
       
       setKwhPerKwpPerYear(newKwhPerKwpPerYear);
       setAvailabilityFactor(newAvailabilityFactor);
@@ -46,14 +56,14 @@ const SolarPanelInfo = ({ data, address, loading, onDataChange }) => {
 
       // Use spreadsheet values if available, otherwise calculate
       if (data.panels !== undefined && data.panels !== null) {
-        // Use kWp from spreadsheet if available, otherwise calculate
-        const kwp = (data.kwp !== undefined && data.kwp !== null && data.kwp > 0) 
+        // Use kWp from spreadsheet if available, otherwise calculate; overridden assumptions always recalculate
+        const kwp = (!hasOverrides && data.kwp !== undefined && data.kwp !== null && data.kwp > 0) 
           ? data.kwp 
           : calculateKwp(data.panels, newAvgPanelOutput);
         setCalculatedKwp(kwp);
 
         // Use Annual output from spreadsheet if available, otherwise calculate
-        const annualOutput = (data.annualOutput !== undefined && data.annualOutput !== null && data.annualOutput > 0)
+        const annualOutput = (!hasOverrides && data.annualOutput !== undefined && data.annualOutput !== null && data.annualOutput > 0)
           ? data.annualOutput
           : calculateAnnualOutput(kwp, newKwhPerKwpPerYear, newAvailabilityFactor);
         setCalculatedAnnualOutput(annualOutput);
@@ -116,6 +126,15 @@ const SolarPanelInfo = ({ data, address, loading, onDataChange }) => {
           calculatedAnnualOutput: annualOutput
         });
       }
+
+      // Report the values that differ from the record's own assumptions
+      if (onOverridesChangeRef.current) {
+        const defaults = recordAssumptions(data);
+        const edited = { kwhPerKwpPerYear, availabilityFactor, avgPanelOutput };
+        onOverridesChangeRef.current(Object.fromEntries(
+          Object.entries(edited).filter(([field, value]) => value !== defaults[field])
+        ));
+      }
     }
   }, [data, kwhPerKwpPerYear, availabilityFactor, avgPanelOutput, onDataChange]);
 
@@ -142,13 +161,13 @@ const SolarPanelInfo = ({ data, address, loading, onDataChange }) => {
 
   const handleKwhPerKwpChange = (e) => {
     const numValue = parseFloat(e.target.value);
-    const value = isNaN(numValue) ? 875 : numValue;
+    const value = isNaN(numValue) ? DEFAULT_ASSUMPTIONS.kwhPerKwpPerYear : numValue;
     setKwhPerKwpPerYear(value);
   };
 
   const handleAvailabilityFactorChange = (e) => {
     const numValue = parseFloat(e.target.value);
-    let value = isNaN(numValue) ? 99 : numValue;
+    let value = isNaN(numValue) ? DEFAULT_ASSUMPTIONS.availabilityFactor : numValue;
     // Normalize: if user enters a decimal value less than 1 (like 0.99), convert to percentage (99)
     if (value > 0 && value < 1) {
       value = value * 100;
@@ -160,10 +179,24 @@ const SolarPanelInfo = ({ data, address, loading, onDataChange }) => {
 
   const handleAvgPanelOutputChange = (e) => {
     const numValue = parseFloat(e.target.value);
-    const value = isNaN(numValue) ? 435 : numValue;
+    const value = isNaN(numValue) ? DEFAULT_ASSUMPTIONS.avgPanelOutput : numValue;
     setAvgPanelOutput(value);
   };
 
+  // The values and assumptions as currently displayed, including edits
+  const displayedValues = () => ({
+    address: data.originalAddress || address,
+    panels: data.panels || 0,
+    confidence: data.confidence || 0,
+    kwp: calculatedKwp,
+    annualOutput: calculatedAnnualOutput,
+    kwpFromDataset: data.kwp > 0 && calculatedKwp === data.kwp,
+    annualOutputFromDataset: data.annualOutput > 0 && calculatedAnnualOutput === data.annualOutput,
+    kwhPerKwpPerYear,
+    availabilityFactor,
+    avgPanelOutput
+  });
+
   const helpTexts = {
     confidence: "System confidence in detecting the correct number of solar panels. 10 = highest.",
     annualOutput: "Approximate annual output of the property's solar PV system.\n\nFormula:\nAnnual output (kWh) = kWp × (kWh/kWp/year in the Netherlands) × availability factor (%)",
@@ -203,7 +236,51 @@ const SolarPanelInfo = ({ data, address, loading, onDataChange }) => {
 
   return (
     <div className="solar-panel-info">
-      <h2 className="info-title">Solar Panel Information</h2>
+      <div className="info-header">
+        <h2 className="info-title">Solar Panel Information</h2>
+        <div className="info-header-actions">
+          {onTogglePin && (
+            <button
+              type="button"
+              className="info-export-button"
+              onClick={onTogglePin}
+              disabled={!pinned && pinDisabled}
+              title={!pinned && pinDisabled ? 'Unpin a property to compare this one' : undefined}
+            >
+              {pinned ? 'Unpin' : 'Pin to compare'}
+            </button>
+          )}
+          {onSaveProperty && (
+            <button type="button" className="info-export-button" onClick={() => onSaveProperty(displayedValues())}>
+              {saved ? 'Update saved' : 'Save property'}
+            </button>
+          )}
+          {onExportReport && (
+            <button type="button" className="info-export-button" onClick={() => onExportReport(displayedValues())}>
+              Export report
+            </button>
+          )}
+        </div>
+      </div>
+      {isApproximateMatch(match) && (
+        <div className="approximate-match-warning" role="status">
+          Approximate match ({Math.round(match.score * 100)}%)
+          {searchedAddress && <> for “{searchedAddress}”</>}. Check that this is the intended address.
+        </div>
+      )}
+      {match?.distance !== undefined && (
+        <div className="map-pick-notice" role="status">
+          {match.reason === MATCH_REASONS.NEAREST
+            ? <>Nearest record to the point picked on the map, {formatDistance(match.distance)} away.</>
+            : <>Matched via the address nearest to the point picked on the map, {formatDistance(match.distance)} away.</>}
+        </div>
+      )}
+      {isCityLevelResult(location) && (
+        <div className="approximate-match-warning" role="status">
+          The map only shows the city{location.displayName && <> ({location.displayName})</>}: this address could not
+          be located more precisely.
+        </div>
+      )}
       <div className="info-content">
         <div className="info-item">
           <div className="info-label">ADDRESS</div>
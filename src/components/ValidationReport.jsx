@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { ISSUE_TYPES, ISSUE_LABELS, validationReportToCsv } from '../utils/datasetValidation';
+import { downloadFile } from '../utils/exportFile';
+import './ValidationReport.css';
+
+// Maximum number of issues rendered in the table (the CSV export always has all of them)
+const MAX_VISIBLE_ISSUES = 500;
+
+const ValidationReport = ({ report, onClose }) => {
+  const [typeFilter, setTypeFilter] = useState('all');
+
+  if (!report) {
+    return (
+      <div className="validation-report">
+        <div className="validation-report-header">
+          <h2 className="validation-report-title">Data quality</h2>
+          <button type="button" className="validation-report-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+        <p className="validation-report-empty">No dataset has been loaded yet.</p>
+      </div>
+    );
+  }
+
+  const filteredIssues = typeFilter === 'all'
+    ? report.issues
+    : report.issues.filter((issue) => issue.type === typeFilter);
+
+  const handleExport = () => {
+    downloadFile(validationReportToCsv(report), 'validation-report.csv');
+  };
+
+  return (
+    <div className="validation-report">
+      <div className="validation-report-header">
+        <div>
+          <h2 className="validation-report-title">Data quality</h2>
+          {report.sourceName && <p className="validation-report-source">Source: {report.sourceName}</p>}
+        </div>
+        <div className="validation-report-actions">
+          <button
+            type="button"
+            className="validation-report-button"
+            onClick={handleExport}
+            disabled={report.issues.length === 0}
+          >
+            Export CSV
+          </button>
+          <button type="button" className="validation-report-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+      </div>
+
+      <div className="validation-report-summary">
+        <div className="validation-stat">
+          <span className="validation-stat-value">{report.totalRows}</span>
+          <span className="validation-stat-label">Rows</span>
+        </div>
+        <div className="validation-stat">
+          <span className="validation-stat-value">{report.validRows}</span>
+          <span className="validation-stat-label">Without issues</span>
+        </div>
+        <div className="validation-stat">
+          <span className="validation-stat-value">{report.issues.length}</span>
+          <span className="validation-stat-label">Issues</span>
+        </div>
+      </div>
+
+      <div className="validation-report-filters">
+        <button
+          type="button"
+          className={`validation-filter ${typeFilter === 'all' ? 'active' : ''}`}
+          onClick={() => setTypeFilter('all')}
+        >
+          All ({report.issues.length})
+        </button>
+        {Object.values(ISSUE_TYPES).map((type) => (
+          <button
+            key={type}
+            type="button"
+            className={`validation-filter ${typeFilter === type ? 'active' : ''}`}
+            onClick={() => setTypeFilter(type)}
+            disabled={report.issueCounts[type] === 0}
+          >
+            {ISSUE_LABELS[type]} ({report.issueCounts[type]})
+          </button>
+        ))}
+      </div>
+
+      {filteredIssues.length === 0 ? (
+        <p className="validation-report-empty">No issues found.</p>
+      ) : (
+        <div className="validation-report-table-wrapper">
+          <table className="validation-report-table">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Address</th>
+                <th>Issue</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredIssues.slice(0, MAX_VISIBLE_ISSUES).map((issue, index) => (
+                <tr key={`${issue.row}-${issue.type}-${issue.field}-${index}`}>
+                  <td>{issue.row}</td>
+                  <td>{issue.address || '—'}</td>
+                  <td>{ISSUE_LABELS[issue.type]}</td>
+                  <td>{issue.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {filteredIssues.length > MAX_VISIBLE_ISSUES && (
+            <p className="validation-report-more">
+              Showing the first {MAX_VISIBLE_ISSUES} of {filteredIssues.length} issues. Export the CSV to see all of them.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,185 @@
+/**
+ * Trigram index over the loaded dataset for fast type-ahead address suggestions.
+ * Building the index is linear in the dataset size; a lookup only touches the
+ * addresses that share every trigram of the query.
+ */
+
+import { normalizeAddress } from './addressMatcher';
+
+// Queries shorter than this are not looked up (too many matches to be useful)
+export const MIN_SUGGEST_QUERY_LENGTH = 3;
+
+// Number of entries between progress callbacks while building the index
+const PROGRESS_INTERVAL = 10000;
+
+const trigramsOf = (text) => {
+  const grams = new Set();
+  for (let i = 0; i <= text.length - 3; i++) {
+    grams.add(text.substring(i, i + 3));
+  }
+  return grams;
+};
+
+// Intersect two sorted arrays of ids
+const intersectSorted = (a, b) => {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push(a[i]);
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+};
+
+/**
+ * Normalizes a label the same way as normalizeAddress, keeping track of where
+ * each normalized character came from so matches can be highlighted in the label
+ * @param {string} label - Original address as displayed
+ * @returns {{text: string, sourceIndex: number[]}} Normalized text and source positions
+ */
+const normalizeWithSourceMap = (label) => {
+  const source = String(label ?? '');
+  let start = 0;
+  let end = source.length;
+  if (/^["']/.test(source)) start++;
+  if (end > start && /["']$/.test(source)) end--;
+
+  let text = '';
+  const sourceIndex = [];
+  for (let i = start; i < end; i++) {
+    const char = /[.,;:\s]/.test(source[i]) ? ' ' : source[i].toLowerCase();
+    if (char === ' ' && (text.length === 0 || text[text.length - 1] === ' ')) continue;
+    text += char;
+    sourceIndex.push(i);
+  }
+  if (text.endsWith(' ')) {
+    text = text.slice(0, -1);
+    sourceIndex.pop();
+  }
+  return { text, sourceIndex };
+};
+
+/**
+ * Finds the ranges of the label that match the query (or its words), for highlighting
+ * @param {string} label - Original address as displayed
+ * @param {string} normalizedQuery - Normalized search text
+ * @returns {Array<[number, number]>} Sorted [start, end) ranges in the label
+ */
+export const findHighlightRanges = (label, normalizedQuery) => {
+  const { text, sourceIndex } = normalizeWithSourceMap(label);
+  const toRange = (position, length) => [sourceIndex[position], sourceIndex[position + length - 1] + 1];
+
+  const position = text.indexOf(normalizedQuery);
+  if (position !== -1) {
+    return [toRange(position, normalizedQuery.length)];
+  }
+
+  return normalizedQuery
+    .split(' ')
+    .filter(Boolean)
+    .map((token) => ({ token, position: text.indexOf(token) }))
+    .filter(({ position: tokenPosition }) => tokenPosition !== -1)
+    .map(({ token, position: tokenPosition }) => toRange(tokenPosition, token.length))
+    .sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * Builds a trigram index over the normalized addresses of a dataset
+ * @param {Object} addressMap - Object mapping normalized addresses to solar panel data
+ * @param {Object} [options] - Build options
+ * @param {Function} [options.onProgress] - Called as (indexedEntries, totalEntries) every PROGRESS_INTERVAL entries
+ * @returns {{keys: string[], labels: string[], postings: Map<string, number[]>}} Address index
+ */
+export const buildAddressIndex = (addressMap, { onProgress } = {}) => {
+  const keys = [];
+  const labels = [];
+  const postings = new Map();
+  const entries = Object.entries(addressMap || {});
+
+  entries.forEach(([key, value], id) => {
+    keys.push(key);
+    labels.push(value?.originalAddress || key);
+    for (const gram of trigramsOf(key)) {
+      let list = postings.get(gram);
+      if (!list) {
+        list = [];
+        postings.set(gram, list);
+      }
+      list.push(id);
+    }
+    if (onProgress && (id + 1) % PROGRESS_INTERVAL === 0) {
+      onProgress(id + 1, entries.length);
+    }
+  });
+  onProgress?.(entries.length, entries.length);
+
+  return { keys, labels, postings };
+};
+
+/**
+ * Suggests dataset addresses for a partially typed query, best match first.
+ * Addresses starting with the query rank above addresses containing it at a word start,
+ * then anywhere, then addresses that only contain every word of the query.
+ * @param {Object} index - Index returned by buildAddressIndex
+ * @param {string} query - Text typed so far
+ * @param {Object} [options] - Suggestion options
+ * @param {number} [options.limit=8] - Maximum number of suggestions
+ * @returns {Array<{key: string, label: string, highlights: Array<[number, number]>}>} Suggestions
+ */
+export const suggestAddresses = (index, query, { limit = 8 } = {}) => {
+  const normalizedQuery = normalizeAddress(query);
+  if (!index || normalizedQuery.length < MIN_SUGGEST_QUERY_LENGTH) return [];
+
+  const tokens = normalizedQuery.split(' ').filter(Boolean);
+  const longTokens = tokens.filter((token) => token.length >= 3);
+  const grams = new Set(longTokens.flatMap((token) => [...trigramsOf(token)]));
+  if (grams.size === 0) {
+    trigramsOf(normalizedQuery).forEach((gram) => grams.add(gram));
+  }
+
+  // Intersect posting lists, rarest trigram first
+  const lists = [...grams].map((gram) => index.postings.get(gram) || []);
+  lists.sort((a, b) => a.length - b.length);
+  let candidates = lists[0] || [];
+  for (let i = 1; i < lists.length && candidates.length > 0; i++) {
+    candidates = intersectSorted(candidates, lists[i]);
+  }
+
+  // Rank every candidate, keeping only the best `limit` so far (best first); ties keep dataset order
+  const compare = (a, b) => a.rank - b.rank || index.keys[a.id].length - index.keys[b.id].length;
+  const ranked = [];
+  for (const id of candidates) {
+    const key = index.keys[id];
+    let rank;
+    if (key.startsWith(normalizedQuery)) {
+      rank = 0;
+    } else if (key.includes(` ${normalizedQuery}`)) {
+      rank = 1;
+    } else if (key.includes(normalizedQuery)) {
+      rank = 2;
+    } else if (tokens.every((token) => key.includes(token))) {
+      rank = 3;
+    } else {
+      continue;
+    }
+    const entry = { id, rank };
+    if (ranked.length === limit && compare(entry, ranked[limit - 1]) >= 0) continue;
+    const position = ranked.findIndex((other) => compare(entry, other) < 0);
+    ranked.splice(position === -1 ? ranked.length : position, 0, entry);
+    if (ranked.length > limit) ranked.pop();
+  }
+
+  return ranked.map(({ id }) => ({
+    key: index.keys[id],
+    label: index.labels[id],
+    highlights: findHighlightRanges(index.labels[id], normalizedQuery)
+  }));
+};
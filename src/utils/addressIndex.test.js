@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { buildAddressIndex, suggestAddresses, findHighlightRanges } from './addressIndex';
+import { normalizeAddress } from './addressMatcher';
+
+const buildAddressMap = (addresses) => {
+  const addressMap = {};
+  addresses.forEach((address) => {
+    addressMap[normalizeAddress(address)] = { originalAddress: address };
+  });
+  return addressMap;
+};
+
+const index = buildAddressIndex(buildAddressMap([
+  'Kerkstraat 23, 3511 AB Utrecht',
+  'Kerkstraat 23a, 3511 AB Utrecht',
+  'Oude Kerkstraat 5, 2011 AA Haarlem',
+  'Nieuwe Kerkweg 10, 1234 AB Ede',
+  'Oudegracht 101, 3511 AD Utrecht',
+  'Prinsengracht 263, 1016 GV Amsterdam'
+]));
+
+describe('Address Index', () => {
+  describe('suggestAddresses', () => {
+    it('should rank addresses starting with the query first', () => {
+      const labels = suggestAddresses(index, 'kerkstr').map((s) => s.label);
+      expect(labels).toEqual([
+        'Kerkstraat 23, 3511 AB Utrecht',
+        'Kerkstraat 23a, 3511 AB Utrecht',
+        'Oude Kerkstraat 5, 2011 AA Haarlem'
+      ]);
+    });
+
+    it('should match a query that spans the street and house number', () => {
+      const labels = suggestAddresses(index, 'Kerkstraat 23a').map((s) => s.label);
+      expect(labels).toEqual(['Kerkstraat 23a, 3511 AB Utrecht']);
+    });
+
+    it('should match all words of the query in any order', () => {
+      const labels = suggestAddresses(index, 'utrecht oudegracht').map((s) => s.label);
+      expect(labels).toEqual(['Oudegracht 101, 3511 AD Utrecht']);
+    });
+
+    it('should ignore queries shorter than three characters', () => {
+      expect(suggestAddresses(index, 'ke')).toEqual([]);
+    });
+
+    it('should respect the limit option', () => {
+      expect(suggestAddresses(index, 'gracht', { limit: 1 })).toHaveLength(1);
+    });
+
+    it('should return nothing for an unknown street', () => {
+      expect(suggestAddresses(index, 'zwaluwlaan')).toEqual([]);
+    });
+
+    it('should only visit the addresses sharing every trigram on a large dataset', () => {
+      const addresses = [];
+      for (let i = 0; i < 100000; i++) {
+        addresses.push(`Straat ${i % 500} nummer ${i}, ${1000 + (i % 9000)} AB Plaats${i % 300}`);
+      }
+      const largeIndex = buildAddressIndex(buildAddressMap(addresses));
+      const visited = new Set();
+      largeIndex.keys = new Proxy(largeIndex.keys, {
+        get: (keys, property) => {
+          if (/^\d+$/.test(property)) visited.add(property);
+          return keys[property];
+        }
+      });
+
+      const suggestions = suggestAddresses(largeIndex, 'straat 42 nummer 99042');
+      expect(suggestions[0].label).toBe('Straat 42 nummer 99042, 1042 AB Plaats42');
+      expect(visited.size).toBe(1);
+    });
+
+    it('should rank every candidate before applying the limit', () => {
+      const addresses = [];
+      for (let i = 0; i < 6000; i++) {
+        addresses.push(`Oudegracht ${i + 1}, Utrecht`);
+      }
+      addresses.push('Grachtweg 1, Utrecht');
+      const largeIndex = buildAddressIndex(buildAddressMap(addresses));
+
+      const [best, ...rest] = suggestAddresses(largeIndex, 'gracht');
+      expect(best.label).toBe('Grachtweg 1, Utrecht');
+      expect(rest.map((suggestion) => suggestion.label)).toEqual([
+        'Oudegracht 1, Utrecht', 'Oudegracht 2, Utrecht', 'Oudegracht 3, Utrecht', 'Oudegracht 4, Utrecht',
+        'Oudegracht 5, Utrecht', 'Oudegracht 6, Utrecht', 'Oudegracht 7, Utrecht'
+      ]);
+    });
+  });
+
+  describe('findHighlightRanges', () => {
+    it('should map the matched text back onto the original label', () => {
+      const label = 'Kerkstraat 23, 3511 AB Utrecht';
+      const [[start, end]] = findHighlightRanges(label, '23 3511');
+      expect(label.slice(start, end)).toBe('23, 3511');
+    });
+
+    it('should highlight each word when the query is not contiguous', () => {
+      const label = 'Oudegracht 101, 3511 AD Utrecht';
+      const ranges = findHighlightRanges(label, 'utrecht oudegracht');
+      expect(ranges.map(([start, end]) => label.slice(start, end))).toEqual(['Oudegracht', 'Utrecht']);
+    });
+  });
+});
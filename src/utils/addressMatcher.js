@@ -0,0 +1,264 @@
+/**
+ * Address matching utilities used to look up a searched address in the
+ * loaded solar panel dataset.
+ */
+
+import {
+  parseDutchAddress,
+  parseHouseNumberFields,
+  normalizePostcode,
+  formatHouseNumber,
+  isSameHouseNumber
+} from './addressParser';
+
+// Minimum street similarity for a street + number match
+export const MATCH_THRESHOLD = 0.6;
+
+// Minimum street similarity for the last-resort partial match
+export const PARTIAL_MATCH_THRESHOLD = 0.5;
+
+// Score given when the searched street is contained in the dataset address but the house
+// number can't be compared (one of them has none)
+export const CONTAINS_MATCH_SCORE = 0.9;
+
+export const MATCH_REASONS = {
+  EXACT: 'exact',
+  STREET_NUMBER: 'street-number',
+  SUBSTRING: 'substring',
+  POSTCODE: 'postcode',
+  // Closest located record to a point clicked on the map
+  NEAREST: 'nearest'
+};
+
+// Below this score the best match is not shown without asking the user to confirm it
+export const CONFIDENT_MATCH_SCORE = 0.85;
+
+// Candidates whose scores are within this margin of the best one are considered equally likely
+export const AMBIGUOUS_SCORE_MARGIN = 0.05;
+
+// Score given to a postcode + house number match whose letter or addition was not specified
+export const POSTCODE_PARTIAL_SCORE = 0.9;
+
+/**
+ * Normalizes an address for matching (remove quotes and punctuation, collapse spaces, lowercase)
+ * @param {string} addr - The address to normalize
+ * @returns {string} Normalized address
+ */
+export const normalizeAddress = (addr) => {
+  return String(addr ?? '')
+    .replace(/^["']|["']$/g, '') // Remove quotes
+    .toLowerCase()
+    .replace(/[.,;:]/g, ' ') // Replace punctuation with spaces
+    .replace(/\s+/g, ' ') // Normalize spaces
+    .trim();
+};
+
+/**
+ * Extracts the street name and house number (including suffixes like "23a" or "23-1")
+ * @param {string} addr - The address to split
+ * @returns {{street: string, number: string}} Street name and house number
+ */
+export const extractStreetAndNumber = (addr) => {
+  const parsed = parseDutchAddress(addr);
+  return {
+    street: normalizeAddress(parsed.street),
+    number: formatHouseNumber(parsed)
+  };
+};
+
+/**
+ * Approximate string similarity based on shared characters and trigrams
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+export const calculateSimilarity = (str1, str2) => {
+  if (str1 === str2) return 1.0;
+  if (str1.length === 0 || str2.length === 0) return 0.0;
+
+  // Check if one contains the other
+  if (str1.includes(str2) || str2.includes(str1)) {
+    return Math.min(str1.length, str2.length) / Math.max(str1.length, str2.length);
+  }
+
+  const longer = str1.length > str2.length ? str1 : str2;
+  const shorter = str1.length > str2.length ? str2 : str1;
+
+  // Simple character-based similarity
+  let matches = 0;
+  for (let i = 0; i < shorter.length; i++) {
+    if (shorter[i] === longer[i] || longer.includes(shorter[i])) {
+      matches++;
+    }
+  }
+
+  // Also check for common substrings
+  let commonSubstring = 0;
+  for (let i = 0; i < shorter.length - 2; i++) {
+    const substr = shorter.substring(i, i + 3);
+    if (longer.includes(substr)) commonSubstring++;
+  }
+
+  return (matches / longer.length) * 0.7 + (commonSubstring / Math.max(shorter.length - 2, 1)) * 0.3;
+};
+
+/**
+ * Finds dataset entries matching a searched address, best match first
+ * @param {string} query - The searched address
+ * @param {Object} addressMap - Object mapping normalized addresses to solar panel data
+ * @param {Object} [options] - Matching options
+ * @param {number} [options.limit=10] - Maximum number of candidates to return
+ * @returns {Array<{key: string, data: Object, score: number, reason: string}>} Ranked candidates
+ */
+export const findAddressMatches = (query, addressMap, { limit = 10 } = {}) => {
+  const normalizedQuery = normalizeAddress(query);
+  if (!normalizedQuery || !addressMap) return [];
+
+  const candidates = new Map();
+  const addCandidate = (key, score, reason) => {
+    const existing = candidates.get(key);
+    if (!existing || score > existing.score) {
+      candidates.set(key, { key, data: addressMap[key], score, reason });
+    }
+  };
+
+  // Exact match on the normalized address
+  if (addressMap[normalizedQuery]) {
+    addCandidate(normalizedQuery, 1.0, MATCH_REASONS.EXACT);
+  }
+
+  const searchParts = parseDutchAddress(query);
+  const searchStreet = normalizeAddress(searchParts.street);
+  const searchNumber = formatHouseNumber(searchParts);
+  const getParts = (key, value) => value.parsedAddress || parseDutchAddress(value.originalAddress || key);
+  const postcodeConflicts = (keyParts) => Boolean(searchParts.postcode && keyParts.postcode && searchParts.postcode !== keyParts.postcode);
+
+  // Compare street, house number and postcode field by field against every entry
+  for (const [key, value] of Object.entries(addressMap)) {
+    if (key === normalizedQuery) continue;
+    const keyParts = getParts(key, value);
+
+    // Must match house number, letter and addition if both have a number
+    if (searchParts.houseNumber !== null && keyParts.houseNumber !== null && !isSameHouseNumber(searchParts, keyParts)) {
+      continue;
+    }
+
+    // Must match postcode if both have one
+    if (postcodeConflicts(keyParts)) {
+      continue;
+    }
+
+    // Without a street ("3511AB 12") only postcode and house number can match; both were
+    // checked above, and every key would contain the empty street
+    if (!searchStreet) {
+      if (searchParts.postcode && keyParts.postcode && searchParts.houseNumber !== null && keyParts.houseNumber !== null) {
+        addCandidate(key, 1.0, MATCH_REASONS.POSTCODE);
+      }
+      continue;
+    }
+
+    // Prefer matches where the searched street and number are contained in the full address
+    const containsMatch = key.includes(searchStreet) &&
+                          (!searchNumber || key.includes(searchNumber) || keyParts.houseNumber !== null);
+    if (containsMatch) {
+      // The house number already passed isSameHouseNumber, so this is the searched street and number
+      if (searchParts.houseNumber !== null && keyParts.houseNumber !== null) {
+        addCandidate(key, 1.0, MATCH_REASONS.STREET_NUMBER);
+      } else {
+        addCandidate(key, CONTAINS_MATCH_SCORE, MATCH_REASONS.SUBSTRING);
+      }
+      continue;
+    }
+
+    const streetSimilarity = calculateSimilarity(searchStreet, normalizeAddress(keyParts.street));
+    if (streetSimilarity > MATCH_THRESHOLD) {
+      addCandidate(key, streetSimilarity, MATCH_REASONS.STREET_NUMBER);
+    }
+  }
+
+  // Partial string matching as last resort, except for a bare house number ("12"), which is a
+  // substring of far too many addresses
+  if (candidates.size === 0 && (searchStreet || searchParts.houseNumber === null)) {
+    for (const [key, value] of Object.entries(addressMap)) {
+      const keyParts = getParts(key, value);
+
+      if (postcodeConflicts(keyParts)) continue;
+
+      if (searchParts.houseNumber !== null && isSameHouseNumber(searchParts, keyParts)) {
+        const similarity = calculateSimilarity(searchStreet, normalizeAddress(keyParts.street));
+        if (similarity > PARTIAL_MATCH_THRESHOLD) {
+          addCandidate(key, similarity, MATCH_REASONS.STREET_NUMBER);
+        }
+        continue;
+      }
+
+      if (key.includes(normalizedQuery) || normalizedQuery.includes(key)) {
+        const score = Math.min(key.length, normalizedQuery.length) / Math.max(key.length, normalizedQuery.length);
+        addCandidate(key, score, MATCH_REASONS.SUBSTRING);
+      }
+    }
+  }
+
+  return [...candidates.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Finds dataset entries by postcode and house number, matching the fields exactly.
+ * When no letter or addition is given, every addition on that house number is returned,
+ * with the plain house number ranked first.
+ * @param {Object} lookup - Lookup fields
+ * @param {string} lookup.postcode - Dutch postcode, spaces and case ignored
+ * @param {string|number} lookup.houseNumber - House number, optionally including letter and addition ("23a")
+ * @param {string} [lookup.addition] - House letter and/or addition ("a", "1", "a-1", "bis")
+ * @param {Object} addressMap - Object mapping normalized addresses to solar panel data
+ * @param {Object} [options] - Matching options
+ * @param {number} [options.limit=10] - Maximum number of candidates to return
+ * @returns {Array<{key: string, data: Object, score: number, reason: string}>} Ranked candidates
+ */
+export const findPostcodeMatches = ({ postcode, houseNumber, addition = '' }, addressMap, { limit = 10 } = {}) => {
+  const normalizedPostcode = normalizePostcode(postcode);
+  const designation = parseHouseNumberFields(houseNumber, addition);
+  if (!normalizedPostcode || designation.houseNumber === null || !addressMap) return [];
+
+  const hasSuffix = Boolean(designation.houseLetter || designation.addition);
+  const candidates = [];
+
+  for (const [key, value] of Object.entries(addressMap)) {
+    const keyParts = value.parsedAddress || parseDutchAddress(value.originalAddress || key);
+    if (keyParts.postcode !== normalizedPostcode || keyParts.houseNumber !== designation.houseNumber) continue;
+
+    if (isSameHouseNumber(designation, keyParts)) {
+      candidates.push({ key, data: value, score: 1.0, reason: MATCH_REASONS.POSTCODE });
+    } else if (!hasSuffix) {
+      candidates.push({ key, data: value, score: POSTCODE_PARTIAL_SCORE, reason: MATCH_REASONS.POSTCODE });
+    }
+  }
+
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Checks whether a ranked candidate list needs the user to pick the intended address:
+ * the best score is below the confidence threshold, or the runner-up is nearly as good
+ * @param {Array<{score: number}>} candidates - Ranked candidates, best first
+ * @returns {boolean} True if the candidates should be shown as a "did you mean" list
+ */
+export const needsDisambiguation = (candidates) => {
+  if (!candidates || candidates.length === 0) return false;
+  const [best, runnerUp] = candidates;
+  if (best.score < CONFIDENT_MATCH_SCORE) return true;
+  return Boolean(runnerUp && best.score - runnerUp.score < AMBIGUOUS_SCORE_MARGIN);
+};
+
+/**
+ * Checks whether a candidate is an approximate match rather than the searched address itself
+ * @param {{score: number, reason: string}} candidate - A ranked candidate
+ * @returns {boolean} True if the match is approximate
+ */
+export const isApproximateMatch = (candidate) => {
+  return Boolean(candidate) && candidate.reason !== MATCH_REASONS.EXACT && candidate.score < 1;
+};
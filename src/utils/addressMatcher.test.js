@@ -0,0 +1,238 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeAddress,
+  extractStreetAndNumber,
+  calculateSimilarity,
+  findAddressMatches,
+  findPostcodeMatches,
+  needsDisambiguation,
+  isApproximateMatch,
+  MATCH_REASONS,
+  POSTCODE_PARTIAL_SCORE,
+  CONTAINS_MATCH_SCORE
+} from './addressMatcher';
+
+const buildAddressMap = (addresses) => {
+  const addressMap = {};
+  addresses.forEach((address, index) => {
+    addressMap[normalizeAddress(address)] = { panels: index + 1, originalAddress: address };
+  });
+  return addressMap;
+};
+
+const addressMap = buildAddressMap([
+  'Hendrik van de Craatsstraat 17, 2037 KN Haarlem',
+  'Kerkstraat 23, 3511 AB Utrecht',
+  'Kerkstraat 23a, 3511 AB Utrecht',
+  'Kerkstraat 23-1, 3511 AB Utrecht',
+  'Kerkstraat 23-2, 3511 AB Utrecht',
+  'Oudegracht 101, 3511 AD Utrecht',
+  'Prinsengracht 263, 1016 GV Amsterdam'
+]);
+
+describe('Address Matcher', () => {
+  describe('normalizeAddress', () => {
+    it('should lowercase and replace punctuation with spaces', () => {
+      expect(normalizeAddress('Kerkstraat 23, 3511 AB Utrecht')).toBe('kerkstraat 23 3511 ab utrecht');
+    });
+
+    it('should strip surrounding quotes and collapse whitespace', () => {
+      expect(normalizeAddress('"Oudegracht   101;  Utrecht"')).toBe('oudegracht 101 utrecht');
+    });
+
+    it('should return an empty string for missing input', () => {
+      expect(normalizeAddress(undefined)).toBe('');
+    });
+  });
+
+  describe('extractStreetAndNumber', () => {
+    it('should split a simple street and number', () => {
+      expect(extractStreetAndNumber('Oudegracht 101')).toEqual({ street: 'oudegracht', number: '101' });
+    });
+
+    it('should keep multi-word street names together', () => {
+      expect(extractStreetAndNumber('Hendrik van de Craatsstraat 17, Haarlem'))
+        .toEqual({ street: 'hendrik van de craatsstraat', number: '17' });
+    });
+
+    it('should keep a letter suffix with the house number', () => {
+      expect(extractStreetAndNumber('Kerkstraat 23a')).toEqual({ street: 'kerkstraat', number: '23a' });
+    });
+
+    it('should keep a dashed addition with the house number', () => {
+      expect(extractStreetAndNumber('Kerkstraat 23-1, Utrecht')).toEqual({ street: 'kerkstraat', number: '23-1' });
+    });
+
+    it('should return no number when the address has none', () => {
+      expect(extractStreetAndNumber('Utrecht')).toEqual({ street: 'utrecht', number: '' });
+    });
+  });
+
+  describe('calculateSimilarity', () => {
+    it('should return 1 for identical strings', () => {
+      expect(calculateSimilarity('kerkstraat', 'kerkstraat')).toBe(1);
+    });
+
+    it('should return 0 when one string is empty', () => {
+      expect(calculateSimilarity('', 'kerkstraat')).toBe(0);
+    });
+
+    it('should score a small typo above the match threshold', () => {
+      expect(calculateSimilarity('prinsengraht', 'prinsengracht')).toBeGreaterThan(0.6);
+    });
+
+    it('should score unrelated streets low', () => {
+      expect(calculateSimilarity('oudegracht', 'zwaluwlaan')).toBeLessThan(0.6);
+    });
+  });
+
+  describe('findAddressMatches', () => {
+    it('should return an exact match first with score 1', () => {
+      const [best] = findAddressMatches('Kerkstraat 23, 3511 AB Utrecht', addressMap);
+      expect(best.key).toBe('kerkstraat 23 3511 ab utrecht');
+      expect(best.score).toBe(1);
+      expect(best.reason).toBe(MATCH_REASONS.EXACT);
+    });
+
+    it('should match a street and number without postcode or city as a full street-number match', () => {
+      const [best] = findAddressMatches('Oudegracht 101', addressMap);
+      expect(best.data.originalAddress).toBe('Oudegracht 101, 3511 AD Utrecht');
+      expect(best.score).toBe(1);
+      expect(best.reason).toBe(MATCH_REASONS.STREET_NUMBER);
+      expect(isApproximateMatch(best)).toBe(false);
+    });
+
+    it('should score a contained street without a house number as a substring match', () => {
+      const [best] = findAddressMatches('Oudegracht', addressMap);
+      expect(best.score).toBe(CONTAINS_MATCH_SCORE);
+      expect(best.reason).toBe(MATCH_REASONS.SUBSTRING);
+    });
+
+    it('should ask which city when the same street and number exist in two', () => {
+      const twoCities = buildAddressMap(['Kerkstraat 23, 3511 AB Utrecht', 'Kerkstraat 23, 3811 AB Amersfoort']);
+      const matches = findAddressMatches('Kerkstraat 23', twoCities);
+      expect(matches.map((m) => m.score)).toEqual([1, 1]);
+      expect(needsDisambiguation(matches)).toBe(true);
+    });
+
+    it('should match a misspelled street on street and number', () => {
+      const [best] = findAddressMatches('Prinsengraht 263', addressMap);
+      expect(best.data.originalAddress).toBe('Prinsengracht 263, 1016 GV Amsterdam');
+      expect(best.reason).toBe(MATCH_REASONS.STREET_NUMBER);
+      expect(best.score).toBeGreaterThan(0.6);
+      expect(best.score).toBeLessThan(1);
+    });
+
+    it('should distinguish a letter suffix from the plain house number', () => {
+      const matches = findAddressMatches('Kerkstraat 23a', addressMap);
+      expect(matches[0].data.originalAddress).toBe('Kerkstraat 23a, 3511 AB Utrecht');
+      expect(matches.map((m) => m.data.originalAddress)).not.toContain('Kerkstraat 23-1, 3511 AB Utrecht');
+    });
+
+    it('should distinguish dashed additions on the same house number', () => {
+      const matches = findAddressMatches('Kerkstraat 23-1 Utrecht', addressMap);
+      expect(matches[0].data.originalAddress).toBe('Kerkstraat 23-1, 3511 AB Utrecht');
+      expect(matches.map((m) => m.data.originalAddress)).not.toContain('Kerkstraat 23-2, 3511 AB Utrecht');
+    });
+
+    it('should not match the same street and number under a different postcode', () => {
+      expect(findAddressMatches('Kerkstraat 23, 1234 AB', addressMap)).toEqual([]);
+    });
+
+    it('should match on postcode and house number when the street is abbreviated', () => {
+      const [best] = findAddressMatches('H v d Craatsstraat 17 2037KN', addressMap);
+      expect(best.data.originalAddress).toBe('Hendrik van de Craatsstraat 17, 2037 KN Haarlem');
+    });
+
+    it('should not match a different house number on the same street', () => {
+      expect(findAddressMatches('Oudegracht 99', addressMap)).toEqual([]);
+    });
+
+    it('should rank candidates by descending score', () => {
+      const matches = findAddressMatches('Kerkstraat 23', addressMap);
+      for (let i = 1; i < matches.length; i++) {
+        expect(matches[i - 1].score).toBeGreaterThanOrEqual(matches[i].score);
+      }
+      expect(matches[0].data.originalAddress).toBe('Kerkstraat 23, 3511 AB Utrecht');
+    });
+
+    it('should respect the limit option', () => {
+      expect(findAddressMatches('Kerkstraat', addressMap, { limit: 2 })).toHaveLength(2);
+    });
+
+    it('should match only postcode and house number when the query has no street', () => {
+      const matches = findAddressMatches('3511AB 23', addressMap);
+      expect(matches.map((m) => m.data.originalAddress)).toEqual(['Kerkstraat 23, 3511 AB Utrecht']);
+      expect(matches[0].reason).toBe(MATCH_REASONS.POSTCODE);
+    });
+
+    it('should not match every address when the query is only a house number', () => {
+      expect(findAddressMatches('12', addressMap)).toEqual([]);
+      expect(findAddressMatches('23', addressMap)).toEqual([]);
+    });
+
+    it('should return no candidates for an empty query or dataset', () => {
+      expect(findAddressMatches('', addressMap)).toEqual([]);
+      expect(findAddressMatches('Kerkstraat 23', {})).toEqual([]);
+    });
+  });
+
+  describe('findPostcodeMatches', () => {
+    it('should match postcode and house number exactly, ignoring postcode spacing and case', () => {
+      const [best] = findPostcodeMatches({ postcode: '3511 ad', houseNumber: '101' }, addressMap);
+      expect(best.data.originalAddress).toBe('Oudegracht 101, 3511 AD Utrecht');
+      expect(best.score).toBe(1);
+      expect(best.reason).toBe(MATCH_REASONS.POSTCODE);
+    });
+
+    it('should list every addition when none is given, plain number first', () => {
+      const matches = findPostcodeMatches({ postcode: '3511AB', houseNumber: '23' }, addressMap);
+      expect(matches).toHaveLength(4);
+      expect(matches[0].data.originalAddress).toBe('Kerkstraat 23, 3511 AB Utrecht');
+      expect(matches[1].score).toBe(POSTCODE_PARTIAL_SCORE);
+    });
+
+    it('should match a house letter or numeric addition exactly', () => {
+      const letter = findPostcodeMatches({ postcode: '3511AB', houseNumber: '23', addition: 'A' }, addressMap);
+      expect(letter.map((m) => m.data.originalAddress)).toEqual(['Kerkstraat 23a, 3511 AB Utrecht']);
+
+      const addition = findPostcodeMatches({ postcode: '3511AB', houseNumber: '23', addition: '2' }, addressMap);
+      expect(addition.map((m) => m.data.originalAddress)).toEqual(['Kerkstraat 23-2, 3511 AB Utrecht']);
+    });
+
+    it('should not match another postcode or an invalid postcode', () => {
+      expect(findPostcodeMatches({ postcode: '3511AC', houseNumber: '23' }, addressMap)).toEqual([]);
+      expect(findPostcodeMatches({ postcode: '351AB', houseNumber: '23' }, addressMap)).toEqual([]);
+    });
+  });
+
+  describe('needsDisambiguation', () => {
+    it('should not ask when there is a single confident match', () => {
+      expect(needsDisambiguation(findAddressMatches('Oudegracht 101', addressMap))).toBe(false);
+    });
+
+    it('should ask when the best score is below the confidence threshold', () => {
+      expect(needsDisambiguation([{ score: 0.7 }])).toBe(true);
+    });
+
+    it('should ask when the runner-up is nearly as good as the best match', () => {
+      expect(needsDisambiguation([{ score: 0.9 }, { score: 0.88 }])).toBe(true);
+      expect(needsDisambiguation([{ score: 1 }, { score: 0.9 }])).toBe(false);
+    });
+
+    it('should not ask when there are no candidates', () => {
+      expect(needsDisambiguation([])).toBe(false);
+    });
+  });
+
+  describe('isApproximateMatch', () => {
+    it('should treat exact and full-score matches as exact', () => {
+      expect(isApproximateMatch(findAddressMatches('Kerkstraat 23, 3511 AB Utrecht', addressMap)[0])).toBe(false);
+      expect(isApproximateMatch(findPostcodeMatches({ postcode: '3511AD', houseNumber: '101' }, addressMap)[0])).toBe(false);
+    });
+
+    it('should treat fuzzy matches as approximate', () => {
+      expect(isApproximateMatch(findAddressMatches('Prinsengraht 263', addressMap)[0])).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Parser for free-text Dutch addresses, following BAG (Basisregistratie Adressen en Gebouwen)
+ * conventions: a house number of 1-5 digits, an optional single house letter and an
+ * optional addition (huisnummertoevoeging) of up to 4 letters or digits.
+ */
+
+// Dutch postcode: 4 digits (not starting with 0) + 2 letters (SA, SD and SS are never issued)
+const POSTCODE_PATTERN = /(?:^|[\s,])([1-9]\d{3})\s?(?!sa|sd|ss)([a-z]{2})(?![a-z0-9])/gi;
+
+// Candidate house numbers: 1-5 digits preceded by whitespace and not part of a longer number
+const HOUSE_NUMBER_PATTERN = /\s(\d{1,5})(?!\d)/g;
+
+// Everything that may follow a house number: letter, addition and (optionally) a city name.
+// Additions after a dash or slash may be any 1-4 letters/digits; additions after a plain space
+// are limited to digits, roman numerals and common abbreviations so they are not confused with a city.
+// The abbreviations may also follow the number directly ("12hs", "12bis").
+const SUFFIX_PATTERN = /^(?:\s*([a-z])(?![a-z0-9]))?(?:\s*[-/]\s*([a-z0-9]{1,4})(?![a-z0-9])|(?:\s+|(?=(?:bis|ter|hs|huis|bg|zw|rd)(?![a-z0-9])))(\d{1,4}|[ivx]{1,4}|bis|ter|hs|huis|bg|zw|rd)(?![a-z0-9]))?(.*)$/;
+
+const COUNTRY_NAMES = ['netherlands', 'the netherlands', 'nederland', 'nl'];
+
+const cleanSegment = (segment) => {
+  return segment
+    .replace(/[.;:]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normalizes a Dutch postcode to the BAG notation ("3511AB")
+ * @param {string} postcode - Postcode in any spacing or case
+ * @returns {string} Normalized postcode, or an empty string if it is not a valid Dutch postcode
+ */
+export const normalizePostcode = (postcode) => {
+  const compact = String(postcode ?? '').replace(/\s+/g, '').toUpperCase();
+  return isValidPostcode(compact) ? compact : '';
+};
+
+/**
+ * Checks whether a value is a valid Dutch postcode (4 digits + 2 letters, spaces and case ignored)
+ * @param {string} postcode - The postcode to check
+ * @returns {boolean} True if the postcode is valid
+ */
+export const isValidPostcode = (postcode) => {
+  const compact = String(postcode ?? '').replace(/\s+/g, '').toUpperCase();
+  return /^[1-9]\d{3}[A-Z]{2}$/.test(compact) && !/(SA|SD|SS)$/.test(compact);
+};
+
+// Parses a house number with letter and addition at the start of a cleaned, lowercase segment;
+// rest is the text after it. Null when the segment doesn't start with a house number.
+const parseLeadingHouseNumber = (segment) => {
+  const numberMatch = segment.match(/^(\d{1,5})(?!\d)/);
+  const suffix = numberMatch && segment.slice(numberMatch[0].length).match(SUFFIX_PATTERN);
+  if (!suffix) return null;
+  return {
+    houseNumber: parseInt(numberMatch[1], 10),
+    houseLetter: suffix[1] || '',
+    addition: suffix[2] || suffix[3] || '',
+    rest: suffix[4].trim()
+  };
+};
+
+/**
+ * Splits a street segment ("laan 1940-1945 12a-2") into street name, house number, letter and addition.
+ * The last number that is followed by a valid suffix is taken as the house number, so street
+ * names that contain digits are kept intact.
+ * @param {string} segment - Cleaned, lowercase street segment
+ * @returns {{street: string, houseNumber: number|null, houseLetter: string, addition: string, rest: string}}
+ */
+const parseStreetSegment = (segment) => {
+  const text = ` ${segment}`;
+  let result = null;
+
+  for (const match of text.matchAll(HOUSE_NUMBER_PATTERN)) {
+    const street = text.slice(0, match.index).trim();
+    const suffix = text.slice(match.index + match[0].length).match(SUFFIX_PATTERN);
+    const rest = suffix[4].trim();
+
+    // A number right after a dash belongs to an addition ("23 - 1"), and anything left after
+    // the suffix can only be a city name, which never contains digits
+    if (!street || /[-/]$/.test(street) || /\d/.test(rest)) continue;
+
+    result = {
+      street,
+      houseNumber: parseInt(match[1], 10),
+      houseLetter: suffix[1] || '',
+      addition: suffix[2] || suffix[3] || '',
+      rest
+    };
+  }
+
+  if (result) return result;
+
+  // A house number on its own ("12", "12a") has no street
+  const number = parseLeadingHouseNumber(segment.trim());
+  if (number && !number.rest) return { street: '', ...number };
+
+  return { street: segment.trim(), houseNumber: null, houseLetter: '', addition: '', rest: '' };
+};
+
+/**
+ * Parses a free-text Dutch address into its BAG components.
+ * Text fields are returned lowercase, the postcode in BAG notation ("3511AB").
+ * @param {string} text - Address as typed by a user or stored in the spreadsheet
+ * @returns {{street: string, houseNumber: number|null, houseLetter: string, addition: string, postcode: string, city: string}}
+ */
+export const parseDutchAddress = (text) => {
+  let remaining = String(text ?? '')
+    .replace(/^["']|["']$/g, '')
+    .toLowerCase();
+
+  const segmentsOf = (part) => part
+    .split(',')
+    .map(cleanSegment)
+    .filter((segment) => segment && !COUNTRY_NAMES.includes(segment));
+
+  // Take the postcode out first; whatever follows it is the city
+  let postcode = '';
+  let afterPostcode = [];
+  const postcodeMatches = [...remaining.matchAll(POSTCODE_PATTERN)];
+  if (postcodeMatches.length > 0) {
+    const match = postcodeMatches[postcodeMatches.length - 1];
+    postcode = `${match[1]}${match[2]}`.toUpperCase();
+    afterPostcode = segmentsOf(remaining.slice(match.index + match[0].length));
+    remaining = remaining.slice(0, match.index);
+  }
+
+  const segments = segmentsOf(remaining);
+
+  // The street is the first segment with a house number; a later segment without digits is the city
+  const streetIndex = Math.max(segments.findIndex((segment) => /\d/.test(segment)), 0);
+  let parsed = parseStreetSegment(segments[streetIndex] || '');
+
+  // Without a house number before the postcode, one right after it is the house number
+  // ("3511AB 12", "3511AB 12a Utrecht"), not the city
+  const numberAfterPostcode = parsed.houseNumber === null && afterPostcode.length > 0
+    ? parseLeadingHouseNumber(afterPostcode[0])
+    : null;
+  if (numberAfterPostcode && !/\d/.test(numberAfterPostcode.rest)) {
+    parsed = { ...numberAfterPostcode, street: parsed.street };
+    afterPostcode = [numberAfterPostcode.rest, ...afterPostcode.slice(1)].filter(Boolean);
+  }
+
+  let city = afterPostcode[0] || '';
+  if (!city) {
+    city = segments.slice(streetIndex + 1).find((segment) => !/\d/.test(segment)) || parsed.rest;
+  }
+
+  return {
+    street: parsed.street,
+    houseNumber: parsed.houseNumber,
+    houseLetter: parsed.houseLetter,
+    addition: parsed.addition,
+    postcode,
+    city
+  };
+};
+
+/**
+ * Parses a house number designation on its own ("23", "23a", "23-1", "23 bis")
+ * @param {string} text - House number with optional letter and addition
+ * @returns {{houseNumber: number|null, houseLetter: string, addition: string}}
+ */
+export const parseHouseNumber = (text) => {
+  const parsed = parseLeadingHouseNumber(cleanSegment(String(text ?? '').toLowerCase()));
+  if (!parsed || parsed.rest) {
+    return { houseNumber: null, houseLetter: '', addition: '' };
+  }
+  const { rest, ...designation } = parsed;
+  return designation;
+};
+
+/**
+ * Parses a house number and addition entered in separate fields (23 + "a", "1", "a-1", "bis")
+ * @param {string|number} houseNumber - House number, optionally including letter and addition ("23a")
+ * @param {string} [addition] - House letter and/or addition
+ * @returns {{houseNumber: number|null, houseLetter: string, addition: string}} houseNumber is null
+ *   when the number or addition can't be parsed
+ */
+export const parseHouseNumberFields = (houseNumber, addition = '') => {
+  const suffix = String(addition ?? '').trim();
+  const designation = parseHouseNumber(`${houseNumber ?? ''} ${suffix}`);
+  // Additions that are not a letter or a common abbreviation are written after a dash
+  if (designation.houseNumber === null && suffix) {
+    return parseHouseNumber(`${houseNumber ?? ''}-${suffix.replace(/^-/, '')}`);
+  }
+  return designation;
+};
+
+/**
+ * Formats the house number designation of a parsed address ("23", "23a", "23-1", "23a-bis")
+ * @param {Object} parsed - Result of parseDutchAddress
+ * @returns {string} House number designation, or an empty string if there is no house number
+ */
+export const formatHouseNumber = (parsed) => {
+  if (!parsed || parsed.houseNumber === null || parsed.houseNumber === undefined) return '';
+  return `${parsed.houseNumber}${parsed.houseLetter || ''}${parsed.addition ? `-${parsed.addition}` : ''}`;
+};
+
+/**
+ * Checks whether two parsed addresses refer to the same house number designation
+ * (number, letter and addition compared field by field)
+ * @param {Object} a - First parsed address
+ * @param {Object} b - Second parsed address
+ * @returns {boolean} True if number, letter and addition are equal
+ */
+export const isSameHouseNumber = (a, b) => {
+  return a.houseNumber === b.houseNumber &&
+         (a.houseLetter || '') === (b.houseLetter || '') &&
+         (a.addition || '') === (b.addition || '');
+};
@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDutchAddress,
+  parseHouseNumber,
+  parseHouseNumberFields,
+  normalizePostcode,
+  isValidPostcode,
+  formatHouseNumber,
+  isSameHouseNumber
+} from './addressParser';
+
+describe('Dutch Address Parser', () => {
+  describe('parseDutchAddress', () => {
+    it('should parse a full address with postcode and city', () => {
+      expect(parseDutchAddress('Kerkstraat 23, 3511 AB Utrecht')).toEqual({
+        street: 'kerkstraat',
+        houseNumber: 23,
+        houseLetter: '',
+        addition: '',
+        postcode: '3511AB',
+        city: 'utrecht'
+      });
+    });
+
+    it('should parse a postcode written without a space', () => {
+      const parsed = parseDutchAddress('Oudegracht 101 3511AD Utrecht');
+      expect(parsed.postcode).toBe('3511AD');
+      expect(parsed.street).toBe('oudegracht');
+      expect(parsed.houseNumber).toBe(101);
+      expect(parsed.city).toBe('utrecht');
+    });
+
+    it('should keep digits that belong to the street name', () => {
+      const parsed = parseDutchAddress('Laan 1940-1945 12');
+      expect(parsed.street).toBe('laan 1940-1945');
+      expect(parsed.houseNumber).toBe(12);
+    });
+
+    it('should keep digits in the street name when a city follows', () => {
+      const parsed = parseDutchAddress('Plein 1944 3 Nijmegen');
+      expect(parsed.street).toBe('plein 1944');
+      expect(parsed.houseNumber).toBe(3);
+      expect(parsed.city).toBe('nijmegen');
+    });
+
+    it('should parse a house letter', () => {
+      const parsed = parseDutchAddress('Kerkstraat 23a');
+      expect(parsed.houseNumber).toBe(23);
+      expect(parsed.houseLetter).toBe('a');
+      expect(parsed.addition).toBe('');
+    });
+
+    it('should parse a house letter separated by a space', () => {
+      expect(parseDutchAddress('Kerkstraat 23 A, Utrecht').houseLetter).toBe('a');
+    });
+
+    it('should parse a dashed numeric addition', () => {
+      const parsed = parseDutchAddress('Kerkstraat 23-1');
+      expect(parsed.houseNumber).toBe(23);
+      expect(parsed.houseLetter).toBe('');
+      expect(parsed.addition).toBe('1');
+    });
+
+    it('should parse roman numeral and word additions', () => {
+      expect(parseDutchAddress('Damrak 12-III').addition).toBe('iii');
+      expect(parseDutchAddress('Damrak 12 bis').addition).toBe('bis');
+      expect(parseDutchAddress('Damrak 12 hs, Amsterdam').addition).toBe('hs');
+    });
+
+    it('should parse abbreviated additions written without a separator', () => {
+      expect(parseDutchAddress('Kerkstraat 12hs')).toMatchObject({ houseNumber: 12, addition: 'hs', city: '' });
+      expect(parseDutchAddress('Damrak 12bis Amsterdam')).toMatchObject({ houseNumber: 12, addition: 'bis', city: 'amsterdam' });
+      expect(parseDutchAddress('Kerkstraat 12-hs')).toMatchObject({ houseNumber: 12, addition: 'hs', city: '' });
+      expect(isSameHouseNumber(parseDutchAddress('Kerkstraat 12hs'), parseDutchAddress('Kerkstraat 12 hs'))).toBe(true);
+    });
+
+    it('should parse a house letter combined with an addition', () => {
+      const parsed = parseDutchAddress('Kerkstraat 23a-2');
+      expect(parsed.houseLetter).toBe('a');
+      expect(parsed.addition).toBe('2');
+    });
+
+    it('should take the city from a comma-separated segment and drop the country', () => {
+      const parsed = parseDutchAddress('Hendrik van de Craatsstraat 17, Haarlem, Netherlands');
+      expect(parsed.street).toBe('hendrik van de craatsstraat');
+      expect(parsed.houseNumber).toBe(17);
+      expect(parsed.city).toBe('haarlem');
+    });
+
+    it('should take the city from text after the house number', () => {
+      const parsed = parseDutchAddress('Kerkstraat 23 Utrecht');
+      expect(parsed.houseNumber).toBe(23);
+      expect(parsed.houseLetter).toBe('');
+      expect(parsed.city).toBe('utrecht');
+    });
+
+    it('should parse a normalized dataset key', () => {
+      const parsed = parseDutchAddress('kerkstraat 23-1 3511 ab utrecht');
+      expect(parsed.street).toBe('kerkstraat');
+      expect(parsed.addition).toBe('1');
+      expect(parsed.postcode).toBe('3511AB');
+      expect(parsed.city).toBe('utrecht');
+    });
+
+    it('should take a number after the postcode as the house number, not the city', () => {
+      expect(parseDutchAddress('3511AB 12')).toMatchObject({ street: '', houseNumber: 12, postcode: '3511AB', city: '' });
+      expect(parseDutchAddress('3511 AB, 12a, Utrecht')).toMatchObject({ houseNumber: 12, houseLetter: 'a', city: 'utrecht' });
+      expect(parseDutchAddress('3511AB 12-1 Utrecht')).toMatchObject({ houseNumber: 12, addition: '1', city: 'utrecht' });
+      expect(parseDutchAddress('Kerkstraat 23, 3511AB Utrecht')).toMatchObject({ houseNumber: 23, city: 'utrecht' });
+    });
+
+    it('should parse a lone number as the house number', () => {
+      expect(parseDutchAddress('12')).toMatchObject({ street: '', houseNumber: 12, city: '' });
+    });
+
+    it('should return a null house number when there is none', () => {
+      const parsed = parseDutchAddress('Utrecht');
+      expect(parsed.street).toBe('utrecht');
+      expect(parsed.houseNumber).toBeNull();
+    });
+  });
+
+  describe('postcodes', () => {
+    it('should validate Dutch postcodes regardless of spaces and case', () => {
+      expect(isValidPostcode('3511AB')).toBe(true);
+      expect(isValidPostcode('3511 ab')).toBe(true);
+      expect(isValidPostcode('0511AB')).toBe(false);
+      expect(isValidPostcode('3511A')).toBe(false);
+      expect(isValidPostcode('3511SS')).toBe(false);
+    });
+
+    it('should normalize postcodes to BAG notation', () => {
+      expect(normalizePostcode(' 3511 ab ')).toBe('3511AB');
+      expect(normalizePostcode('invalid')).toBe('');
+    });
+  });
+
+  describe('house numbers', () => {
+    it('should format the house number designation', () => {
+      expect(formatHouseNumber(parseDutchAddress('Kerkstraat 23'))).toBe('23');
+      expect(formatHouseNumber(parseDutchAddress('Kerkstraat 23a'))).toBe('23a');
+      expect(formatHouseNumber(parseDutchAddress('Kerkstraat 23 - 1'))).toBe('23-1');
+      expect(formatHouseNumber(parseDutchAddress('Utrecht'))).toBe('');
+    });
+
+    it('should parse a house number designation on its own', () => {
+      expect(parseHouseNumber('23a-1')).toEqual({ houseNumber: 23, houseLetter: 'a', addition: '1' });
+      expect(parseHouseNumber('12 bis')).toEqual({ houseNumber: 12, houseLetter: '', addition: 'bis' });
+      expect(parseHouseNumber('abc').houseNumber).toBeNull();
+    });
+
+    it('should parse a house number and addition from separate fields', () => {
+      expect(parseHouseNumberFields('23', 'a')).toEqual({ houseNumber: 23, houseLetter: 'a', addition: '' });
+      expect(parseHouseNumberFields('23', 'a-1')).toEqual({ houseNumber: 23, houseLetter: 'a', addition: '1' });
+      expect(parseHouseNumberFields('23', 'abc')).toEqual({ houseNumber: 23, houseLetter: '', addition: 'abc' });
+      expect(parseHouseNumberFields('12', '')).toMatchObject({ houseNumber: 12 });
+      expect(parseHouseNumberFields('12', '!!').houseNumber).toBeNull();
+    });
+
+    it('should compare number, letter and addition field by field', () => {
+      const plain = parseDutchAddress('Kerkstraat 23');
+      expect(isSameHouseNumber(plain, parseDutchAddress('kerkstraat 23 3511 ab utrecht'))).toBe(true);
+      expect(isSameHouseNumber(plain, parseDutchAddress('Kerkstraat 23a'))).toBe(false);
+      expect(isSameHouseNumber(parseDutchAddress('Kerkstraat 23 A'), parseDutchAddress('Kerkstraat 23a'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+// Dataset statistics per area: PC4 or PC6 postcode, city or municipality
+
+import { calculateRecordOutput } from './calculations';
+import { metricClass, CLUSTER_METRICS, UNKNOWN_METRIC_CLASS } from './pointClusters';
+import { toCsv } from './exportFile';
+
+export const GROUP_BY = {
+  PC4: 'pc4',
+  PC6: 'pc6',
+  CITY: 'city',
+  MUNICIPALITY: 'municipality'
+};
+
+export const GROUP_BY_LABELS = {
+  [GROUP_BY.PC4]: 'Postcode (PC4)',
+  [GROUP_BY.PC6]: 'Postcode (PC6)',
+  [GROUP_BY.CITY]: 'City',
+  [GROUP_BY.MUNICIPALITY]: 'Municipality'
+};
+
+// Confidence buckets, the same as the map overview's confidence colours
+export const CONFIDENCE_BUCKETS = [
+  ...CLUSTER_METRICS.confidence.classes.map(({ label }) => label),
+  UNKNOWN_METRIC_CLASS.label
+];
+
+/**
+ * Finds the area a record belongs to
+ * @param {Object} record - Solar panel record (see spreadsheetSchema's mapRow)
+ * @param {string} groupBy - One of GROUP_BY
+ * @returns {string|null} Area name, or null when the record has no postcode, city or municipality
+ */
+export const groupKeyOf = (record, groupBy) => {
+  const { postcode, city } = record.parsedAddress || {};
+  switch (groupBy) {
+    case GROUP_BY.PC4:
+      return postcode ? postcode.slice(0, 4) : null;
+    case GROUP_BY.PC6:
+      return postcode || null;
+    case GROUP_BY.CITY:
+      // Capitalize so "UTRECHT" and "Utrecht" form one group
+      return city ? city.toLowerCase().replace(/(^|[\s-])\S/g, (letter) => letter.toUpperCase()) : null;
+    case GROUP_BY.MUNICIPALITY:
+      return record.municipality || null;
+    default:
+      throw new Error(`Unknown grouping: ${groupBy}`);
+  }
+};
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Areas the totalBuildings column can count, finest first
+const BUILDING_COUNT_LEVELS = [GROUP_BY.PC6, GROUP_BY.PC4, GROUP_BY.CITY, GROUP_BY.MUNICIPALITY];
+
+const hasConflictingCounts = (records, keyOf) => {
+  const seen = new Map();
+  return records.some((record) => {
+    const key = keyOf(record);
+    if (!seen.has(key)) seen.set(key, record.totalBuildings);
+    return seen.get(key) !== record.totalBuildings;
+  });
+};
+
+/**
+ * Works out which areas the totalBuildings column counts, since the spreadsheet doesn't say:
+ * the levels whose areas each repeat a single count fit. A coarser fitting level is only chosen
+ * when one of its areas repeats the count across several finer areas (the finest such level);
+ * otherwise the data can't tell the levels apart and the finest is taken.
+ * @param {Object[]} records - Solar panel records
+ * @returns {string|null} One of GROUP_BY, or null when no rows have a count or no level fits
+ */
+export const buildingCountLevel = (records) => {
+  const counted = records.filter((record) => record.totalBuildings > 0);
+  if (counted.length === 0) return null;
+
+  const fitting = BUILDING_COUNT_LEVELS.filter((level) => counted.every((record) => groupKeyOf(record, level))
+    && !hasConflictingCounts(counted, (record) => groupKeyOf(record, level)));
+  if (fitting.length === 0) return null;
+
+  const [finest, ...coarser] = fitting;
+  const evidenced = coarser.find((level) => {
+    const finerAreas = new Map();
+    return counted.some((record) => {
+      const key = groupKeyOf(record, level);
+      if (!finerAreas.has(key)) finerAreas.set(key, new Set());
+      return finerAreas.get(key).add(groupKeyOf(record, finest)).size > 1;
+    });
+  });
+  return evidenced || finest;
+};
+
+/**
+ * Groups the records by area and computes the statistics of each group. The adoption rate is
+ * the share of the area's buildings with panels: the rows with a totalBuildings count that have
+ * panels, divided by the sum of the counts of the areas those rows are in (see
+ * buildingCountLevel). Groupings that don't consist of whole counted areas (e.g. PC6 groups of
+ * PC4 counts, or a key function) get no adoption rate.
+ * @param {Object} addressMap - Object mapping normalized addresses to solar panel records
+ * @param {string|Function} groupBy - One of GROUP_BY, or (record, key) => area key or null
+ * @returns {{groups: Object[], ungrouped: number, hasBuildings: boolean}} Groups sorted by
+ *   address count; ungrouped counts the records without an area
+ */
+export const aggregateRecords = (addressMap, groupBy) => {
+  const keyOf = typeof groupBy === 'function' ? groupBy : (record) => groupKeyOf(record, groupBy);
+  const byKey = new Map();
+  let ungrouped = 0;
+  let hasBuildings = false;
+
+  const countLevel = typeof groupBy === 'string' ? buildingCountLevel(Object.values(addressMap)) : null;
+  // PC6 areas lie within one PC4 area, city and municipality
+  const countsWholeAreas = countLevel === groupBy || countLevel === GROUP_BY.PC6;
+
+  Object.entries(addressMap).forEach(([addressKey, record]) => {
+    const key = keyOf(record, addressKey);
+    if (!key) {
+      ungrouped++;
+      return;
+    }
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(record);
+  });
+
+  const groups = [...byKey].map(([key, records]) => {
+    const panels = records.map((record) => record.panels || 0);
+    const outputs = records.map(calculateRecordOutput);
+    const installations = panels.filter((count) => count > 0).length;
+    let totalBuildings = null;
+    let adoptionRate = null;
+    const counted = countsWholeAreas ? records.filter((record) => record.totalBuildings > 0) : [];
+    if (counted.length > 0) {
+      const areaCounts = new Map(counted.map((record) => [groupKeyOf(record, countLevel), record.totalBuildings]));
+      totalBuildings = [...areaCounts.values()].reduce((sum, count) => sum + count, 0);
+      adoptionRate = counted.filter((record) => record.panels > 0).length / totalBuildings;
+      hasBuildings = true;
+    }
+
+    const confidence = Object.fromEntries(CONFIDENCE_BUCKETS.map((bucket) => [bucket, 0]));
+    records.forEach((record) => {
+      confidence[metricClass('confidence', record.confidence).label]++;
+    });
+
+    return {
+      key,
+      count: records.length,
+      installations,
+      totalPanels: panels.reduce((sum, count) => sum + count, 0),
+      medianPanels: median(panels),
+      totalKwp: outputs.reduce((sum, output) => sum + output.kwp, 0),
+      totalAnnualOutput: outputs.reduce((sum, output) => sum + output.annualOutput, 0),
+      totalBuildings,
+      adoptionRate,
+      confidence
+    };
+  });
+
+  groups.sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+  return { groups, ungrouped, hasBuildings };
+};
+
+/**
+ * Converts aggregated groups to CSV, one line per area
+ * @param {Object[]} groups - Groups from aggregateRecords
+ * @param {string} groupBy - One of GROUP_BY, for the first column's header
+ * @returns {string} CSV text
+ */
+export const aggregationToCsv = (groups, groupBy) => {
+  return toCsv(
+    [
+      GROUP_BY_LABELS[groupBy], 'Addresses', 'Total panels', 'Median panels', 'Total kWp',
+      'Annual output (kWh)', 'Total buildings', 'Adoption rate (%)',
+      ...CONFIDENCE_BUCKETS.map((bucket) => `Confidence ${bucket}`)
+    ],
+    groups.map((group) => [
+      group.key,
+      group.count,
+      group.totalPanels,
+      group.medianPanels,
+      group.totalKwp.toFixed(3),
+      Math.round(group.totalAnnualOutput),
+      group.totalBuildings ?? '',
+      group.adoptionRate === null ? '' : (group.adoptionRate * 100).toFixed(1),
+      ...CONFIDENCE_BUCKETS.map((bucket) => group.confidence[bucket])
+    ])
+  );
+};
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { groupKeyOf, median, aggregateRecords, aggregationToCsv, buildingCountLevel, GROUP_BY } from './aggregation';
+import { parseDutchAddress } from './addressParser';
+
+const record = (address, overrides) => ({
+  originalAddress: address,
+  parsedAddress: parseDutchAddress(address),
+  panels: 10,
+  avgPanelOutput: 400,
+  kwp: 0,
+  annualOutput: 0,
+  kwhPerKwpPerYear: 1000,
+  availabilityFactor: 100,
+  confidence: 8,
+  municipality: null,
+  totalBuildings: null,
+  ...overrides
+});
+
+const addressMap = {
+  a: record('Kerkstraat 23, 3511 AB Utrecht', { panels: 10, confidence: 9, totalBuildings: 4 }),
+  b: record('Kerkstraat 25, 3511 AB UTRECHT', { panels: 20, confidence: 3, totalBuildings: 4 }),
+  c: record('Oudegracht 101, 3511 AX Utrecht', { panels: 0, kwp: 0, confidence: 0 }),
+  d: record('Dam 1, 1012 JS Amsterdam', { panels: 4, kwp: 2, annualOutput: 1500, municipality: 'Amsterdam' }),
+  e: record('Somewhere without a postcode', { panels: 2 })
+};
+
+describe('Aggregation', () => {
+  describe('groupKeyOf', () => {
+    it('should derive PC4, PC6 and city from the parsed address', () => {
+      const { a, b } = addressMap;
+      expect(groupKeyOf(a, GROUP_BY.PC4)).toBe('3511');
+      expect(groupKeyOf(a, GROUP_BY.PC6)).toBe('3511AB');
+      expect(groupKeyOf(b, GROUP_BY.CITY)).toBe('Utrecht');
+      expect(groupKeyOf(record("1 Markt, 5211 JV 's-hertogenbosch"), GROUP_BY.CITY)).toBe("'s-Hertogenbosch");
+    });
+
+    it('should use the municipality column and return null for missing values', () => {
+      expect(groupKeyOf(addressMap.d, GROUP_BY.MUNICIPALITY)).toBe('Amsterdam');
+      expect(groupKeyOf(addressMap.a, GROUP_BY.MUNICIPALITY)).toBeNull();
+      expect(groupKeyOf(addressMap.e, GROUP_BY.PC4)).toBeNull();
+    });
+  });
+
+  describe('median', () => {
+    it('should take the middle value or the mean of the middle two', () => {
+      expect(median([3, 1, 2])).toBe(2);
+      expect(median([4, 1, 3, 2])).toBe(2.5);
+      expect(median([])).toBeNull();
+    });
+  });
+
+  describe('aggregateRecords', () => {
+    it('should compute the statistics per group', () => {
+      const { groups, ungrouped } = aggregateRecords(addressMap, GROUP_BY.PC4);
+      const [utrecht, amsterdam] = groups;
+
+      expect(ungrouped).toBe(1);
+      expect(utrecht).toMatchObject({ key: '3511', count: 3, installations: 2, totalPanels: 30, medianPanels: 10 });
+      // 30 panels × 400 Wp = 12 kWp; 12 kWp × 1000 kWh/kWp
+      expect(utrecht.totalKwp).toBeCloseTo(12, 5);
+      expect(utrecht.totalAnnualOutput).toBeCloseTo(12000, 5);
+      expect(utrecht.confidence).toEqual({ 'Low (1-4)': 1, 'Medium (5-7)': 0, 'High (8-10)': 1, Unknown: 1 });
+      // Stored kWp and annual output win over calculated ones
+      expect(amsterdam).toMatchObject({ key: '1012', totalKwp: 2, totalAnnualOutput: 1500 });
+    });
+
+    it('should report the adoption rate only where the buildings column is filled', () => {
+      const { groups, hasBuildings } = aggregateRecords(addressMap, GROUP_BY.PC6);
+      expect(hasBuildings).toBe(true);
+      expect(groups.find((group) => group.key === '3511AB')).toMatchObject({ totalBuildings: 4, adoptionRate: 0.5 });
+      expect(groups.find((group) => group.key === '1012JS').adoptionRate).toBeNull();
+    });
+
+    it('should sum the building counts of the areas in a coarser group without capping the rate', () => {
+      // PC6 counts grouped by PC4: 4 buildings in 3511AB plus 6 in 3511AX
+      const pc6Counts = {
+        ...addressMap,
+        c: { ...addressMap.c, totalBuildings: 6 }
+      };
+      const [utrecht] = aggregateRecords(pc6Counts, GROUP_BY.PC4).groups;
+      expect(utrecht).toMatchObject({ key: '3511', totalBuildings: 10, adoptionRate: 0.2 });
+
+      // More installations than counted buildings is reported as is
+      const overCounted = { a: { ...addressMap.a, totalBuildings: 1 }, b: { ...addressMap.b, totalBuildings: 1 } };
+      expect(aggregateRecords(overCounted, GROUP_BY.PC6).groups[0].adoptionRate).toBe(2);
+    });
+
+    it('should give no adoption rate to groups finer than the counted areas', () => {
+      // The same count in two PC6 areas of one PC4 area: PC4 counts
+      const pc4Counts = {
+        a: { ...addressMap.a, totalBuildings: 10 },
+        c: { ...addressMap.c, totalBuildings: 10 }
+      };
+      expect(aggregateRecords(pc4Counts, GROUP_BY.PC4).groups[0]).toMatchObject({ totalBuildings: 10, adoptionRate: 0.1 });
+      const { groups, hasBuildings } = aggregateRecords(pc4Counts, GROUP_BY.PC6);
+      expect(groups.map((group) => group.adoptionRate)).toEqual([null, null]);
+      expect(hasBuildings).toBe(false);
+    });
+
+    it('should leave records without a municipality ungrouped', () => {
+      const { groups, ungrouped, hasBuildings } = aggregateRecords(addressMap, GROUP_BY.MUNICIPALITY);
+      expect(groups.map((group) => group.key)).toEqual(['Amsterdam']);
+      expect(ungrouped).toBe(4);
+      expect(hasBuildings).toBe(false);
+    });
+
+    it('should group by a key function given the record and its address key', () => {
+      const { groups, ungrouped } = aggregateRecords(addressMap, (record, key) => (key === 'd' ? null : 'all'));
+      expect(groups).toEqual([expect.objectContaining({ key: 'all', count: 4 })]);
+      expect(ungrouped).toBe(1);
+    });
+  });
+
+  describe('buildingCountLevel', () => {
+    it('should take the finest level unless the counts repeat across finer areas', () => {
+      expect(buildingCountLevel([addressMap.a, addressMap.b])).toBe(GROUP_BY.PC6);
+      expect(buildingCountLevel([
+        { ...addressMap.a, totalBuildings: 10 },
+        { ...addressMap.c, totalBuildings: 10 }
+      ])).toBe(GROUP_BY.PC4);
+    });
+
+    it('should find no level when the counts differ within an area', () => {
+      expect(buildingCountLevel([addressMap.a, { ...addressMap.b, totalBuildings: 5 }])).toBeNull();
+      expect(buildingCountLevel([addressMap.c])).toBeNull();
+    });
+  });
+
+  describe('aggregationToCsv', () => {
+    it('should export one line per group', () => {
+      const { groups } = aggregateRecords({ a: addressMap.a, b: addressMap.b }, GROUP_BY.PC6);
+      expect(aggregationToCsv(groups, GROUP_BY.PC6).split('\n')).toEqual([
+        'Postcode (PC6),Addresses,Total panels,Median panels,Total kWp,Annual output (kWh),Total buildings,Adoption rate (%),'
+          + 'Confidence Low (1-4),Confidence Medium (5-7),Confidence High (8-10),Confidence Unknown',
+        '3511AB,2,30,15,12.000,12000,4,50.0,1,0,1,0'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,254 @@
+// Area boundaries (PC4 postcode areas, CBS wijken/buurten, ...) for the choropleth map layer
+
+import { toFeatureCollection } from './buildingGeometry';
+import { isPointInPolygon } from './areaSelection';
+import { GROUP_BY } from './aggregation';
+
+// How dataset records are matched to the areas of a boundary file: by postcode or municipality
+// (a feature property holds the area's code or name), or by the record's location
+export const BOUNDARY_JOINS = {
+  PC4: GROUP_BY.PC4,
+  PC6: GROUP_BY.PC6,
+  MUNICIPALITY: GROUP_BY.MUNICIPALITY,
+  LOCATION: 'location'
+};
+
+// Feature properties tried in order when a source doesn't name its key or label property.
+// The names cover the CBS postcode and wijk- en buurtkaart files.
+const KEY_PROPERTIES = {
+  [BOUNDARY_JOINS.PC4]: ['postcode', 'postcode4', 'pc4', 'PC4', 'pc4_code'],
+  [BOUNDARY_JOINS.PC6]: ['postcode', 'postcode6', 'pc6', 'PC6'],
+  [BOUNDARY_JOINS.MUNICIPALITY]: ['gemeentenaam', 'statnaam', 'naam', 'name'],
+  [BOUNDARY_JOINS.LOCATION]: ['buurtcode', 'wijkcode', 'gemeentecode', 'statcode', 'code', 'id']
+};
+const LABEL_PROPERTIES = ['buurtnaam', 'wijknaam', 'gemeentenaam', 'statnaam', 'naam', 'name'];
+
+/**
+ * Normalizes a configured boundary source (a URL string or {url, name, join, keyProperty, labelProperty})
+ * @param {string|Object} source - Entry from config.json's boundaries or VITE_BOUNDARY_SOURCES
+ * @returns {Object|null} {url, name, join, keyProperty, labelProperty}, or null when the entry has no URL
+ */
+export const normalizeBoundarySource = (source) => {
+  const entry = typeof source === 'string' ? { url: source } : source;
+  const url = entry?.url?.trim();
+  if (!url) return null;
+  const join = Object.values(BOUNDARY_JOINS).includes(entry.join) ? entry.join : BOUNDARY_JOINS.PC4;
+  return {
+    url,
+    name: entry.name || url,
+    join,
+    keyProperty: entry.keyProperty || null,
+    labelProperty: entry.labelProperty || null
+  };
+};
+
+// Boundary file used when none is configured. It is not part of the repository (see README);
+// the map only offers area colouring once it has been added
+export const DEFAULT_BOUNDARY_SOURCES = [
+  normalizeBoundarySource({ url: `${import.meta.env.BASE_URL}boundaries/pc4.geojson`, name: 'PC4 postcode areas' })
+];
+
+/**
+ * Normalizes an area code from a boundary file the way aggregation.js names its groups
+ * @param {string|number} value - Property value
+ * @param {string} join - One of BOUNDARY_JOINS
+ * @returns {string|null} Area key, or null for an empty value
+ */
+export const normalizeAreaKey = (value, join) => {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  switch (join) {
+    case BOUNDARY_JOINS.PC4:
+      return text.padStart(4, '0');
+    case BOUNDARY_JOINS.PC6:
+      return text.replace(/\s+/g, '').toUpperCase();
+    default:
+      return text;
+  }
+};
+
+const firstProperty = (properties, names) => names.find((name) => properties[name] !== undefined && properties[name] !== null);
+
+/**
+ * Prepares a boundary file for the map: converts it to WGS84 and gives every feature an
+ * areaKey (matching the dataset's group keys, or a unique ID for location joins) and an
+ * areaLabel. Other properties are dropped to keep the layer small.
+ * @param {Object} geoJson - Parsed GeoJSON
+ * @param {Object} source - Result of normalizeBoundarySource
+ * @returns {Object} FeatureCollection
+ */
+export const prepareBoundaries = (geoJson, source) => {
+  const collection = toFeatureCollection(geoJson);
+  if (!collection) {
+    throw new Error(`${source.name} is not valid GeoJSON`);
+  }
+
+  const sample = collection.features[0].properties;
+  const keyProperty = source.keyProperty || firstProperty(sample, KEY_PROPERTIES[source.join]);
+  const labelProperty = source.labelProperty || firstProperty(sample, LABEL_PROPERTIES) || keyProperty;
+  if (!keyProperty && source.join !== BOUNDARY_JOINS.LOCATION) {
+    throw new Error(`${source.name} has no ${source.join} property; set keyProperty in the configuration`);
+  }
+
+  const features = collection.features
+    .filter((feature) => ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+    .map((feature, index) => {
+      const areaKey = normalizeAreaKey(keyProperty ? feature.properties[keyProperty] : null, source.join)
+        ?? (source.join === BOUNDARY_JOINS.LOCATION ? `#${index}` : null);
+      return {
+        type: 'Feature',
+        properties: { areaKey, areaLabel: String(feature.properties[labelProperty] ?? areaKey ?? '') },
+        geometry: feature.geometry
+      };
+    })
+    .filter((feature) => feature.properties.areaKey);
+
+  return { type: 'FeatureCollection', features };
+};
+
+/**
+ * Fetches and prepares a boundary file
+ * @param {Object} source - Result of normalizeBoundarySource
+ * @returns {Promise<Object>} FeatureCollection, see prepareBoundaries
+ */
+export const loadBoundaries = async (source) => {
+  const response = await fetch(source.url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${source.name}: ${response.status} ${response.statusText}`);
+  }
+  // Dev servers answer a missing file with index.html
+  if (response.headers.get('content-type')?.includes('html')) {
+    throw new Error(`Failed to load ${source.name}: ${source.url} not found`);
+  }
+  let geoJson;
+  try {
+    geoJson = await response.json();
+  } catch {
+    throw new Error(`${source.name} is not valid GeoJSON`);
+  }
+  return prepareBoundaries(geoJson, source);
+};
+
+/**
+ * Checks that a boundary file exists without downloading it, so the map only offers sources it can load
+ * @param {Object} source - Result of normalizeBoundarySource
+ * @returns {Promise<boolean>} False when the file is missing or unreachable
+ */
+export const isBoundarySourceAvailable = async (source) => {
+  let response;
+  try {
+    response = await fetch(source.url, { method: 'HEAD' });
+  } catch {
+    return false;
+  }
+  // Servers without HEAD support: let loadBoundaries report any problem
+  if (response.status === 405 || response.status === 501) return true;
+  // Dev servers answer a missing file with index.html
+  return response.ok && !response.headers.get('content-type')?.includes('html');
+};
+
+// Grid cell size of the area index in degrees, about 5 km; a point is only tested against the
+// areas whose bounding box overlaps its cell
+const AREA_INDEX_CELL_SIZE = 0.05;
+
+const cellKey = (row, column) => `${row}:${column}`;
+
+/**
+ * Indexes prepared boundaries for findAreaKey: polygons as [lat, lon] rings, bucketed on a grid
+ * @param {Object} collection - FeatureCollection from prepareBoundaries
+ * @returns {Map<string, Object[]>} Areas ({key, south, west, north, east, polygons}) per grid cell
+ */
+export const buildAreaIndex = (collection) => {
+  const cells = new Map();
+  collection.features.forEach(({ properties, geometry }) => {
+    const polygons = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates)
+      .map((rings) => rings.map((ring) => ring.map(([lon, lat]) => [lat, lon])));
+    // Reduce rather than Math.min(...) since detailed outlines can exceed the argument limit
+    const bounds = polygons.flatMap(([outer]) => outer).reduce((box, [lat, lon]) => ({
+      south: Math.min(box.south, lat),
+      north: Math.max(box.north, lat),
+      west: Math.min(box.west, lon),
+      east: Math.max(box.east, lon)
+    }), { south: Infinity, north: -Infinity, west: Infinity, east: -Infinity });
+    const area = { key: properties.areaKey, ...bounds, polygons };
+
+    for (let row = Math.floor(bounds.south / AREA_INDEX_CELL_SIZE); row <= Math.floor(bounds.north / AREA_INDEX_CELL_SIZE); row++) {
+      for (let column = Math.floor(bounds.west / AREA_INDEX_CELL_SIZE); column <= Math.floor(bounds.east / AREA_INDEX_CELL_SIZE); column++) {
+        const key = cellKey(row, column);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(area);
+      }
+    }
+  });
+  return cells;
+};
+
+/**
+ * Finds the area that contains a point
+ * @param {Map<string, Object[]>} areaIndex - Result of buildAreaIndex
+ * @param {{lat: number, lon: number}} point - Location
+ * @returns {string|null} Area key, or null when the point lies outside every area
+ */
+export const findAreaKey = (areaIndex, point) => {
+  const { lat, lon } = point;
+  const candidates = areaIndex.get(cellKey(Math.floor(lat / AREA_INDEX_CELL_SIZE), Math.floor(lon / AREA_INDEX_CELL_SIZE))) || [];
+  const area = candidates.find((candidate) => lat >= candidate.south && lat <= candidate.north
+    && lon >= candidate.west && lon <= candidate.east
+    && candidate.polygons.some(([outer, ...holes]) => isPointInPolygon(point, outer)
+      && !holes.some((hole) => isPointInPolygon(point, hole))));
+  return area ? area.key : null;
+};
+
+// Values the choropleth can colour areas by, computed from aggregateRecords groups
+export const CHOROPLETH_METRICS = {
+  totalKwp: {
+    label: 'Total kWp',
+    value: (group) => group.totalKwp,
+    format: (value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} kWp`
+  },
+  panelsPerAddress: {
+    label: 'Panels per address',
+    value: (group) => group.totalPanels / group.count,
+    format: (value) => value.toLocaleString(undefined, { maximumFractionDigits: 1 })
+  },
+  adoptionRate: {
+    label: 'Adoption rate',
+    value: (group) => group.adoptionRate,
+    format: (value) => `${(value * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`
+  }
+};
+
+// Sequential colours from few to many panels, readable on aerial imagery
+export const CHOROPLETH_COLORS = ['#fff5c2', '#fed976', '#fd8d3c', '#e31a1c', '#800026'];
+export const NO_DATA_COLOR = '#9e9e9e';
+
+/**
+ * Splits values into classes with about the same number of areas each (quantiles)
+ * @param {number[]} values - Metric values of the areas with data
+ * @param {number} [classCount] - Number of classes (default: one per colour)
+ * @returns {number[]} Ascending lower bounds of the classes after the first; duplicates removed
+ */
+export const quantileBreaks = (values, classCount = CHOROPLETH_COLORS.length) => {
+  if (values.length === 0) return [];
+  const sorted = [...values].sort((a, b) => a - b);
+  const breaks = [];
+  for (let i = 1; i < classCount; i++) {
+    const value = sorted[Math.floor((i * sorted.length) / classCount)];
+    if (value > sorted[0] && value !== breaks[breaks.length - 1]) breaks.push(value);
+  }
+  return breaks;
+};
+
+/**
+ * Colour of a value given the class breaks from quantileBreaks
+ * @param {number|null} value - Metric value, or null when the area has no data
+ * @param {number[]} breaks - Class breaks
+ * @returns {string} CSS colour
+ */
+export const choroplethColor = (value, breaks) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return NO_DATA_COLOR;
+  const index = breaks.filter((limit) => value >= limit).length;
+  // Spread fewer classes over the whole ramp so the top class is always the darkest
+  const step = breaks.length > 0 ? (CHOROPLETH_COLORS.length - 1) / breaks.length : 0;
+  return CHOROPLETH_COLORS[Math.round(index * step)];
+};
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  normalizeBoundarySource,
+  normalizeAreaKey,
+  prepareBoundaries,
+  loadBoundaries,
+  isBoundarySourceAvailable,
+  buildAreaIndex,
+  findAreaKey,
+  quantileBreaks,
+  choroplethColor,
+  BOUNDARY_JOINS,
+  CHOROPLETH_COLORS,
+  NO_DATA_COLOR
+} from './areaBoundaries';
+
+// Axis-aligned square as a GeoJSON ring ([lon, lat])
+const square = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+const feature = (properties, coordinates, type = 'Polygon') => ({ type: 'Feature', properties, geometry: { type, coordinates } });
+
+const buurten = {
+  type: 'FeatureCollection',
+  features: [
+    // Centre with a hole around the Domtoren
+    feature({ buurtcode: 'BU03440101', buurtnaam: 'Domplein' }, [square(5.11, 52.085, 5.13, 52.095), square(5.12, 52.089, 5.122, 52.091)]),
+    feature({ buurtcode: 'BU03440102', buurtnaam: 'Domtoren' }, [square(5.12, 52.089, 5.122, 52.091)]),
+    feature({ buurtcode: 'BU03440103', buurtnaam: 'Wittevrouwen' }, [[square(5.13, 52.09, 5.14, 52.1)]], 'MultiPolygon')
+  ]
+};
+
+describe('Area Boundaries', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('normalizeBoundarySource', () => {
+    it('should default to a PC4 join named after the URL', () => {
+      expect(normalizeBoundarySource('/pc4.geojson')).toEqual({
+        url: '/pc4.geojson', name: '/pc4.geojson', join: 'pc4', keyProperty: null, labelProperty: null
+      });
+      expect(normalizeBoundarySource({ url: '/b.geojson', join: 'location', keyProperty: 'code' }))
+        .toMatchObject({ join: 'location', keyProperty: 'code' });
+      expect(normalizeBoundarySource({ name: 'No URL' })).toBeNull();
+    });
+  });
+
+  describe('normalizeAreaKey', () => {
+    it('should format postcodes like the dataset groups', () => {
+      expect(normalizeAreaKey(1011, BOUNDARY_JOINS.PC4)).toBe('1011');
+      expect(normalizeAreaKey('3511 ab', BOUNDARY_JOINS.PC6)).toBe('3511AB');
+      expect(normalizeAreaKey('', BOUNDARY_JOINS.PC4)).toBeNull();
+    });
+  });
+
+  describe('prepareBoundaries', () => {
+    it('should find the key and label properties of CBS files', () => {
+      const { features } = prepareBoundaries(buurten, normalizeBoundarySource({ url: '/buurten.geojson', join: 'location' }));
+      expect(features.map((area) => area.properties)).toEqual([
+        { areaKey: 'BU03440101', areaLabel: 'Domplein' },
+        { areaKey: 'BU03440102', areaLabel: 'Domtoren' },
+        { areaKey: 'BU03440103', areaLabel: 'Wittevrouwen' }
+      ]);
+    });
+
+    it('should convert RD New boundaries and key postcode areas', () => {
+      const pc4 = { type: 'FeatureCollection', features: [feature({ postcode: 3511 }, [square(136000, 455000, 137000, 456000)])] };
+      const [area] = prepareBoundaries(pc4, normalizeBoundarySource('/pc4.geojson')).features;
+      expect(area.properties).toEqual({ areaKey: '3511', areaLabel: '3511' });
+      const [lon, lat] = area.geometry.coordinates[0][0];
+      expect(lat).toBeCloseTo(52.08, 1);
+      expect(lon).toBeCloseTo(5.12, 1);
+    });
+
+    it('should reject files without the join property', () => {
+      expect(() => prepareBoundaries(buurten, normalizeBoundarySource({ url: '/b.geojson', name: 'Buurten' })))
+        .toThrow('Buurten has no pc4 property');
+      expect(() => prepareBoundaries({ type: 'Nonsense' }, normalizeBoundarySource('/x.geojson'))).toThrow('not valid GeoJSON');
+    });
+  });
+
+  describe('loadBoundaries', () => {
+    it('should treat an HTML answer as a missing file', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => new Response('<!doctype html>', { status: 200, headers: { 'Content-Type': 'text/html' } })));
+      await expect(loadBoundaries(normalizeBoundarySource('/pc4.geojson'))).rejects.toThrow('/pc4.geojson not found');
+    });
+  });
+
+  describe('isBoundarySourceAvailable', () => {
+    const source = normalizeBoundarySource('/boundaries/pc4.geojson');
+
+    it('should report a missing file as unavailable', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => new Response(null, { status: 404 })));
+      await expect(isBoundarySourceAvailable(source)).resolves.toBe(false);
+
+      // Dev servers answer a missing file with index.html
+      vi.stubGlobal('fetch', vi.fn(async () => new Response(null, { status: 200, headers: { 'Content-Type': 'text/html' } })));
+      await expect(isBoundarySourceAvailable(source)).resolves.toBe(false);
+
+      vi.stubGlobal('fetch', vi.fn(async () => {
+        throw new TypeError('Failed to fetch');
+      }));
+      await expect(isBoundarySourceAvailable(source)).resolves.toBe(false);
+    });
+
+    it('should report an existing file as available without downloading it', async () => {
+      const fetchMock = vi.fn(async () => new Response(null, { status: 200, headers: { 'Content-Type': 'application/geo+json' } }));
+      vi.stubGlobal('fetch', fetchMock);
+      await expect(isBoundarySourceAvailable(source)).resolves.toBe(true);
+      expect(fetchMock).toHaveBeenCalledWith('/boundaries/pc4.geojson', { method: 'HEAD' });
+    });
+  });
+
+  describe('findAreaKey', () => {
+    it('should find the area containing a point, respecting holes', () => {
+      const index = buildAreaIndex(prepareBoundaries(buurten, normalizeBoundarySource({ url: '/b.geojson', join: 'location' })));
+      expect(findAreaKey(index, { lat: 52.087, lon: 5.115 })).toBe('BU03440101');
+      expect(findAreaKey(index, { lat: 52.09, lon: 5.121 })).toBe('BU03440102');
+      expect(findAreaKey(index, { lat: 52.095, lon: 5.135 })).toBe('BU03440103');
+      expect(findAreaKey(index, { lat: 52.3731, lon: 4.8926 })).toBeNull();
+    });
+  });
+
+  describe('choropleth classes', () => {
+    it('should split values into quantile classes', () => {
+      const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+      const breaks = quantileBreaks(values);
+      expect(breaks).toEqual([3, 5, 7, 9]);
+      expect(choroplethColor(1, breaks)).toBe(CHOROPLETH_COLORS[0]);
+      expect(choroplethColor(8, breaks)).toBe(CHOROPLETH_COLORS[3]);
+      expect(choroplethColor(10, breaks)).toBe(CHOROPLETH_COLORS[4]);
+      expect(choroplethColor(null, breaks)).toBe(NO_DATA_COLOR);
+    });
+
+    it('should spread fewer distinct values over the whole colour ramp', () => {
+      const breaks = quantileBreaks([1, 1, 1, 2, 2]);
+      expect(breaks).toEqual([2]);
+      expect(choroplethColor(1, breaks)).toBe(CHOROPLETH_COLORS[0]);
+      expect(choroplethColor(2, breaks)).toBe(CHOROPLETH_COLORS[4]);
+      expect(quantileBreaks([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// Selecting the dataset records inside an area drawn on the map, with totals for grid planning
+
+import { calculateRecordOutput } from './calculations';
+import { toCsv } from './exportFile';
+
+/**
+ * Checks whether a point lies inside a polygon (ray casting; fine for neighbourhood-sized areas)
+ * @param {{lat: number, lon: number}} point - Point to test
+ * @param {Array<[number, number]>} polygon - Polygon vertices as [lat, lon], not closed
+ * @returns {boolean}
+ */
+export const isPointInPolygon = ({ lat, lon }, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Selects the points inside a polygon
+ * @param {Object[]} points - Points with lat and lon, e.g. from buildPointIndex
+ * @param {Array<[number, number]>} polygon - Polygon vertices as [lat, lon]
+ * @returns {Object[]} Points inside the polygon
+ */
+export const selectPointsInPolygon = (points, polygon) => {
+  const lats = polygon.map(([lat]) => lat);
+  const lons = polygon.map(([, lon]) => lon);
+  const south = Math.min(...lats);
+  const north = Math.max(...lats);
+  const west = Math.min(...lons);
+  const east = Math.max(...lons);
+
+  return points.filter((point) => point.lat >= south && point.lat <= north && point.lon >= west && point.lon <= east
+    && isPointInPolygon(point, polygon));
+};
+
+/**
+ * Converts a record to a row of the area selection
+ * @param {string} key - Normalized address
+ * @param {Object} record - Solar panel record
+ * @param {{lat: number, lon: number}} location - Location the record was selected by
+ * @returns {Object} {key, address, lat, lon, panels, kwp, annualOutput, confidence}
+ */
+export const toSelectionRow = (key, record, { lat, lon }) => ({
+  key,
+  address: record.originalAddress,
+  lat,
+  lon,
+  panels: record.panels || 0,
+  ...calculateRecordOutput(record),
+  confidence: record.confidence || null
+});
+
+/**
+ * Sums the selected rows. The mean confidence skips rows without a confidence level.
+ * @param {Object[]} rows - Rows from toSelectionRow
+ * @returns {{count: number, totalPanels: number, totalKwp: number, totalAnnualOutput: number, meanConfidence: number|null}}
+ */
+export const summarizeSelection = (rows) => {
+  const rated = rows.filter((row) => row.confidence > 0);
+  return {
+    count: rows.length,
+    totalPanels: rows.reduce((sum, row) => sum + row.panels, 0),
+    totalKwp: rows.reduce((sum, row) => sum + row.kwp, 0),
+    totalAnnualOutput: rows.reduce((sum, row) => sum + row.annualOutput, 0),
+    meanConfidence: rated.length > 0 ? rated.reduce((sum, row) => sum + row.confidence, 0) / rated.length : null
+  };
+};
+
+/**
+ * Converts the selected rows to CSV, one line per address
+ * @param {Object[]} rows - Rows from toSelectionRow
+ * @returns {string} CSV text
+ */
+export const selectionToCsv = (rows) => {
+  return toCsv(
+    ['Address', 'Latitude', 'Longitude', 'Panels', 'kWp', 'Annual output (kWh)', 'Confidence'],
+    rows.map((row) => [
+      row.address,
+      row.lat.toFixed(6),
+      row.lon.toFixed(6),
+      row.panels,
+      row.kwp.toFixed(3),
+      Math.round(row.annualOutput),
+      row.confidence ?? ''
+    ])
+  );
+};
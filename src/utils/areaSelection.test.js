@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { isPointInPolygon, selectPointsInPolygon, toSelectionRow, summarizeSelection, selectionToCsv } from './areaSelection';
+
+// Roughly the Utrecht city centre, as [lat, lon] vertices
+const centre = [[52.095, 5.11], [52.095, 5.13], [52.085, 5.13], [52.085, 5.11]];
+// L-shaped polygon whose bounding box also covers the cut-out north-east corner
+const lShape = [[52.1, 5.1], [52.1, 5.11], [52.09, 5.11], [52.09, 5.12], [52.08, 5.12], [52.08, 5.1]];
+
+const record = (overrides) => ({
+  originalAddress: 'Domplein 1, Utrecht',
+  panels: 10,
+  avgPanelOutput: 435,
+  kwp: 0,
+  annualOutput: 0,
+  kwhPerKwpPerYear: 875,
+  availabilityFactor: 100,
+  confidence: 8,
+  ...overrides
+});
+
+describe('Area Selection', () => {
+  describe('isPointInPolygon', () => {
+    it('should tell inside from outside points', () => {
+      expect(isPointInPolygon({ lat: 52.0907, lon: 5.1214 }, centre)).toBe(true);
+      expect(isPointInPolygon({ lat: 52.1, lon: 5.1214 }, centre)).toBe(false);
+    });
+
+    it('should handle concave polygons', () => {
+      expect(isPointInPolygon({ lat: 52.095, lon: 5.105 }, lShape)).toBe(true);
+      expect(isPointInPolygon({ lat: 52.095, lon: 5.115 }, lShape)).toBe(false);
+    });
+  });
+
+  describe('selectPointsInPolygon', () => {
+    it('should keep only the points inside', () => {
+      const points = [
+        { key: 'a', lat: 52.0907, lon: 5.1214 },
+        { key: 'b', lat: 52.3731, lon: 4.8926 },
+        { key: 'c', lat: 52.088, lon: 5.112 }
+      ];
+      expect(selectPointsInPolygon(points, centre).map((point) => point.key)).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('summarizeSelection', () => {
+    it('should total panels, kWp and annual output and average the confidence', () => {
+      const rows = [
+        toSelectionRow('a', record(), { lat: 52.09, lon: 5.12 }),
+        toSelectionRow('b', record({ panels: 20, kwp: 9, annualOutput: 8000, confidence: 6 }), { lat: 52.09, lon: 5.12 }),
+        toSelectionRow('c', record({ panels: 4, confidence: 0 }), { lat: 52.09, lon: 5.12 })
+      ];
+      const summary = summarizeSelection(rows);
+
+      expect(summary.count).toBe(3);
+      expect(summary.totalPanels).toBe(34);
+      // 4.35 + 9 + 1.74 kWp
+      expect(summary.totalKwp).toBeCloseTo(15.09, 5);
+      // 4.35 × 875 + 8000 + 1.74 × 875 kWh
+      expect(summary.totalAnnualOutput).toBeCloseTo(13328.75, 2);
+      expect(summary.meanConfidence).toBe(7);
+    });
+
+    it('should have no mean confidence for an empty selection', () => {
+      expect(summarizeSelection([])).toEqual({ count: 0, totalPanels: 0, totalKwp: 0, totalAnnualOutput: 0, meanConfidence: null });
+    });
+  });
+
+  describe('selectionToCsv', () => {
+    it('should export one line per address', () => {
+      const csv = selectionToCsv([toSelectionRow('a', record(), { lat: 52.0907, lon: 5.1214 })]);
+      expect(csv.split('\n')).toEqual([
+        'Address,Latitude,Longitude,Panels,kWp,Annual output (kWh),Confidence',
+        '"Domplein 1, Utrecht",52.090700,5.121400,10,4.350,3806,8'
+      ]);
+    });
+  });
+});
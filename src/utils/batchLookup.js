@@ -0,0 +1,190 @@
+// Batch lookup: match a customer's list of addresses against the dataset and export the results
+
+import * as XLSX from 'xlsx';
+import { findAddressMatches, findPostcodeMatches, needsDisambiguation } from './addressMatcher';
+import { normalizePostcode } from './addressParser';
+import { calculateSolarPanelOutput } from './calculations';
+import { resolveColumns, COLUMN_SCHEMA } from './spreadsheetSchema';
+
+// Rows between progress callbacks; matching a row scans the whole dataset, so report often
+const BATCH_PROGRESS_INTERVAL = 25;
+
+export const BATCH_STATUS = {
+  MATCHED: 'matched',
+  // The best match is uncertain or nearly tied, as when the search bar asks "did you mean"
+  AMBIGUOUS: 'ambiguous',
+  NOT_FOUND: 'not-found',
+  // Row without an address
+  EMPTY: 'empty'
+};
+
+export const BATCH_STATUS_LABELS = {
+  [BATCH_STATUS.MATCHED]: 'Matched',
+  [BATCH_STATUS.AMBIGUOUS]: 'Check match',
+  [BATCH_STATUS.NOT_FOUND]: 'Not found',
+  [BATCH_STATUS.EMPTY]: 'No address'
+};
+
+// Columns of an uploaded address list: a full address, or postcode and house number
+const INPUT_SCHEMA = [
+  COLUMN_SCHEMA.find(({ field }) => field === 'address'),
+  { field: 'postcode', aliases: ['Postcode', 'Postal code', 'Zip'] },
+  { field: 'houseNumber', aliases: ['House number', 'Huisnummer', 'Number', 'Nr'] },
+  { field: 'addition', aliases: ['Addition', 'Toevoeging', 'House number addition', 'Huisnummertoevoeging'] }
+];
+
+/**
+ * Reads the address list from the first sheet of a workbook. Columns without a header are
+ * named "Column N" (N counting from 1), and a header already taken (whether found in the
+ * sheet or generated) gets its column number added.
+ * @param {Object} workbook - Workbook as returned by XLSX.read
+ * @returns {{headers: string[], rows: Object[]}} Column headers in sheet order and the rows,
+ *   keyed by those headers
+ */
+export const readBatchRows = (workbook) => {
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const [headerRow = [], ...valueRows] = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false, defval: '' });
+  const width = valueRows.reduce((max, values) => Math.max(max, values.length), headerRow.length);
+
+  const headers = [];
+  for (let column = 0; column < width; column++) {
+    let header = String(headerRow[column] ?? '').trim() || `Column ${column + 1}`;
+    while (headers.includes(header)) {
+      header = `${header} (column ${column + 1})`;
+    }
+    headers.push(header);
+  }
+
+  const rows = valueRows.map((values) => Object.fromEntries(headers.map((header, column) => [header, values[column] ?? ''])));
+  return { headers, rows };
+};
+
+/**
+ * Finds the input columns of an address list. Without a recognized header the first
+ * column is taken as the address.
+ * @param {string[]} headers - Column headers
+ * @returns {Object} Headers of the address, postcode, houseNumber and addition columns found
+ */
+export const resolveBatchColumns = (headers) => {
+  const columns = resolveColumns(headers, INPUT_SCHEMA);
+  if (!columns.address && !(columns.postcode && columns.houseNumber) && headers.length > 0) {
+    columns.address = headers[0];
+  }
+  return columns;
+};
+
+/**
+ * Looks up one row of an address list. Rows with a postcode and house number are matched
+ * like the postcode search, others like the address search.
+ * @param {Object} row - Row of the address list
+ * @param {Object} columns - Result of resolveBatchColumns
+ * @param {Object} addressMap - Object mapping normalized addresses to solar panel records
+ * @returns {Object} {query, status, score, matchedAddress, panels, kwp, annualOutput, confidence}
+ */
+export const lookupBatchRow = (row, columns, addressMap) => {
+  const value = (field) => (columns[field] ? String(row[columns[field]] ?? '').trim() : '');
+  const postcode = normalizePostcode(value('postcode'));
+  const houseNumber = parseInt(value('houseNumber'), 10);
+
+  let query;
+  let candidates;
+  if (postcode && houseNumber > 0) {
+    const addition = value('addition');
+    query = `${postcode} ${houseNumber}${addition ? ` ${addition}` : ''}`;
+    candidates = findPostcodeMatches({ postcode, houseNumber, addition }, addressMap);
+  } else {
+    query = value('address');
+    if (!query) {
+      return { query, status: BATCH_STATUS.EMPTY, score: null, matchedAddress: null };
+    }
+    candidates = findAddressMatches(query, addressMap);
+  }
+
+  if (candidates.length === 0) {
+    return { query, status: BATCH_STATUS.NOT_FOUND, score: null, matchedAddress: null };
+  }
+
+  const [best] = candidates;
+  const { data } = best;
+  const { kwp, annualOutput } = calculateSolarPanelOutput({
+    panels: data.panels,
+    avgPanelOutput: data.avgPanelOutput,
+    kwhPerKwpPerYear: data.kwhPerKwpPerYear,
+    availabilityFactor: data.availabilityFactor
+  });
+  return {
+    query,
+    status: needsDisambiguation(candidates) ? BATCH_STATUS.AMBIGUOUS : BATCH_STATUS.MATCHED,
+    score: best.score,
+    matchedAddress: data.originalAddress,
+    panels: data.panels,
+    kwp,
+    annualOutput,
+    confidence: data.confidence || null
+  };
+};
+
+/**
+ * Looks up every row of an address list
+ * @param {Object[]} rows - Rows of the address list
+ * @param {Object} columns - Result of resolveBatchColumns
+ * @param {Object} addressMap - Object mapping normalized addresses to solar panel records
+ * @param {Object} [options] - Lookup options
+ * @param {Function} [options.onProgress] - Receives {stage: 'lookup', loaded, total} updates
+ * @returns {Object[]} One result per row, see lookupBatchRow
+ */
+export const lookupBatchRows = (rows, columns, addressMap, { onProgress } = {}) => {
+  const results = rows.map((row, index) => {
+    if (onProgress && index % BATCH_PROGRESS_INTERVAL === 0) {
+      onProgress({ stage: 'lookup', loaded: index, total: rows.length });
+    }
+    return lookupBatchRow(row, columns, addressMap);
+  });
+  onProgress?.({ stage: 'lookup', loaded: rows.length, total: rows.length });
+  return results;
+};
+
+/**
+ * Counts the results per status
+ * @param {Object[]} results - Results of lookupBatchRows
+ * @returns {Object} Count per BATCH_STATUS value
+ */
+export const summarizeBatch = (results) => {
+  const counts = Object.fromEntries(Object.values(BATCH_STATUS).map((status) => [status, 0]));
+  results.forEach(({ status }) => {
+    counts[status]++;
+  });
+  return counts;
+};
+
+/**
+ * Writes the address list with the lookup results appended to every row as an XLSX file
+ * @param {string[]} headers - Column headers of the address list
+ * @param {Object[]} rows - Rows of the address list
+ * @param {Object[]} results - Results of lookupBatchRows, in row order
+ * @returns {ArrayBuffer} XLSX file content
+ */
+export const batchResultsToXlsx = (headers, rows, results) => {
+  const resultHeaders = [
+    'Match status', 'Match score', 'Matched address', 'Panels', 'kWp (calculated)',
+    'Annual output (kWh, calculated)', 'Confidence'
+  ];
+  const sheetRows = rows.map((row, index) => {
+    const result = results[index];
+    const matched = result.matchedAddress !== null;
+    return [
+      ...headers.map((header) => row[header] ?? ''),
+      BATCH_STATUS_LABELS[result.status],
+      matched ? Math.round(result.score * 100) / 100 : '',
+      matched ? result.matchedAddress : '',
+      matched ? result.panels : '',
+      matched ? Math.round(result.kwp * 1000) / 1000 : '',
+      matched ? Math.round(result.annualOutput) : '',
+      matched ? result.confidence ?? '' : ''
+    ];
+  });
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[...headers, ...resultHeaders], ...sheetRows]), 'Results');
+  return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+};
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as XLSX from 'xlsx';
+import {
+  readBatchRows,
+  resolveBatchColumns,
+  lookupBatchRow,
+  lookupBatchRows,
+  summarizeBatch,
+  batchResultsToXlsx,
+  BATCH_STATUS
+} from './batchLookup';
+import { rowsToAddressMap } from './spreadsheetSchema';
+
+const addressMap = rowsToAddressMap([
+  { Address: 'Kerkstraat 23, 3511 AB Utrecht', Panels: 10, 'Confidence level (1-10)': 8 },
+  { Address: 'Kerkstraat 23a, 3511 AB Utrecht', Panels: 6 },
+  { Address: 'Oudegracht 101, 3511 AX Utrecht', Panels: 4 },
+  { Address: 'Kerkstraat 23, 3811 AB Amersfoort', Panels: 12 }
+]);
+
+const workbookOf = (rows) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  return workbook;
+};
+
+describe('Batch Lookup', () => {
+  describe('readBatchRows', () => {
+    it('should name columns without a header after their position', () => {
+      const { headers, rows } = readBatchRows(workbookOf([
+        ['Address', '', 'Notes', 'Notes'],
+        ['Kerkstraat 23, 3511 AB Utrecht', 'x', 'first', 'second', 'extra']
+      ]));
+      expect(headers).toEqual(['Address', 'Column 2', 'Notes', 'Notes (column 4)', 'Column 5']);
+      expect(rows).toEqual([{
+        Address: 'Kerkstraat 23, 3511 AB Utrecht', 'Column 2': 'x', Notes: 'first', 'Notes (column 4)': 'second', 'Column 5': 'extra'
+      }]);
+    });
+
+    it('should not reuse a header from the sheet for a column without one', () => {
+      const { headers, rows } = readBatchRows(workbookOf([
+        ['Column 2', '', 'Address'],
+        ['first', 'second', 'Kerkstraat 23, 3511 AB Utrecht']
+      ]));
+      expect(headers).toEqual(['Column 2', 'Column 2 (column 2)', 'Address']);
+      expect(rows[0]).toMatchObject({ 'Column 2': 'first', 'Column 2 (column 2)': 'second' });
+    });
+  });
+
+  describe('resolveBatchColumns', () => {
+    it('should find address or postcode columns', () => {
+      expect(resolveBatchColumns(['Customer', 'Adres'])).toEqual({ address: 'Adres' });
+      expect(resolveBatchColumns(['Postcode', 'Huisnummer', 'Toevoeging']))
+        .toEqual({ postcode: 'Postcode', houseNumber: 'Huisnummer', addition: 'Toevoeging' });
+    });
+
+    it('should take the first column when no header is recognized', () => {
+      expect(resolveBatchColumns(['Locatie', 'Notes'])).toEqual({ address: 'Locatie' });
+    });
+  });
+
+  describe('lookupBatchRow', () => {
+    it('should match an address and calculate its output', () => {
+      const result = lookupBatchRow({ Address: 'Oudegracht 101 Utrecht' }, { address: 'Address' }, addressMap);
+      expect(result).toMatchObject({
+        query: 'Oudegracht 101 Utrecht',
+        status: BATCH_STATUS.MATCHED,
+        matchedAddress: 'Oudegracht 101, 3511 AX Utrecht',
+        panels: 4
+      });
+      // 4 panels × 435 Wp; 1.74 kWp × 875 kWh/kWp × 99%
+      expect(result.kwp).toBeCloseTo(1.74, 5);
+      expect(result.annualOutput).toBeCloseTo(1507.275, 3);
+    });
+
+    it('should use postcode and house number when present', () => {
+      const columns = { postcode: 'PC', houseNumber: 'Nr', addition: 'Add' };
+      expect(lookupBatchRow({ PC: '3511ab', Nr: '23', Add: 'a' }, columns, addressMap))
+        .toMatchObject({ query: '3511AB 23 a', status: BATCH_STATUS.MATCHED, panels: 6 });
+    });
+
+    it('should flag uncertain, missing and empty rows', () => {
+      expect(lookupBatchRow({ Address: 'Kerkstraat 23' }, { address: 'Address' }, addressMap).status).toBe(BATCH_STATUS.AMBIGUOUS);
+      expect(lookupBatchRow({ Address: 'Dam 1 Amsterdam' }, { address: 'Address' }, addressMap))
+        .toMatchObject({ status: BATCH_STATUS.NOT_FOUND, matchedAddress: null });
+      expect(lookupBatchRow({ Address: ' ' }, { address: 'Address' }, addressMap).status).toBe(BATCH_STATUS.EMPTY);
+    });
+  });
+
+  describe('lookupBatchRows', () => {
+    it('should look up every row and report progress', () => {
+      const onProgress = vi.fn();
+      const rows = [{ Address: 'Kerkstraat 23, 3511 AB Utrecht' }, { Address: 'Dam 1 Amsterdam' }];
+      const results = lookupBatchRows(rows, { address: 'Address' }, addressMap, { onProgress });
+
+      expect(summarizeBatch(results)).toEqual({ matched: 1, ambiguous: 0, 'not-found': 1, empty: 0 });
+      expect(onProgress).toHaveBeenCalledWith({ stage: 'lookup', loaded: 0, total: 2 });
+      expect(onProgress).toHaveBeenLastCalledWith({ stage: 'lookup', loaded: 2, total: 2 });
+    });
+  });
+
+  describe('batchResultsToXlsx', () => {
+    it('should append the results to the uploaded columns', () => {
+      const { headers, rows } = readBatchRows(workbookOf([
+        ['Customer', 'Address'],
+        ['A', 'Kerkstraat 23, 3511 AB Utrecht'],
+        ['B', 'Dam 1 Amsterdam']
+      ]));
+      const results = lookupBatchRows(rows, resolveBatchColumns(headers), addressMap);
+      const output = XLSX.read(batchResultsToXlsx(headers, rows, results), { type: 'array' });
+      const [header, matched, notFound] = XLSX.utils.sheet_to_json(output.Sheets.Results, { header: 1 });
+
+      expect(header).toEqual([
+        'Customer', 'Address', 'Match status', 'Match score', 'Matched address', 'Panels',
+        'kWp (calculated)', 'Annual output (kWh, calculated)', 'Confidence'
+      ]);
+      expect(matched).toEqual(['A', 'Kerkstraat 23, 3511 AB Utrecht', 'Matched', 1, 'Kerkstraat 23, 3511 AB Utrecht', 10, 4.35, 3768, 8]);
+      expect(notFound.slice(0, 3)).toEqual(['B', 'Dam 1 Amsterdam', 'Not found']);
+    });
+  });
+});
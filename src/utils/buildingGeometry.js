@@ -0,0 +1,130 @@
+// Building footprints and detected-panel polygons shown as overlays on the map
+
+import { rdToWgs84 } from './coordinates';
+
+// PDOK BAG OGC API (WGS84 GeoJSON)
+const BAG_PAND_ITEMS_URL = 'https://api.pdok.nl/kadaster/bag/ogc/v1/collections/pand/items';
+
+const GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+// Applies fn to every [x, y] position of a geometry
+const mapPositions = (geometry, fn) => {
+  if (!geometry) return geometry;
+  if (geometry.type === 'GeometryCollection') {
+    return { ...geometry, geometries: geometry.geometries.map((part) => mapPositions(part, fn)) };
+  }
+  const mapNested = (coordinates) => (typeof coordinates[0] === 'number' ? fn(coordinates) : coordinates.map(mapNested));
+  return { ...geometry, coordinates: mapNested(geometry.coordinates) };
+};
+
+const firstPosition = (geometry) => {
+  if (!geometry) return null;
+  if (geometry.type === 'GeometryCollection') return firstPosition(geometry.geometries[0]);
+  let coordinates = geometry.coordinates;
+  while (Array.isArray(coordinates) && Array.isArray(coordinates[0])) {
+    coordinates = coordinates[0];
+  }
+  return Array.isArray(coordinates) && typeof coordinates[0] === 'number' ? coordinates : null;
+};
+
+/**
+ * Normalizes GeoJSON (a geometry, Feature or FeatureCollection, as an object or JSON text)
+ * to a FeatureCollection in WGS84. Geometries in RD New metres are converted.
+ * @param {string|Object} value - GeoJSON value from a dataset cell
+ * @returns {Object|null} FeatureCollection, or null when the value is not valid GeoJSON
+ */
+export const toFeatureCollection = (value) => {
+  let geoJson = value;
+  if (typeof value === 'string') {
+    try {
+      geoJson = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!geoJson || typeof geoJson !== 'object') return null;
+
+  let features;
+  if (geoJson.type === 'FeatureCollection' && Array.isArray(geoJson.features)) {
+    features = geoJson.features;
+  } else if (geoJson.type === 'Feature') {
+    features = [geoJson];
+  } else if (GEOMETRY_TYPES.includes(geoJson.type)) {
+    features = [{ type: 'Feature', properties: {}, geometry: geoJson }];
+  } else {
+    return null;
+  }
+
+  const valid = features.every((feature) => feature?.geometry && firstPosition(feature.geometry));
+  if (!valid || features.length === 0) return null;
+
+  return {
+    type: 'FeatureCollection',
+    features: features.map((feature) => {
+      // Longitudes in the Netherlands are below 8; RD New X values are metres
+      const [x] = firstPosition(feature.geometry);
+      const geometry = Math.abs(x) > 180
+        ? mapPositions(feature.geometry, ([rdX, rdY]) => {
+          const { lat, lon } = rdToWgs84(rdX, rdY);
+          return [lon, lat];
+        })
+        : feature.geometry;
+      return { type: 'Feature', properties: feature.properties || {}, geometry };
+    })
+  };
+};
+
+/**
+ * Normalizes a BAG pand ID: 16 digits, restoring leading zeros lost by spreadsheets.
+ * Also accepts the "NL.IMBAG.Pand." prefix.
+ * @param {string|number} value - Pand ID from a dataset cell
+ * @returns {string|null} 16-digit pand ID, or null when the value is not a pand ID
+ */
+export const normalizeBagPandId = (value) => {
+  const digits = String(value ?? '').trim().replace(/^NL\.IMBAG\.Pand\./i, '');
+  if (!/^\d{1,16}$/.test(digits)) return null;
+  return digits.padStart(16, '0');
+};
+
+const footprintCache = new Map();
+
+/**
+ * Fetches the footprint of a BAG pand from PDOK. Results (including misses) are cached per ID.
+ * @param {string} pandId - 16-digit BAG pand ID
+ * @returns {Promise<Object|null>} FeatureCollection, or null when the pand does not exist
+ */
+export const fetchBagFootprint = (pandId) => {
+  if (!footprintCache.has(pandId)) {
+    const request = (async () => {
+      const params = new URLSearchParams({ identificatie: pandId, f: 'json' });
+      const response = await fetch(`${BAG_PAND_ITEMS_URL}?${params}`);
+      if (!response.ok) {
+        throw new Error(`BAG request failed (HTTP ${response.status})`);
+      }
+      return toFeatureCollection(await response.json());
+    })();
+    footprintCache.set(pandId, request);
+    // Don't cache failed requests
+    request.catch(() => footprintCache.delete(pandId));
+  }
+  return footprintCache.get(pandId);
+};
+
+/**
+ * Resolves the map overlays of a record: the building footprint (from its GeoJSON column,
+ * else fetched by BAG pand ID) and the detected-panel polygons
+ * @param {Object} record - Solar panel record
+ * @param {function(string): Promise<Object|null>} [fetchFootprint=fetchBagFootprint] - Footprint loader
+ * @returns {Promise<{footprint: Object|null, panels: Object|null}>} FeatureCollections
+ */
+export const loadRecordOverlays = async (record, fetchFootprint = fetchBagFootprint) => {
+  let footprint = record.footprint || null;
+  if (!footprint && record.bagPandId) {
+    try {
+      footprint = await fetchFootprint(record.bagPandId);
+    } catch (error) {
+      console.warn(`Failed to load the footprint of pand ${record.bagPandId}:`, error);
+    }
+  }
+  return { footprint, panels: record.panelPolygons || null };
+};
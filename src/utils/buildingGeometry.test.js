@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { toFeatureCollection, normalizeBagPandId, fetchBagFootprint, loadRecordOverlays } from './buildingGeometry';
+
+const square = {
+  type: 'Polygon',
+  coordinates: [[[5.1214, 52.0907], [5.1215, 52.0907], [5.1215, 52.0908], [5.1214, 52.0907]]]
+};
+
+describe('Building Geometry', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('toFeatureCollection', () => {
+    it('should wrap a geometry or Feature in a FeatureCollection', () => {
+      expect(toFeatureCollection(square).features).toEqual([{ type: 'Feature', properties: {}, geometry: square }]);
+      const feature = { type: 'Feature', properties: { id: 1 }, geometry: square };
+      expect(toFeatureCollection(JSON.stringify(feature)).features).toEqual([feature]);
+    });
+
+    it('should keep the features of a FeatureCollection', () => {
+      const collection = {
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', properties: { panel: 1 }, geometry: square },
+          { type: 'Feature', properties: { panel: 2 }, geometry: square }
+        ]
+      };
+      expect(toFeatureCollection(collection)).toEqual(collection);
+    });
+
+    it('should convert RD New coordinates to WGS84 longitude/latitude', () => {
+      const { features } = toFeatureCollection({ type: 'Point', coordinates: [120700.723, 487525.501] });
+      const [lon, lat] = features[0].geometry.coordinates;
+      expect(lat).toBeCloseTo(52.374533, 5);
+      expect(lon).toBeCloseTo(4.883526, 5);
+    });
+
+    it('should reject values that are not GeoJSON', () => {
+      expect(toFeatureCollection('{not json')).toBeNull();
+      expect(toFeatureCollection('POLYGON((0 0, 1 0, 1 1, 0 0))')).toBeNull();
+      expect(toFeatureCollection({ type: 'Polygon' })).toBeNull();
+      expect(toFeatureCollection({ type: 'FeatureCollection', features: [] })).toBeNull();
+    });
+  });
+
+  describe('normalizeBagPandId', () => {
+    it('should restore leading zeros and strip the IMBAG prefix', () => {
+      expect(normalizeBagPandId(363100012345678)).toBe('0363100012345678');
+      expect(normalizeBagPandId('NL.IMBAG.Pand.0344100000123456')).toBe('0344100000123456');
+    });
+
+    it('should reject values that are not pand IDs', () => {
+      expect(normalizeBagPandId('pand 12')).toBeNull();
+      expect(normalizeBagPandId('03631000123456789')).toBeNull();
+    });
+  });
+
+  describe('fetchBagFootprint', () => {
+    it('should request the pand by its ID from the BAG and reuse the result', async () => {
+      const fetchMock = vi.fn(async () => new Response(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: { identificatie: '0363100012000001' }, geometry: square }]
+      }), { status: 200 }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const footprint = await fetchBagFootprint('0363100012000001');
+      await fetchBagFootprint('0363100012000001');
+
+      expect(footprint.features[0].geometry).toEqual(square);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(fetchMock.mock.calls[0][0]).toContain('collections/pand/items?identificatie=0363100012000001');
+    });
+
+    it('should retry a pand after a failed request', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => new Response('Unavailable', { status: 503 })));
+      await expect(fetchBagFootprint('0363100012000002')).rejects.toThrow('HTTP 503');
+
+      vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify(square), { status: 200 })));
+      expect(await fetchBagFootprint('0363100012000002')).not.toBeNull();
+    });
+  });
+
+  describe('loadRecordOverlays', () => {
+    it('should prefer the footprint stored in the dataset', async () => {
+      const footprint = toFeatureCollection(square);
+      const fetchFootprint = vi.fn();
+      const overlays = await loadRecordOverlays({ footprint, bagPandId: '0363100012000003', panelPolygons: null }, fetchFootprint);
+      expect(overlays).toEqual({ footprint, panels: null });
+      expect(fetchFootprint).not.toHaveBeenCalled();
+    });
+
+    it('should fetch the footprint by pand ID and keep the panels when the BAG fails', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const panels = toFeatureCollection(square);
+      const overlays = await loadRecordOverlays({ bagPandId: '0363100012000004', panelPolygons: panels }, async () => {
+        throw new Error('offline');
+      });
+      expect(overlays).toEqual({ footprint: null, panels });
+    });
+  });
+});
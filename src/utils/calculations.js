@@ -54,3 +54,43 @@ export const calculateSolarPanelOutput = ({
     annualOutput
   };
 };
+
+/**
+ * Calculate the kWp and annual output of a dataset record, preferring the values stored in the
+ * dataset and calculating missing ones from the panel count, as the info panel does
+ * @param {Object} record - Solar panel record (see spreadsheetSchema's mapRow)
+ * @returns {Object} Object with kwp and annualOutput
+ */
+export const calculateRecordOutput = (record) => {
+  const kwp = record.kwp > 0 ? record.kwp : calculateKwp(record.panels, record.avgPanelOutput);
+  const annualOutput = record.annualOutput > 0
+    ? record.annualOutput
+    : calculateAnnualOutput(kwp, record.kwhPerKwpPerYear, record.availabilityFactor);
+  return { kwp, annualOutput };
+};
+
+// Assumptions used when a record doesn't provide its own
+export const DEFAULT_ASSUMPTIONS = {
+  kwhPerKwpPerYear: 875,
+  availabilityFactor: 99,
+  avgPanelOutput: 435
+};
+
+/**
+ * Get the calculation assumptions of a dataset record, falling back to DEFAULT_ASSUMPTIONS
+ * @param {Object} record - Solar panel record
+ * @returns {Object} Object with kwhPerKwpPerYear, availabilityFactor (as percentage) and avgPanelOutput
+ */
+export const recordAssumptions = (record) => {
+  const value = (field) => (record[field] !== undefined && record[field] !== null ? record[field] : DEFAULT_ASSUMPTIONS[field]);
+  let availabilityFactor = value('availabilityFactor');
+  // Normalize: if value is less than 1, treat as decimal and convert to percentage (multiply by 100)
+  if (availabilityFactor > 0 && availabilityFactor < 1) {
+    availabilityFactor = availabilityFactor * 100;
+  }
+  return {
+    kwhPerKwpPerYear: value('kwhPerKwpPerYear'),
+    availabilityFactor,
+    avgPanelOutput: value('avgPanelOutput')
+  };
+};
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { calculateKwp, calculateAnnualOutput, calculateSolarPanelOutput } from './calculations';
+import { calculateKwp, calculateAnnualOutput, calculateSolarPanelOutput, calculateRecordOutput, recordAssumptions } from './calculations';
 
 describe('Solar Panel Calculations', () => {
   describe('calculateKwp', () => {
@@ -251,4 +251,34 @@ describe('Solar Panel Calculations', () => {
       expect(result.annualOutput).toBeCloseTo(2928.42, 1);
     });
   });
+
+  describe('calculateRecordOutput', () => {
+    it('should use the kWp and annual output stored in the record', () => {
+      expect(calculateRecordOutput({ panels: 10, avgPanelOutput: 435, kwp: 5, annualOutput: 4000 }))
+        .toEqual({ kwp: 5, annualOutput: 4000 });
+    });
+
+    it('should calculate missing values from the panels', () => {
+      const result = calculateRecordOutput({
+        panels: 10, avgPanelOutput: 435, kwp: 0, annualOutput: 0, kwhPerKwpPerYear: 875, availabilityFactor: 99
+      });
+      // 10 × 435 Wp = 4.35 kWp; 4.35 × 875 × 0.99 = 3,768.19 kWh
+      expect(result.kwp).toBeCloseTo(4.35, 5);
+      expect(result.annualOutput).toBeCloseTo(3768.19, 1);
+    });
+  });
+
+  describe('recordAssumptions', () => {
+    it('should use the record values and fall back to the defaults', () => {
+      expect(recordAssumptions({ kwhPerKwpPerYear: 900, availabilityFactor: null })).toEqual({
+        kwhPerKwpPerYear: 900,
+        availabilityFactor: 99,
+        avgPanelOutput: 435
+      });
+    });
+
+    it('should convert a decimal availability factor to a percentage', () => {
+      expect(recordAssumptions({ availabilityFactor: 0.95 }).availabilityFactor).toBeCloseTo(95, 5);
+    });
+  });
 });
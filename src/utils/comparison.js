@@ -0,0 +1,42 @@
+// Side-by-side comparison of pinned properties
+
+import { calculateSolarPanelOutput, calculateRecordOutput, recordAssumptions } from './calculations';
+
+export const MAX_PINNED = 6;
+
+// One marker colour per pinned property, distinct from each other and from the choropleth ramp
+export const PIN_COLORS = ['#3b82f6', '#22c55e', '#f59e0b', '#a855f7', '#06b6d4', '#ec4899'];
+
+/**
+ * Colour for a newly pinned property: the first one no pinned property uses, so the others keep theirs
+ * @param {Object[]} pinned - Pinned properties, each with a color
+ * @returns {string} CSS colour
+ */
+export const nextPinColor = (pinned) => {
+  const used = new Set(pinned.map((pin) => pin.color));
+  return PIN_COLORS.find((color) => !used.has(color)) || PIN_COLORS[pinned.length % PIN_COLORS.length];
+};
+
+/**
+ * Computes the compared values of a pinned property. Without shared assumptions the values are
+ * the ones the info panel shows (the dataset's kWp and annual output where present); a shared
+ * assumption replaces the record's own and recalculates both.
+ * @param {Object} record - Solar panel record
+ * @param {Object} sharedAssumptions - kwhPerKwpPerYear, availabilityFactor and/or avgPanelOutput applied to every property
+ * @returns {Object} {panels, confidence, kwp, annualOutput, specificYield, assumptions}; specificYield
+ *   (kWh per kWp per year) is null without kWp
+ */
+export const compareRecord = (record, sharedAssumptions = {}) => {
+  const assumptions = { ...recordAssumptions(record), ...sharedAssumptions };
+  const { kwp, annualOutput } = Object.keys(sharedAssumptions).length > 0
+    ? calculateSolarPanelOutput({ panels: record.panels, ...assumptions })
+    : calculateRecordOutput({ ...record, ...assumptions });
+  return {
+    panels: record.panels || 0,
+    confidence: record.confidence || null,
+    kwp,
+    annualOutput,
+    specificYield: kwp > 0 ? annualOutput / kwp : null,
+    assumptions
+  };
+};
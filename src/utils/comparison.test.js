@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { compareRecord, nextPinColor, PIN_COLORS } from './comparison';
+
+describe('Comparison', () => {
+  describe('nextPinColor', () => {
+    it('should take the first colour not in use', () => {
+      expect(nextPinColor([])).toBe(PIN_COLORS[0]);
+      expect(nextPinColor([{ color: PIN_COLORS[0] }, { color: PIN_COLORS[2] }])).toBe(PIN_COLORS[1]);
+    });
+  });
+
+  describe('compareRecord', () => {
+    it('should use the dataset values without shared assumptions', () => {
+      const result = compareRecord({ panels: 10, kwp: 4, annualOutput: 3500, confidence: 9 });
+      expect(result).toMatchObject({ panels: 10, confidence: 9, kwp: 4, annualOutput: 3500, specificYield: 875 });
+    });
+
+    it('should calculate missing values from the record assumptions', () => {
+      // 10 × 435 Wp = 4.35 kWp; 4.35 × 875 × 0.99 = 3,768.19 kWh
+      const result = compareRecord({ panels: 10, availabilityFactor: 0.99 });
+      expect(result.kwp).toBeCloseTo(4.35, 5);
+      expect(result.annualOutput).toBeCloseTo(3768.19, 1);
+      expect(result.specificYield).toBeCloseTo(866.25, 2);
+    });
+
+    it('should recalculate with shared assumptions over the dataset values', () => {
+      const result = compareRecord({ panels: 10, kwp: 4, annualOutput: 3500, avgPanelOutput: 400 }, { kwhPerKwpPerYear: 1000 });
+      // 10 × 400 Wp = 4 kWp; 4 × 1000 × 0.99
+      expect(result.kwp).toBeCloseTo(4, 5);
+      expect(result.annualOutput).toBeCloseTo(3960, 5);
+      expect(result.assumptions).toEqual({ kwhPerKwpPerYear: 1000, availabilityFactor: 99, avgPanelOutput: 400 });
+    });
+
+    it('should have no specific yield without panels', () => {
+      expect(compareRecord({ panels: 0 })).toMatchObject({ kwp: 0, annualOutput: 0, specificYield: null, confidence: null });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// Coordinates stored in the dataset: WGS84 latitude/longitude or Dutch RD New (EPSG:28992)
+
+// Rough bounding boxes of the Netherlands, to catch swapped or mistyped coordinates
+const NL_BOUNDS = { minLat: 50.6, maxLat: 53.7, minLon: 3.2, maxLon: 7.3 };
+const RD_BOUNDS = { minX: -7000, maxX: 300000, minY: 289000, maxY: 629000 };
+
+// RD New origin (Amersfoort) in RD metres and WGS84 degrees
+const X0 = 155000;
+const Y0 = 463000;
+const PHI0 = 52.1551744;
+const LAM0 = 5.38720621;
+
+// Coefficients [p, q, K] of the approximate RD -> WGS84 transformation (accurate to about a metre):
+// phi = PHI0 + sum(K * dX^p * dY^q) / 3600 with dX, dY in units of 100 km
+const PHI_TERMS = [
+  [0, 1, 3235.65389], [2, 0, -32.58297], [0, 2, -0.2475], [2, 1, -0.84978],
+  [0, 3, -0.0655], [2, 2, -0.01709], [1, 0, -0.00738], [4, 0, 0.0053],
+  [2, 3, -0.00039], [4, 1, 0.00033], [1, 1, -0.00012]
+];
+const LAM_TERMS = [
+  [1, 0, 5260.52916], [1, 1, 105.94684], [1, 2, 2.45656], [3, 0, -0.81885],
+  [1, 3, 0.05594], [3, 1, -0.05607], [0, 1, 0.01199], [3, 2, -0.00256],
+  [1, 4, 0.00128], [0, 2, 0.00022], [2, 0, -0.00022], [5, 0, 0.00026]
+];
+
+const sumTerms = (terms, dX, dY) => terms.reduce((sum, [p, q, k]) => sum + k * dX ** p * dY ** q, 0);
+
+/**
+ * Converts RD New (EPSG:28992) coordinates to WGS84
+ * @param {number} x - RD X in metres
+ * @param {number} y - RD Y in metres
+ * @returns {{lat: number, lon: number}} WGS84 coordinates
+ */
+export const rdToWgs84 = (x, y) => {
+  const dX = (x - X0) * 1e-5;
+  const dY = (y - Y0) * 1e-5;
+  return {
+    lat: PHI0 + sumTerms(PHI_TERMS, dX, dY) / 3600,
+    lon: LAM0 + sumTerms(LAM_TERMS, dX, dY) / 3600
+  };
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Checks whether WGS84 coordinates fall within the Netherlands
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean}
+ */
+export const isInNetherlands = (lat, lon) => {
+  return isNumber(lat) && isNumber(lon)
+    && lat >= NL_BOUNDS.minLat && lat <= NL_BOUNDS.maxLat
+    && lon >= NL_BOUNDS.minLon && lon <= NL_BOUNDS.maxLon;
+};
+
+/**
+ * Checks whether RD New coordinates fall within the RD grid of the Netherlands
+ * @param {number} x - RD X in metres
+ * @param {number} y - RD Y in metres
+ * @returns {boolean}
+ */
+export const isValidRd = (x, y) => {
+  return isNumber(x) && isNumber(y)
+    && x >= RD_BOUNDS.minX && x <= RD_BOUNDS.maxX
+    && y >= RD_BOUNDS.minY && y <= RD_BOUNDS.maxY;
+};
+
+/**
+ * Resolves the WGS84 location of a record from its latitude/longitude or RD X/Y fields.
+ * Latitude/longitude win when both are present; out-of-range values are ignored.
+ * @param {{latitude?: number, longitude?: number, rdX?: number, rdY?: number}} fields - Parsed record fields
+ * @returns {{lat: number, lon: number, source: string}|null} Coordinates and the columns they came from
+ */
+export const resolveCoordinates = ({ latitude, longitude, rdX, rdY }) => {
+  if (isInNetherlands(latitude, longitude)) {
+    return { lat: latitude, lon: longitude, source: 'wgs84' };
+  }
+  if (isValidRd(rdX, rdY)) {
+    return { ...rdToWgs84(rdX, rdY), source: 'rd' };
+  }
+  return null;
+};
+
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Great-circle (haversine) distance between two WGS84 points
+ * @param {{lat: number, lon: number}} from - First point
+ * @param {{lat: number, lon: number}} to - Second point
+ * @returns {number} Distance in metres
+ */
+export const distanceMeters = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { rdToWgs84, isInNetherlands, isValidRd, resolveCoordinates, distanceMeters } from './coordinates';
+
+describe('Coordinates', () => {
+  describe('rdToWgs84', () => {
+    it('should map the RD origin to Amersfoort', () => {
+      const { lat, lon } = rdToWgs84(155000, 463000);
+      expect(lat).toBeCloseTo(52.15517, 5);
+      expect(lon).toBeCloseTo(5.38721, 5);
+    });
+
+    it('should convert the Westertoren in Amsterdam to within a metre', () => {
+      const { lat, lon } = rdToWgs84(120700.723, 487525.501);
+      expect(lat).toBeCloseTo(52.374533, 5);
+      expect(lon).toBeCloseTo(4.883526, 5);
+    });
+  });
+
+  describe('isInNetherlands', () => {
+    it('should accept Dutch coordinates and reject swapped or missing ones', () => {
+      expect(isInNetherlands(52.09, 5.12)).toBe(true);
+      expect(isInNetherlands(5.12, 52.09)).toBe(false);
+      expect(isInNetherlands(52.09, undefined)).toBe(false);
+    });
+  });
+
+  describe('isValidRd', () => {
+    it('should accept coordinates on the RD grid only', () => {
+      expect(isValidRd(136859, 455944)).toBe(true);
+      expect(isValidRd(455944, 136859)).toBe(false);
+      expect(isValidRd(136859, null)).toBe(false);
+    });
+  });
+
+  describe('resolveCoordinates', () => {
+    it('should prefer latitude/longitude over RD X/Y', () => {
+      expect(resolveCoordinates({ latitude: 52.09, longitude: 5.12, rdX: 155000, rdY: 463000 }))
+        .toEqual({ lat: 52.09, lon: 5.12, source: 'wgs84' });
+    });
+
+    it('should convert RD X/Y when there is no valid latitude/longitude', () => {
+      const coordinates = resolveCoordinates({ latitude: null, longitude: null, rdX: 155000, rdY: 463000 });
+      expect(coordinates.source).toBe('rd');
+      expect(coordinates.lat).toBeCloseTo(52.15517, 5);
+    });
+
+    it('should return null without usable coordinates', () => {
+      expect(resolveCoordinates({ latitude: 0, longitude: 0, rdX: null, rdY: null })).toBeNull();
+    });
+  });
+
+  describe('distanceMeters', () => {
+    it('should measure the distance between two points', () => {
+      // 0.0013° of latitude and 0.0114° of longitude apart in Utrecht
+      expect(distanceMeters({ lat: 52.0907, lon: 5.1214 }, { lat: 52.0894, lon: 5.1100 })).toBeCloseTo(792, -1);
+      expect(distanceMeters({ lat: 52.0907, lon: 5.1214 }, { lat: 52.0907, lon: 5.1214 })).toBe(0);
+    });
+  });
+});
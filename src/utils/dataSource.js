@@ -0,0 +1,188 @@
+import { loadDatasetFromUrl, detectSourceType, mergeAddressMaps, SOURCE_TYPES } from './spreadsheetReader';
+import { combineValidationReports } from './datasetValidation';
+import { getDatasetCacheKey, writeCachedDataset } from './datasetCache';
+import { normalizeBoundarySource, DEFAULT_BOUNDARY_SOURCES } from './areaBoundaries';
+
+// Bundled sample dataset, used when no source is configured or every configured source fails
+export const DEFAULT_FALLBACK_URL = `${import.meta.env.BASE_URL}solar_panels.csv`;
+
+// Runtime configuration file in public/, so a deployment can change sources without a rebuild
+export const CONFIG_URL = `${import.meta.env.BASE_URL}config.json`;
+
+/**
+ * Normalizes a configured source (a URL string or {url, type, name}) into {url, type, name}
+ * @param {string|Object} source - Source entry from config.json or an env variable
+ * @returns {{url: string, type: string, name: string}|null} - Null when the entry has no URL
+ */
+export const normalizeSource = (source) => {
+  const entry = typeof source === 'string' ? { url: source } : source;
+  const url = entry?.url?.trim();
+  if (!url) return null;
+  const type = entry.type || detectSourceType(url);
+  return { url, type, name: entry.name || (type === SOURCE_TYPES.GOOGLE_SHEET ? 'Google Sheets' : url) };
+};
+
+/**
+ * Parses the VITE_DATA_SOURCES env variable: a JSON array, or URLs separated by commas or whitespace
+ * @param {string} [value] - Raw env value
+ * @returns {Array} - Source entries (strings or objects)
+ */
+export const parseSourceList = (value) => {
+  if (!value || !value.trim()) return [];
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+  return trimmed.split(/[\s,]+/).filter(Boolean);
+};
+
+/**
+ * Resolves the data source configuration; config.json settings take precedence over env variables
+ * @param {Object} [options] - Configuration inputs
+ * @param {Object} [options.env] - Vite env variables (VITE_DATA_SOURCES, VITE_FALLBACK_DATA_URL,
+ *   VITE_BOUNDARY_SOURCES)
+ * @param {Object} [options.fileConfig] - Parsed public/config.json ({dataSources, fallbackUrl, boundaries})
+ * @returns {{sources: Object[], fallbackUrl: string, boundarySources: Object[]}} - Sources in
+ *   priority order (first wins), and the area boundary files for the choropleth layer
+ */
+export const resolveDataSourceConfig = ({ env = {}, fileConfig = null } = {}) => {
+  const rawSources = fileConfig?.dataSources ?? parseSourceList(env.VITE_DATA_SOURCES);
+  const rawBoundaries = fileConfig?.boundaries ?? parseSourceList(env.VITE_BOUNDARY_SOURCES);
+  const boundarySources = rawBoundaries.map(normalizeBoundarySource).filter(Boolean);
+  return {
+    sources: rawSources.map(normalizeSource).filter(Boolean),
+    fallbackUrl: fileConfig?.fallbackUrl || env.VITE_FALLBACK_DATA_URL || DEFAULT_FALLBACK_URL,
+    boundarySources: boundarySources.length > 0 ? boundarySources : DEFAULT_BOUNDARY_SOURCES
+  };
+};
+
+/**
+ * Loads public/config.json (if the deployment has one) and resolves the data source configuration
+ * @param {Object} [env] - Vite env variables (default: import.meta.env)
+ * @returns {Promise<{sources: Object[], fallbackUrl: string}>}
+ */
+export const loadDataSourceConfig = async (env = import.meta.env) => {
+  let fileConfig = null;
+  try {
+    const response = await fetch(CONFIG_URL);
+    // Dev servers answer a missing file with index.html, so also check the content type
+    if (response.ok && response.headers.get('content-type')?.includes('json')) {
+      fileConfig = await response.json();
+    }
+  } catch (error) {
+    console.warn('Could not read config.json, using env configuration:', error);
+  }
+  return resolveDataSourceConfig({ env, fileConfig });
+};
+
+/**
+ * Loads every configured source and merges them in priority order; falls back to the bundled
+ * dataset when no source is configured or none of them loads
+ * @param {{sources: Object[], fallbackUrl: string}} config - Result of resolveDataSourceConfig
+ * @param {Object} [options] - Load options
+ * @param {Function} [options.onProgress] - Receives {source, stage, loaded, total} progress updates
+ * @param {Object} [options.validators] - ETag/Last-Modified per source URL of a copy loaded earlier
+ *   (see loadDatasetFromUrl); sources the server reports unchanged aren't downloaded again
+ * @returns {Promise<{addressMap: Object, report: Object, version: string|null, validators: Object, failedSources: Object[], usedFallback: boolean}>}
+ *   version combines the loaded sources' versions and is null when any of them has none. When every
+ *   source answers 304 Not Modified, the result is {notModified: true, version, validators} without data.
+ */
+export const loadConfiguredDataset = async ({ sources, fallbackUrl }, { onProgress, validators = {} } = {}) => {
+  const progressFor = (name) => onProgress && ((progress) => onProgress({ ...progress, source: name }));
+  const load = (source, sourceValidators) => loadDatasetFromUrl(source.url, {
+    type: source.type,
+    onProgress: progressFor(source.name),
+    validators: sourceValidators
+  });
+  const results = await Promise.allSettled(sources.map((source) => load(source, validators[source.url])));
+
+  const loaded = [];
+  const failedSources = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      loaded.push({ source: sources[index], dataset: result.value });
+    } else {
+      console.warn(`Failed to load data source ${sources[index].name}:`, result.reason);
+      failedSources.push({ ...sources[index], error: result.reason.message });
+    }
+  });
+
+  const combinedVersion = () => (loaded.every(({ dataset }) => dataset.version)
+    ? loaded.map(({ source, dataset }) => `${source.url}=${dataset.version}`).join('|')
+    : null);
+  const combinedValidators = () => Object.fromEntries(loaded.map(({ source, dataset }) => [source.url, dataset.validators]));
+
+  const unchanged = loaded.filter(({ dataset }) => dataset.notModified);
+  if (unchanged.length > 0 && unchanged.length === sources.length) {
+    return { notModified: true, version: combinedVersion(), validators: combinedValidators() };
+  }
+  // The earlier copy is merged from every source, so unchanged sources are downloaded again to be
+  // merged with the changed ones
+  await Promise.all(unchanged.map(async (entry) => {
+    entry.dataset = await load(entry.source);
+  }));
+
+  if (loaded.length === 0) {
+    const dataset = await loadDatasetFromUrl(fallbackUrl, { onProgress: progressFor(fallbackUrl) });
+    return {
+      addressMap: dataset.addressMap,
+      report: { ...dataset.report, sourceName: `${fallbackUrl} (fallback)` },
+      version: dataset.version,
+      failedSources,
+      usedFallback: true
+    };
+  }
+
+  // Merge from lowest to highest priority so the first configured source wins on conflicts
+  const addressMap = [...loaded].reverse().reduce(
+    (merged, { dataset }) => mergeAddressMaps(merged, dataset.addressMap).addressMap,
+    {}
+  );
+
+  return {
+    addressMap,
+    report: combineValidationReports(loaded.map(({ source, dataset }) => ({ name: source.name, report: dataset.report }))),
+    version: combinedVersion(),
+    validators: combinedValidators(),
+    failedSources,
+    usedFallback: false
+  };
+};
+
+/**
+ * Reloads the configured sources and decides what to show next to a cached copy. The sources are
+ * asked with the cached copy's validators, so unchanged files aren't downloaded again. The cache is
+ * updated with every successful load; when the sources (but not the bundled fallback) cannot be
+ * reached, the cached dataset stays in use
+ * @param {{sources: Object[], fallbackUrl: string}} config - Result of resolveDataSourceConfig
+ * @param {Object|null} cached - Cached dataset from readCachedDataset, if any
+ * @param {Object} [options] - Load options, passed on to loadConfiguredDataset
+ * @returns {Promise<{dataset: Object, changed: boolean, offline: boolean, usedFallback: boolean}>} - dataset
+ *   carries savedAt; changed is false when the cached copy is still current
+ */
+export const refreshConfiguredDataset = async (config, cached, options) => {
+  let fresh;
+  try {
+    fresh = await loadConfiguredDataset(config, { ...options, validators: cached?.validators });
+  } catch (error) {
+    if (!cached) throw error;
+    console.warn('Data sources unreachable, using the cached dataset:', error);
+    return { dataset: cached, changed: false, offline: true, usedFallback: false };
+  }
+
+  // Prefer the last good copy of the real sources over the bundled sample
+  if (fresh.usedFallback && cached) {
+    return { dataset: cached, changed: false, offline: true, usedFallback: false };
+  }
+
+  const savedAt = Date.now();
+  const unchanged = Boolean(cached && (fresh.notModified || (fresh.version && fresh.version === cached.version)));
+  const dataset = unchanged
+    ? { ...cached, validators: fresh.validators, savedAt }
+    : { addressMap: fresh.addressMap, report: fresh.report, version: fresh.version, validators: fresh.validators, savedAt };
+
+  if (!fresh.usedFallback) {
+    await writeCachedDataset(getDatasetCacheKey(config), dataset);
+  }
+  return { dataset, changed: !unchanged, offline: false, usedFallback: fresh.usedFallback };
+};
@@ -0,0 +1,249 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  normalizeSource,
+  parseSourceList,
+  resolveDataSourceConfig,
+  loadDataSourceConfig,
+  loadConfiguredDataset,
+  refreshConfiguredDataset,
+  DEFAULT_FALLBACK_URL
+} from './dataSource';
+import { DEFAULT_BOUNDARY_SOURCES } from './areaBoundaries';
+
+const csv = (...rows) => ['Address,Number of solar panels', ...rows].join('\n');
+
+// Serves fixed bodies per URL; unknown URLs answer 404. Responses carry the ETags given, and
+// requests whose If-None-Match matches get 304 Not Modified.
+const mockFetch = (bodies, etags = {}) => {
+  vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+    if (!(url in bodies)) return new Response('Not found', { status: 404 });
+    const body = bodies[url];
+    const headers = etags[url] ? { ETag: etags[url] } : {};
+    if (etags[url] && options?.headers?.['If-None-Match'] === etags[url]) {
+      return new Response(null, { status: 304, headers });
+    }
+    return typeof body === 'string'
+      ? new Response(body, { status: 200, headers })
+      : new Response(JSON.stringify(body), { status: 200, headers: { ...headers, 'Content-Type': 'application/json' } });
+  }));
+};
+
+describe('Data Source', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('normalizeSource', () => {
+    it('should detect the source type from the URL', () => {
+      expect(normalizeSource('https://docs.google.com/spreadsheets/d/abc/edit')).toMatchObject({ type: 'google-sheet', name: 'Google Sheets' });
+      expect(normalizeSource('/data/panels.json').type).toBe('json');
+      expect(normalizeSource('/data/panels.xlsx').type).toBe('xlsx');
+      expect(normalizeSource('/data/panels.csv?v=2').type).toBe('csv');
+    });
+
+    it('should keep an explicit type and name', () => {
+      expect(normalizeSource({ url: '/export', type: 'csv', name: 'Export' })).toEqual({ url: '/export', type: 'csv', name: 'Export' });
+    });
+
+    it('should drop entries without a URL', () => {
+      expect(normalizeSource({ name: 'Empty' })).toBeNull();
+      expect(normalizeSource('  ')).toBeNull();
+    });
+  });
+
+  describe('parseSourceList', () => {
+    it('should split comma separated URLs', () => {
+      expect(parseSourceList('/a.csv, /b.json')).toEqual(['/a.csv', '/b.json']);
+    });
+
+    it('should parse a JSON array', () => {
+      expect(parseSourceList('[{"url": "/a.csv", "name": "A"}]')).toEqual([{ url: '/a.csv', name: 'A' }]);
+    });
+
+    it('should return no sources for an empty value', () => {
+      expect(parseSourceList(undefined)).toEqual([]);
+      expect(parseSourceList('')).toEqual([]);
+    });
+  });
+
+  describe('resolveDataSourceConfig', () => {
+    it('should fall back to the bundled file when nothing is configured', () => {
+      expect(resolveDataSourceConfig()).toEqual({
+        sources: [],
+        fallbackUrl: DEFAULT_FALLBACK_URL,
+        boundarySources: DEFAULT_BOUNDARY_SOURCES
+      });
+    });
+
+    it('should let config.json override the env variables', () => {
+      const config = resolveDataSourceConfig({
+        env: { VITE_DATA_SOURCES: '/env.csv', VITE_FALLBACK_DATA_URL: '/env-fallback.csv' },
+        fileConfig: { dataSources: ['/file.csv'] }
+      });
+      expect(config.sources.map((source) => source.url)).toEqual(['/file.csv']);
+      expect(config.fallbackUrl).toBe('/env-fallback.csv');
+    });
+
+    it('should read the choropleth boundary files', () => {
+      const config = resolveDataSourceConfig({
+        env: { VITE_BOUNDARY_SOURCES: '/env-pc4.geojson' },
+        fileConfig: { boundaries: [{ url: '/buurten.geojson', name: 'Buurten', join: 'location' }] }
+      });
+      expect(config.boundarySources).toEqual([
+        { url: '/buurten.geojson', name: 'Buurten', join: 'location', keyProperty: null, labelProperty: null }
+      ]);
+      expect(resolveDataSourceConfig({ env: { VITE_BOUNDARY_SOURCES: '/env-pc4.geojson' } }).boundarySources[0])
+        .toMatchObject({ url: '/env-pc4.geojson', join: 'pc4' });
+    });
+  });
+
+  describe('loadDataSourceConfig', () => {
+    it('should read public/config.json when it exists', async () => {
+      mockFetch({ '/config.json': { dataSources: [{ url: '/panels.json', name: 'Panels' }] } });
+      const config = await loadDataSourceConfig({ VITE_DATA_SOURCES: '/env.csv' });
+      expect(config.sources).toEqual([{ url: '/panels.json', type: 'json', name: 'Panels' }]);
+    });
+
+    it('should use the env variables when config.json is missing or not JSON', async () => {
+      mockFetch({});
+      expect((await loadDataSourceConfig({ VITE_DATA_SOURCES: '/env.csv' })).sources[0].url).toBe('/env.csv');
+
+      mockFetch({ '/config.json': '<!doctype html>' });
+      expect((await loadDataSourceConfig({ VITE_DATA_SOURCES: '/env.csv' })).sources[0].url).toBe('/env.csv');
+    });
+  });
+
+  describe('loadConfiguredDataset', () => {
+    it('should merge sources so the first one wins on conflicts', async () => {
+      mockFetch({
+        '/primary.csv': csv('Kerkstraat 1 Utrecht,10'),
+        '/secondary.json': [
+          { Address: 'Kerkstraat 1 Utrecht', 'Number of solar panels': 99 },
+          { Address: 'Oudegracht 5 Utrecht', 'Number of solar panels': 4 }
+        ]
+      });
+      const { addressMap, report, usedFallback } = await loadConfiguredDataset(resolveDataSourceConfig({
+        fileConfig: { dataSources: ['/primary.csv', '/secondary.json'] }
+      }));
+
+      expect(usedFallback).toBe(false);
+      expect(addressMap['kerkstraat 1 utrecht'].panels).toBe(10);
+      expect(addressMap['oudegracht 5 utrecht'].panels).toBe(4);
+      expect(report.totalRows).toBe(3);
+      expect(report.sourceName).toBe('/primary.csv, /secondary.json');
+    });
+
+    it('should skip failing sources when others load', async () => {
+      mockFetch({ '/secondary.csv': csv('Oudegracht 5 Utrecht,4') });
+      const { addressMap, failedSources, usedFallback } = await loadConfiguredDataset(resolveDataSourceConfig({
+        fileConfig: { dataSources: ['/primary.csv', '/secondary.csv'] }
+      }));
+
+      expect(usedFallback).toBe(false);
+      expect(Object.keys(addressMap)).toEqual(['oudegracht 5 utrecht']);
+      expect(failedSources.map((source) => source.url)).toEqual(['/primary.csv']);
+    });
+
+    it('should load the fallback file when every source fails', async () => {
+      mockFetch({ [DEFAULT_FALLBACK_URL]: csv('"Amsterdam, Netherlands",25') });
+      const { addressMap, report, usedFallback } = await loadConfiguredDataset(resolveDataSourceConfig({
+        env: { VITE_DATA_SOURCES: 'https://docs.google.com/spreadsheets/d/abc/edit' }
+      }));
+
+      expect(usedFallback).toBe(true);
+      expect(addressMap['amsterdam netherlands'].panels).toBe(25);
+      expect(report.sourceName).toContain('fallback');
+    });
+
+    it('should reject when the fallback file fails too', async () => {
+      mockFetch({});
+      await expect(loadConfiguredDataset(resolveDataSourceConfig())).rejects.toThrow('Failed to load spreadsheet');
+    });
+
+    it('should combine the ETags of the sources into a version', async () => {
+      mockFetch({ '/a.csv': csv('A 1,1'), '/b.csv': csv('B 2,2') }, { '/a.csv': '"a1"', '/b.csv': '"b7"' });
+      const { version } = await loadConfiguredDataset(resolveDataSourceConfig({ fileConfig: { dataSources: ['/a.csv', '/b.csv'] } }));
+      expect(version).toBe('/a.csv="a1"|/b.csv="b7"');
+    });
+
+    it('should have no version when a source sends no ETag or Last-Modified', async () => {
+      mockFetch({ '/a.csv': csv('A 1,1'), '/b.csv': csv('B 2,2') }, { '/a.csv': '"a1"' });
+      const { version } = await loadConfiguredDataset(resolveDataSourceConfig({ fileConfig: { dataSources: ['/a.csv', '/b.csv'] } }));
+      expect(version).toBeNull();
+    });
+  });
+
+  describe('refreshConfiguredDataset', () => {
+    const config = resolveDataSourceConfig({ fileConfig: { dataSources: ['/a.csv'] } });
+    const cached = { addressMap: { 'a 1': { panels: 1 } }, report: { issues: [] }, version: '/a.csv="a1"', savedAt: 1000 };
+
+    it('should return the fresh dataset when there is no cache', async () => {
+      mockFetch({ '/a.csv': csv('A 1,5') }, { '/a.csv': '"a1"' });
+      const { dataset, changed, offline } = await refreshConfiguredDataset(config, null);
+      expect(changed).toBe(true);
+      expect(offline).toBe(false);
+      expect(dataset.addressMap['a 1'].panels).toBe(5);
+      expect(dataset.savedAt).toBeGreaterThan(1000);
+    });
+
+    it('should keep the cached dataset when the version is unchanged', async () => {
+      mockFetch({ '/a.csv': csv('A 1,5') }, { '/a.csv': '"a1"' });
+      const { dataset, changed } = await refreshConfiguredDataset(config, cached);
+      expect(changed).toBe(false);
+      expect(dataset.addressMap).toBe(cached.addressMap);
+      expect(dataset.savedAt).toBeGreaterThan(1000);
+    });
+
+    it('should replace the cached dataset when the version changed', async () => {
+      mockFetch({ '/a.csv': csv('A 1,5') }, { '/a.csv': '"a2"' });
+      const { dataset, changed } = await refreshConfiguredDataset(config, cached);
+      expect(changed).toBe(true);
+      expect(dataset.addressMap['a 1'].panels).toBe(5);
+    });
+
+    it('should send the cached validators and keep the cached dataset on 304 Not Modified', async () => {
+      mockFetch({ '/a.csv': csv('A 1,5') }, { '/a.csv': '"a1"' });
+      const validated = { ...cached, validators: { '/a.csv': { etag: '"a1"', lastModified: 'Mon, 06 Oct 2025 10:00:00 GMT' } } };
+      const { dataset, changed } = await refreshConfiguredDataset(config, validated);
+
+      expect(fetch).toHaveBeenCalledWith('/a.csv', {
+        headers: { 'If-None-Match': '"a1"', 'If-Modified-Since': 'Mon, 06 Oct 2025 10:00:00 GMT' }
+      });
+      expect(changed).toBe(false);
+      expect(dataset.addressMap).toBe(cached.addressMap);
+      expect(dataset.validators['/a.csv'].etag).toBe('"a1"');
+    });
+
+    it('should download unchanged sources again when another source changed', async () => {
+      const twoSources = resolveDataSourceConfig({ fileConfig: { dataSources: ['/a.csv', '/b.csv'] } });
+      mockFetch({ '/a.csv': csv('A 1,5'), '/b.csv': csv('B 2,7') }, { '/a.csv': '"a1"', '/b.csv': '"b2"' });
+      const validated = {
+        ...cached,
+        version: '/a.csv="a1"|/b.csv="b1"',
+        validators: { '/a.csv': { etag: '"a1"', lastModified: null }, '/b.csv': { etag: '"b1"', lastModified: null } }
+      };
+      const { dataset, changed } = await refreshConfiguredDataset(twoSources, validated);
+
+      expect(changed).toBe(true);
+      expect(dataset.addressMap['a 1'].panels).toBe(5);
+      expect(dataset.addressMap['b 2'].panels).toBe(7);
+      expect(dataset.version).toBe('/a.csv="a1"|/b.csv="b2"');
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep the cached dataset instead of the bundled fallback when offline', async () => {
+      mockFetch({ [DEFAULT_FALLBACK_URL]: csv('Sample 1,1') });
+      const result = await refreshConfiguredDataset(config, cached);
+      expect(result).toEqual({ dataset: cached, changed: false, offline: true, usedFallback: false });
+    });
+
+    it('should keep the cached dataset when nothing can be fetched', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => {
+        throw new TypeError('Failed to fetch');
+      }));
+      const { dataset, offline } = await refreshConfiguredDataset(config, cached);
+      expect(offline).toBe(true);
+      expect(dataset).toBe(cached);
+    });
+  });
+});
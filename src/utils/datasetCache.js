@@ -0,0 +1,85 @@
+// Persists the last successfully loaded dataset in IndexedDB so the app can search it
+// immediately on the next visit (and offline) while the sources refresh in the background.
+
+const DB_NAME = 'solar-panel-finder';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+const CURRENT_ENTRY = 'current';
+
+// Bump when the stored record shape changes (e.g. new schema fields) to discard old caches
+export const CACHE_SCHEMA_VERSION = 4;
+
+/**
+ * Checks whether IndexedDB can be used in this environment
+ * @returns {boolean}
+ */
+export const isDatasetCacheAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Derives the cache key for a data source configuration, so changing the sources invalidates the cache
+ * @param {{sources: Object[]}} config - Result of resolveDataSourceConfig
+ * @returns {string}
+ */
+export const getDatasetCacheKey = (config) => JSON.stringify(config.sources.map(({ url, type }) => [url, type]));
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runTransaction = async (mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+/**
+ * Reads the cached dataset for a configuration
+ * @param {string} cacheKey - Result of getDatasetCacheKey
+ * @returns {Promise<{addressMap: Object, report: Object, version: string|null, validators: Object, savedAt: number}|null>} -
+ *   Null when there is no usable cache; validators holds each source's ETag/Last-Modified
+ */
+export const readCachedDataset = async (cacheKey) => {
+  if (!isDatasetCacheAvailable()) return null;
+  try {
+    const entry = await runTransaction('readonly', (store) => store.get(CURRENT_ENTRY));
+    if (!entry || entry.cacheKey !== cacheKey || entry.schemaVersion !== CACHE_SCHEMA_VERSION) {
+      return null;
+    }
+    const { addressMap, report, version, validators = {}, savedAt } = entry;
+    return { addressMap, report, version, validators, savedAt };
+  } catch (error) {
+    console.warn('Failed to read the dataset cache:', error);
+    return null;
+  }
+};
+
+/**
+ * Stores a dataset as the cached copy for a configuration; failures are logged, not thrown
+ * @param {string} cacheKey - Result of getDatasetCacheKey
+ * @param {{addressMap: Object, report: Object, version: string|null, validators: Object, savedAt: number}} dataset - Dataset to store
+ * @returns {Promise<void>}
+ */
+export const writeCachedDataset = async (cacheKey, { addressMap, report, version, validators = {}, savedAt }) => {
+  if (!isDatasetCacheAvailable()) return;
+  try {
+    await runTransaction('readwrite', (store) => store.put(
+      { cacheKey, schemaVersion: CACHE_SCHEMA_VERSION, addressMap, report, version, validators, savedAt },
+      CURRENT_ENTRY
+    ));
+  } catch (error) {
+    console.warn('Failed to write the dataset cache:', error);
+  }
+};
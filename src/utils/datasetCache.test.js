@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { getDatasetCacheKey, readCachedDataset, writeCachedDataset, isDatasetCacheAvailable } from './datasetCache';
+
+describe('Dataset Cache', () => {
+  it('should derive different keys for different source lists', () => {
+    const a = getDatasetCacheKey({ sources: [{ url: '/a.csv', type: 'csv', name: 'A' }] });
+    const renamed = getDatasetCacheKey({ sources: [{ url: '/a.csv', type: 'csv', name: 'Renamed' }] });
+    const b = getDatasetCacheKey({ sources: [{ url: '/b.csv', type: 'csv', name: 'A' }] });
+    expect(a).toBe(renamed);
+    expect(a).not.toBe(b);
+  });
+
+  it('should degrade to no cache when IndexedDB is unavailable', async () => {
+    expect(isDatasetCacheAvailable()).toBe(false);
+    await expect(writeCachedDataset('key', { addressMap: {}, report: null, version: null, savedAt: 0 })).resolves.toBeUndefined();
+    await expect(readCachedDataset('key')).resolves.toBeNull();
+  });
+
+  describe('with IndexedDB', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    const dataset = {
+      addressMap: { 'kerkstraat 23 utrecht': { panels: 10 } },
+      report: { totalRows: 1, issues: [] },
+      version: '/a.csv="a1"',
+      validators: { '/a.csv': { etag: '"a1"', lastModified: null } },
+      savedAt: 1000
+    };
+
+    it('should read back the dataset it wrote', async () => {
+      vi.stubGlobal('indexedDB', new IDBFactory());
+      await writeCachedDataset('key', dataset);
+      await expect(readCachedDataset('key')).resolves.toEqual(dataset);
+    });
+
+    it('should not return a dataset written for another configuration', async () => {
+      vi.stubGlobal('indexedDB', new IDBFactory());
+      await writeCachedDataset('key', dataset);
+      await expect(readCachedDataset('other key')).resolves.toBeNull();
+    });
+  });
+});
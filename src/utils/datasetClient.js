@@ -0,0 +1,106 @@
+import { createDatasetService } from './datasetService';
+
+/**
+ * Creates the main-thread client of the dataset service. Requests go to a Web Worker when
+ * the browser supports module workers, otherwise the service runs in-process (e.g. in tests).
+ * When the worker script fails to load, the client falls back to the in-process service.
+ * Every method returns a promise; onProgress receives {stage, loaded, total, source} updates.
+ * @param {Object} [options] - Client options
+ * @param {boolean} [options.useWorker] - Force or disable the worker (default: when Worker exists)
+ * @returns {Object} Dataset client
+ */
+export const createDatasetClient = ({ useWorker = typeof Worker !== 'undefined' } = {}) => {
+  let request;
+  let terminate = () => {};
+
+  const runInProcess = () => {
+    const service = createDatasetService();
+    request = async (type, payload, onProgress) => service[type](payload, onProgress);
+  };
+
+  if (useWorker) {
+    const worker = new Worker(new URL('../workers/datasetWorker.js', import.meta.url), { type: 'module' });
+    const pending = new Map();
+    let nextId = 1;
+    // Whether the worker has answered at all; an error before that means the script didn't load
+    let started = false;
+
+    const rejectPending = (message) => {
+      pending.forEach(({ reject }) => reject(new Error(message)));
+      pending.clear();
+    };
+
+    worker.onmessage = ({ data: { id, type, progress, result, error } }) => {
+      started = true;
+      const entry = pending.get(id);
+      if (!entry) return;
+      if (type === 'progress') {
+        entry.onProgress?.(progress);
+        return;
+      }
+      pending.delete(id);
+      if (type === 'error') {
+        entry.reject(new Error(error));
+      } else {
+        entry.resolve(result);
+      }
+    };
+
+    // Without these, a failed worker would leave every request waiting forever
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      if (started) {
+        console.error('Dataset worker failed:', event.message);
+        rejectPending(`Dataset worker failed: ${event.message || 'unknown error'}`);
+        return;
+      }
+      console.warn('Dataset worker could not be started; loading the dataset on the main thread instead:', event.message);
+      worker.terminate();
+      const waiting = [...pending.values()];
+      pending.clear();
+      runInProcess();
+      terminate = () => {};
+      waiting.forEach(({ type, payload, onProgress, resolve, reject }) => {
+        request(type, payload, onProgress).then(resolve, reject);
+      });
+    };
+
+    worker.onmessageerror = () => {
+      rejectPending('Dataset worker sent a message that could not be read');
+    };
+
+    request = (type, payload, onProgress) => new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { type, payload, resolve, reject, onProgress });
+      worker.postMessage({ id, type, payload });
+    });
+
+    terminate = () => {
+      worker.terminate();
+      rejectPending('Dataset worker terminated');
+    };
+  } else {
+    runInProcess();
+  }
+
+  return {
+    loadCached: (onProgress) => request('loadCached', null, onProgress),
+    refresh: (onProgress) => request('refresh', null, onProgress),
+    parseFile: (file, onProgress) => request('parseFile', { file }, onProgress),
+    selectSheet: (sheetName, onProgress) => request('selectSheet', { sheetName }, onProgress),
+    applyFile: (mode, sourceName, onProgress) => request('applyFile', { mode, sourceName }, onProgress),
+    search: (query) => request('search', { query }),
+    postcodeSearch: (lookup) => request('postcodeSearch', { lookup }),
+    suggest: (query) => request('suggest', { query }),
+    clusters: (bounds, zoom, metric, cachedLocations) => request('clusters', { bounds, zoom, metric, cachedLocations }),
+    getRecord: (key) => request('getRecord', { key }),
+    nearest: (lat, lon, radiusMeters, cachedLocations) => request('nearest', { lat, lon, radiusMeters, cachedLocations }),
+    selectArea: (polygon, cachedLocations) => request('selectArea', { polygon, cachedLocations }),
+    aggregate: (groupBy) => request('aggregate', { groupBy }),
+    boundarySources: () => request('boundarySources'),
+    boundaries: (source) => request('boundaries', { source }),
+    choropleth: (source, cachedLocations) => request('choropleth', { source, cachedLocations }),
+    batchLookup: (file, onProgress) => request('batchLookup', { file }, onProgress),
+    terminate: () => terminate()
+  };
+};
@@ -0,0 +1,265 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createDatasetClient } from './datasetClient';
+
+const remoteCsv = [
+  'Address,Number of solar panels',
+  '"Kerkstraat 23, 3511 AB Utrecht",10',
+  '"Kerkstraat 25, 3511 AB Utrecht",12',
+  '"Oudegracht 101, 3511 AX Utrecht",4'
+].join('\n');
+
+const localCsv = [
+  'Address,Number of solar panels',
+  '"Kerkstraat 23, 3511 AB Utrecht",99',
+  '"Domplein 1, 3512 JC Utrecht",7'
+].join('\n');
+
+// Square boundary as a GeoJSON feature ([lon, lat] ring)
+const area = (properties, west, south, east, north) => ({
+  type: 'Feature',
+  properties,
+  geometry: { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] }
+});
+
+const geoJsonFiles = {
+  '/pc4.geojson': { type: 'FeatureCollection', features: [area({ postcode: '3511' }, 5.1, 52.08, 5.13, 52.1)] },
+  '/buurten.geojson': { type: 'FeatureCollection', features: [area({ buurtcode: 'BU1', buurtnaam: 'Centrum' }, 5.11, 52.085, 5.13, 52.095)] }
+};
+
+describe('Dataset Client (in-process service)', () => {
+  let client;
+
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      if (url === '/config.json') {
+        return new Response(JSON.stringify({
+          dataSources: ['/remote.csv'],
+          boundaries: ['/pc4.geojson', '/missing.geojson', { url: '/buurten.geojson', name: 'Buurten', join: 'location' }]
+        }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      if (geoJsonFiles[url]) {
+        return new Response(JSON.stringify(geoJsonFiles[url]), { status: 200, headers: { 'Content-Type': 'application/geo+json' } });
+      }
+      if (url === '/remote.csv') return new Response(remoteCsv, { status: 200 });
+      return new Response('Not found', { status: 404 });
+    }));
+    client = createDatasetClient({ useWorker: false });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should have no cached dataset without IndexedDB', async () => {
+    await expect(client.loadCached()).resolves.toBeNull();
+  });
+
+  it('should load the configured sources and report progress', async () => {
+    const onProgress = vi.fn();
+    const result = await client.refresh(onProgress);
+
+    expect(result).toMatchObject({ count: 3, changed: true, offline: false, usedFallback: false });
+    expect(result.report.totalRows).toBe(3);
+    const stages = onProgress.mock.calls.map(([progress]) => progress.stage);
+    expect(stages).toContain('parse');
+    expect(stages).toContain('records');
+    expect(stages).toContain('index');
+  });
+
+  it('should search, look up postcodes and suggest against the loaded dataset', async () => {
+    await client.refresh();
+
+    const [best] = await client.search('Kerkstraat 23 Utrecht');
+    expect(best.data.panels).toBe(10);
+
+    const [byPostcode] = await client.postcodeSearch({ postcode: '3511AX', houseNumber: 101, addition: '' });
+    expect(byPostcode.data.panels).toBe(4);
+
+    const suggestions = await client.suggest('kerkst');
+    expect(suggestions.map((suggestion) => suggestion.label)).toEqual([
+      'Kerkstraat 23, 3511 AB Utrecht',
+      'Kerkstraat 25, 3511 AB Utrecht'
+    ]);
+  });
+
+  it('should cluster the records that have coordinates and return records by key', async () => {
+    await client.parseFile(new File([
+      'Address,Panels,Latitude,Longitude\n"Domplein 1, Utrecht",7,52.0907,5.1214\n"Neude 2, Utrecht",3,,'
+    ], 'located.csv', { type: 'text/csv' }));
+    await client.applyFile('replace', 'located.csv');
+
+    const { clusters, total } = await client.clusters({ south: 50.7, west: 3.3, north: 53.6, east: 7.3 }, 12, 'panels');
+    expect(total).toBe(1);
+    expect(clusters).toEqual([expect.objectContaining({ key: 'domplein 1 utrecht', count: 1, value: 7 })]);
+    expect((await client.getRecord('domplein 1 utrecht')).panels).toBe(7);
+    expect(await client.getRecord('missing')).toBeNull();
+  });
+
+  it('should cluster records located by an earlier geocode too', async () => {
+    await client.parseFile(new File([
+      'Address,Panels,Latitude,Longitude\n"Domplein 1, Utrecht",7,52.0907,5.1214\n"Neude 2, Utrecht",3,,'
+    ], 'located.csv', { type: 'text/csv' }));
+    await client.applyFile('replace', 'located.csv');
+
+    const cachedLocations = [{ key: 'neude 2 utrecht', lat: 52.0929, lon: 5.1186 }, { key: 'not in dataset', lat: 52.0929, lon: 5.1186 }];
+    const { clusters, total } = await client.clusters({ south: 50.7, west: 3.3, north: 53.6, east: 7.3 }, 18, 'panels', cachedLocations);
+    expect(total).toBe(2);
+    expect(clusters).toContainEqual(expect.objectContaining({ key: 'neude 2 utrecht', label: 'Neude 2, Utrecht', count: 1, value: 3 }));
+  });
+
+  it('should find the nearest record by dataset or cached coordinates', async () => {
+    await client.parseFile(new File([
+      'Address,Panels,Latitude,Longitude\n"Domplein 1, Utrecht",7,52.0907,5.1214\n"Neude 2, Utrecht",3,,'
+    ], 'located.csv', { type: 'text/csv' }));
+    await client.applyFile('replace', 'located.csv');
+
+    const byDataset = await client.nearest(52.0908, 5.1214, 50, []);
+    expect(byDataset).toMatchObject({ key: 'domplein 1 utrecht', data: { panels: 7 } });
+    expect(byDataset.distance).toBeCloseTo(11.1, 0);
+
+    const cachedLocations = [{ key: 'neude 2 utrecht', lat: 52.0929, lon: 5.1186 }, { key: 'not in dataset', lat: 52.0929, lon: 5.1186 }];
+    expect((await client.nearest(52.0929, 5.1187, 50, cachedLocations)).key).toBe('neude 2 utrecht');
+    expect(await client.nearest(52.2, 5.3, 50, cachedLocations)).toBeNull();
+  });
+
+  it('should select and total the records inside a polygon', async () => {
+    await client.parseFile(new File([
+      'Address,Panels,kWp,Latitude,Longitude\n"Domplein 1, Utrecht",7,3,52.0907,5.1214\n"Neude 2, Utrecht",3,1,,\n"Dam 1, Amsterdam",5,2,52.3731,4.8926'
+    ], 'located.csv', { type: 'text/csv' }));
+    await client.applyFile('replace', 'located.csv');
+
+    const polygon = [[52.095, 5.11], [52.095, 5.13], [52.085, 5.13], [52.085, 5.11]];
+    const { rows, summary, unlocated } = await client.selectArea(polygon, [{ key: 'neude 2 utrecht', lat: 52.0929, lon: 5.1186 }]);
+    expect(rows.map((row) => row.key)).toEqual(['domplein 1 utrecht', 'neude 2 utrecht']);
+    expect(summary).toMatchObject({ count: 2, totalPanels: 10, totalKwp: 4 });
+    expect(unlocated).toBe(0);
+
+    expect((await client.selectArea(polygon)).unlocated).toBe(1);
+  });
+
+  it('should aggregate the loaded records by postcode area', async () => {
+    await client.refresh();
+
+    const { groups, ungrouped } = await client.aggregate('pc6');
+    expect(ungrouped).toBe(0);
+    expect(groups.map((group) => [group.key, group.count, group.totalPanels])).toEqual([
+      ['3511AB', 2, 22],
+      ['3511AX', 1, 4]
+    ]);
+  });
+
+  it('should compute choropleth statistics by postcode or by location', async () => {
+    await client.refresh();
+    // The missing file is left out, so the map doesn't offer a layer that can't load
+    expect(await client.boundarySources()).toEqual([
+      { name: '/pc4.geojson', join: 'pc4' },
+      { name: 'Buurten', join: 'location' }
+    ]);
+
+    const boundaries = await client.boundaries(0);
+    expect(boundaries.features[0].properties).toEqual({ areaKey: '3511', areaLabel: '3511' });
+    const byPostcode = await client.choropleth(0);
+    expect(byPostcode.groups).toEqual([expect.objectContaining({ key: '3511', count: 3, totalPanels: 26 })]);
+
+    const cachedLocations = [{ key: 'kerkstraat 23 3511 ab utrecht', lat: 52.09, lon: 5.12 }];
+    const byLocation = await client.choropleth(1, cachedLocations);
+    expect(byLocation.groups).toEqual([expect.objectContaining({ key: 'BU1', count: 1, totalPanels: 10 })]);
+    expect(byLocation.ungrouped).toBe(2);
+
+    await expect(client.boundaries(5)).rejects.toThrow('Unknown boundary source');
+  });
+
+  it('should look up an uploaded address list', async () => {
+    await client.refresh();
+    const onProgress = vi.fn();
+    const result = await client.batchLookup(new File([
+      'Klant,Adres\nA,"Kerkstraat 25, 3511 AB Utrecht"\nB,Dam 1 Amsterdam'
+    ], 'customers.csv', { type: 'text/csv' }), onProgress);
+
+    expect(result).toMatchObject({ rowCount: 2, columns: { address: 'Adres' }, summary: { matched: 1, 'not-found': 1 } });
+    expect(result.xlsx.byteLength).toBeGreaterThan(0);
+    expect(onProgress).toHaveBeenCalledWith({ stage: 'lookup', loaded: 0, total: 2 });
+  });
+
+  it('should merge a parsed local file and keep it over background refreshes', async () => {
+    await client.refresh();
+
+    const preview = await client.parseFile(new File([localCsv], 'local.csv', { type: 'text/csv' }));
+    expect(preview).toMatchObject({ rowCount: 2, recordCount: 2, sheetNames: ['Sheet1'] });
+
+    const merged = await client.applyFile('merge', 'local.csv');
+    expect(merged.count).toBe(4);
+    expect(merged.report.sourceName).toBe('local.csv');
+    expect((await client.search('Kerkstraat 23 Utrecht'))[0].data.panels).toBe(99);
+
+    const refreshed = await client.refresh();
+    expect(refreshed).toMatchObject({ changed: false, localDataset: true, count: 4 });
+  });
+
+  it('should reject applying a file before one is parsed', async () => {
+    await expect(client.applyFile('replace', 'none.csv')).rejects.toThrow('No file has been parsed');
+  });
+});
+
+describe('Dataset Client (worker)', () => {
+  // Worker stand-in that records its instances; tests fire its events by hand
+  class FakeWorker {
+    static instances = [];
+
+    constructor() {
+      this.messages = [];
+      this.terminated = false;
+      FakeWorker.instances.push(this);
+    }
+
+    postMessage(message) {
+      this.messages.push(message);
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+  }
+
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    vi.stubGlobal('Worker', FakeWorker);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('should fall back to the in-process service when the worker script fails to load', async () => {
+    const client = createDatasetClient({ useWorker: true });
+    const [worker] = FakeWorker.instances;
+    const cached = client.loadCached();
+
+    worker.onerror({ message: 'Failed to fetch' });
+    await expect(cached).resolves.toBeNull();
+    expect(worker.terminated).toBe(true);
+    await expect(client.getRecord('missing')).resolves.toBeNull();
+  });
+
+  it('should reject pending requests when a started worker fails', async () => {
+    const client = createDatasetClient({ useWorker: true });
+    const [worker] = FakeWorker.instances;
+    const first = client.getRecord('a');
+    worker.onmessage({ data: { id: worker.messages[0].id, type: 'result', result: null } });
+    await expect(first).resolves.toBeNull();
+
+    const second = client.getRecord('b');
+    worker.onerror({ message: 'boom' });
+    await expect(second).rejects.toThrow('Dataset worker failed: boom');
+
+    const third = client.getRecord('c');
+    worker.onmessageerror();
+    await expect(third).rejects.toThrow('could not be read');
+  });
+});
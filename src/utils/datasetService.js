@@ -0,0 +1,221 @@
+// Owns the loaded dataset and its search index. Runs inside the dataset Web Worker
+// (see src/workers/datasetWorker.js) so parsing, indexing and matching never block the UI;
+// datasetClient.js falls back to running it in-process where workers are unavailable.
+
+import { loadDataSourceConfig, refreshConfiguredDataset } from './dataSource';
+import { readCachedDataset, getDatasetCacheKey } from './datasetCache';
+import { readWorkbookFile, workbookToDataset, mergeAddressMaps } from './spreadsheetReader';
+import { findAddressMatches, findPostcodeMatches } from './addressMatcher';
+import { buildAddressIndex, suggestAddresses } from './addressIndex';
+import { buildPointIndex, toClusterPoint, clusterPoints, findNearestPoint } from './pointClusters';
+import { selectPointsInPolygon, toSelectionRow, summarizeSelection } from './areaSelection';
+import { aggregateRecords } from './aggregation';
+import { loadBoundaries, isBoundarySourceAvailable, buildAreaIndex, findAreaKey, BOUNDARY_JOINS } from './areaBoundaries';
+import { readBatchRows, resolveBatchColumns, lookupBatchRows, summarizeBatch, batchResultsToXlsx } from './batchLookup';
+
+/**
+ * Creates a dataset service. Every handler takes (payload, onProgress) and may be async;
+ * onProgress receives {stage, loaded, total, source} updates.
+ * @returns {Object} Handlers keyed by message type
+ */
+export const createDatasetService = () => {
+  let addressMap = {};
+  let index = buildAddressIndex(addressMap);
+  // Records with coordinates, for the map overview
+  let points = [];
+  let report = null;
+
+  let config = null;
+  let cached = null;
+  // Set once the user loads a local file, so background refreshes don't replace it
+  let localDataset = false;
+
+  // Parsed local file waiting for the user to replace or merge it
+  let pendingWorkbook = null;
+  let pendingDataset = null;
+
+  // Choropleth boundary files by source index: promises of {source, collection, areaIndex}
+  const boundaryCache = new Map();
+  // Promise of the configured boundary sources whose files exist; source indexes refer to this list
+  let availableBoundarySources = null;
+
+  const summary = () => ({ count: index.keys.length, report });
+
+  const ensureConfig = async () => {
+    if (!config) {
+      config = await loadDataSourceConfig();
+    }
+    return config;
+  };
+
+  const ensureBoundarySources = () => {
+    if (!availableBoundarySources) {
+      availableBoundarySources = ensureConfig().then(async ({ boundarySources }) => {
+        const available = await Promise.all(boundarySources.map(isBoundarySourceAvailable));
+        return boundarySources.filter((source, sourceIndex) => available[sourceIndex]);
+      });
+      // Forget failures so the next request retries
+      availableBoundarySources.catch(() => {
+        availableBoundarySources = null;
+      });
+    }
+    return availableBoundarySources;
+  };
+
+  const loadBoundaryData = async (sourceIndex) => {
+    if (!boundaryCache.has(sourceIndex)) {
+      const source = (await ensureBoundarySources())[sourceIndex];
+      if (!source) {
+        throw new Error(`Unknown boundary source: ${sourceIndex}`);
+      }
+      const promise = loadBoundaries(source).then((collection) => ({
+        source,
+        collection,
+        areaIndex: source.join === BOUNDARY_JOINS.LOCATION ? buildAreaIndex(collection) : null
+      }));
+      // Forget failures so the next request retries
+      promise.catch(() => boundaryCache.delete(sourceIndex));
+      boundaryCache.set(sourceIndex, promise);
+    }
+    return boundaryCache.get(sourceIndex);
+  };
+
+  // Located records plus geocoder results ({key, lat, lon}) from the main thread for records
+  // that have no coordinates of their own
+  const locatedPoints = (cachedLocations = []) => [
+    ...points,
+    ...cachedLocations
+      .filter(({ key }) => addressMap[key] && !addressMap[key].coordinates)
+      .map((location) => toClusterPoint(location.key, addressMap[location.key], location))
+  ];
+
+  const setDataset = (nextAddressMap, nextReport, onProgress) => {
+    index = buildAddressIndex(nextAddressMap, {
+      onProgress: onProgress && ((loaded, total) => onProgress({ stage: 'index', loaded, total }))
+    });
+    points = buildPointIndex(nextAddressMap);
+    addressMap = nextAddressMap;
+    report = nextReport;
+  };
+
+  const pendingSummary = () => ({
+    sheetNames: pendingDataset.sheetNames,
+    sheetName: pendingDataset.sheetName,
+    rowCount: pendingDataset.rowCount,
+    recordCount: Object.keys(pendingDataset.addressMap).length,
+    report: pendingDataset.report
+  });
+
+  return {
+    // Resolves the data source configuration and serves the cached dataset, if any
+    loadCached: async (payload, onProgress) => {
+      config = await loadDataSourceConfig();
+      cached = await readCachedDataset(getDatasetCacheKey(config));
+      if (!cached) return null;
+      setDataset(cached.addressMap, cached.report, onProgress);
+      return { ...summary(), savedAt: cached.savedAt };
+    },
+
+    // Reloads the configured sources; see refreshConfiguredDataset
+    refresh: async (payload, onProgress) => {
+      const result = await refreshConfiguredDataset(await ensureConfig(), cached, { onProgress });
+      const { dataset, changed, offline, usedFallback } = result;
+      if (!offline && !usedFallback) cached = dataset;
+      if (changed && !localDataset) {
+        setDataset(dataset.addressMap, dataset.report, onProgress);
+      }
+      return { ...summary(), savedAt: dataset.savedAt, changed: changed && !localDataset, offline, usedFallback, localDataset };
+    },
+
+    // Parses a local spreadsheet file and keeps it pending until applyFile is called
+    parseFile: async ({ file }, onProgress) => {
+      pendingWorkbook = await readWorkbookFile(file);
+      pendingDataset = workbookToDataset(pendingWorkbook, { onProgress });
+      return pendingSummary();
+    },
+
+    selectSheet: ({ sheetName }, onProgress) => {
+      pendingDataset = workbookToDataset(pendingWorkbook, { sheetName, onProgress });
+      return pendingSummary();
+    },
+
+    // Replaces the current dataset with the pending file, or merges the file into it
+    applyFile: ({ mode, sourceName }, onProgress) => {
+      if (!pendingDataset) {
+        throw new Error('No file has been parsed');
+      }
+      const nextAddressMap = mode === 'merge'
+        ? mergeAddressMaps(addressMap, pendingDataset.addressMap).addressMap
+        : pendingDataset.addressMap;
+      setDataset(nextAddressMap, { ...pendingDataset.report, sourceName }, onProgress);
+      localDataset = true;
+      pendingWorkbook = null;
+      pendingDataset = null;
+      return summary();
+    },
+
+    search: ({ query }) => findAddressMatches(query, addressMap),
+
+    postcodeSearch: ({ lookup }) => findPostcodeMatches(lookup, addressMap),
+
+    suggest: ({ query }) => suggestAddresses(index, query),
+
+    // Clusters of the located records (dataset coordinates or cachedLocations) inside the map
+    // view; total counts all located records
+    clusters: ({ bounds, zoom, metric, cachedLocations }) => {
+      const located = locatedPoints(cachedLocations);
+      return { clusters: clusterPoints(located, { bounds, zoom, metric }), total: located.length };
+    },
+
+    getRecord: ({ key }) => addressMap[key] ?? null,
+
+    // Record closest to a map click
+    nearest: ({ lat, lon, radiusMeters, cachedLocations }) => {
+      const nearest = findNearestPoint(locatedPoints(cachedLocations), { lat, lon }, radiusMeters);
+      if (!nearest) return null;
+      return { key: nearest.point.key, data: addressMap[nearest.point.key], distance: nearest.distance };
+    },
+
+    // Records inside a polygon drawn on the map, with their totals. unlocated counts the records
+    // that could not be considered because their location is unknown.
+    selectArea: ({ polygon, cachedLocations }) => {
+      const located = locatedPoints(cachedLocations);
+      const rows = selectPointsInPolygon(located, polygon)
+        .map((point) => toSelectionRow(point.key, addressMap[point.key], point));
+      return { rows, summary: summarizeSelection(rows), unlocated: index.keys.length - located.length };
+    },
+
+    // Statistics per PC4, PC6, city or municipality; see aggregateRecords
+    aggregate: ({ groupBy }) => aggregateRecords(addressMap, groupBy),
+
+    // Boundary sources whose files exist; a missing file (such as the unbundled default) is left out
+    boundarySources: async () => (await ensureBoundarySources()).map(({ name, join }) => ({ name, join })),
+
+    // Prepared GeoJSON of a boundary file; see prepareBoundaries
+    boundaries: async ({ source }) => (await loadBoundaryData(source)).collection,
+
+    // Statistics per area of a boundary file. Postcode and municipality boundaries are matched
+    // by the records' addresses, other boundaries by the records' locations.
+    choropleth: async ({ source, cachedLocations }) => {
+      const { source: { join }, areaIndex } = await loadBoundaryData(source);
+      if (join !== BOUNDARY_JOINS.LOCATION) {
+        return aggregateRecords(addressMap, join);
+      }
+      const locations = new Map(locatedPoints(cachedLocations).map((point) => [point.key, point]));
+      return aggregateRecords(addressMap, (record, key) => (locations.has(key) ? findAreaKey(areaIndex, locations.get(key)) : null));
+    },
+
+    // Looks up every address of an uploaded list and returns the results as an XLSX file
+    batchLookup: async ({ file }, onProgress) => {
+      const { headers, rows } = readBatchRows(await readWorkbookFile(file));
+      const columns = resolveBatchColumns(headers);
+      const results = lookupBatchRows(rows, columns, addressMap, { onProgress });
+      return {
+        rowCount: rows.length,
+        columns,
+        summary: summarizeBatch(results),
+        xlsx: batchResultsToXlsx(headers, rows, results)
+      };
+    }
+  };
+};
@@ -0,0 +1,200 @@
+import { COLUMN_SCHEMA, resolveColumns, parseCellValue } from './spreadsheetSchema';
+import { normalizeAddress } from './addressMatcher';
+import { calculateKwp } from './calculations';
+import { toCsv } from './exportFile';
+import { isInNetherlands, isValidRd } from './coordinates';
+
+// Relative difference allowed between the kWp column and panels × Wp
+export const DEFAULT_KWP_TOLERANCE = 0.1;
+
+export const ISSUE_TYPES = {
+  EMPTY_ADDRESS: 'empty-address',
+  DUPLICATE_ADDRESS: 'duplicate-address',
+  INVALID_NUMBER: 'invalid-number',
+  CONFIDENCE_OUT_OF_RANGE: 'confidence-out-of-range',
+  AVAILABILITY_OVER_100: 'availability-over-100',
+  KWP_MISMATCH: 'kwp-mismatch',
+  INVALID_COORDINATES: 'invalid-coordinates',
+  INVALID_PAND_ID: 'invalid-pand-id',
+  INVALID_GEOJSON: 'invalid-geojson'
+};
+
+export const ISSUE_LABELS = {
+  [ISSUE_TYPES.EMPTY_ADDRESS]: 'Empty address',
+  [ISSUE_TYPES.DUPLICATE_ADDRESS]: 'Duplicate address',
+  [ISSUE_TYPES.INVALID_NUMBER]: 'Invalid number',
+  [ISSUE_TYPES.CONFIDENCE_OUT_OF_RANGE]: 'Confidence outside 1-10',
+  [ISSUE_TYPES.AVAILABILITY_OVER_100]: 'Availability factor over 100%',
+  [ISSUE_TYPES.KWP_MISMATCH]: 'kWp disagrees with panels × Wp',
+  [ISSUE_TYPES.INVALID_COORDINATES]: 'Coordinates outside the Netherlands',
+  [ISSUE_TYPES.INVALID_PAND_ID]: 'Invalid BAG pand ID',
+  [ISSUE_TYPES.INVALID_GEOJSON]: 'Invalid GeoJSON'
+};
+
+// Spreadsheet row number of a data row: XLSX records the 0-based sheet row in __rowNum__,
+// otherwise assume row 1 holds the headers and there are no blank rows
+const toSheetRow = (rows, index) => (rows[index]?.__rowNum__ ?? index + 1) + 1;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Validates spreadsheet rows against the column schema and collects the problems found
+ * @param {Object[]} rows - Rows as returned by XLSX.utils.sheet_to_json
+ * @param {Object} [options] - Validation options
+ * @param {Array} [options.schema=COLUMN_SCHEMA] - Column schema
+ * @param {number} [options.kwpTolerance=DEFAULT_KWP_TOLERANCE] - Allowed relative kWp difference
+ * @returns {{totalRows: number, validRows: number, issueCounts: Object, issues: Object[]}} Validation report
+ */
+export const validateRows = (rows, { schema = COLUMN_SCHEMA, kwpTolerance = DEFAULT_KWP_TOLERANCE } = {}) => {
+  const headers = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((header) => headers.add(header)));
+  const columns = resolveColumns([...headers], schema);
+  const columnsByField = Object.fromEntries(schema.map((column) => [column.field, column]));
+
+  const issues = [];
+  const rowsWithIssues = new Set();
+  const firstRowByAddress = new Map();
+
+  const addIssue = (index, type, address, field, value, message) => {
+    issues.push({ row: toSheetRow(rows, index), address, type, field, value, message });
+    rowsWithIssues.add(index);
+  };
+
+  rows.forEach((row, index) => {
+    const rawAddress = columns.address ? row[columns.address] : undefined;
+    const address = isBlank(rawAddress) ? '' : String(rawAddress).trim();
+
+    if (!address) {
+      addIssue(index, ISSUE_TYPES.EMPTY_ADDRESS, '', 'address', '', 'Row has no address and is skipped');
+      return;
+    }
+
+    const key = normalizeAddress(address);
+    if (firstRowByAddress.has(key)) {
+      const firstRow = toSheetRow(rows, firstRowByAddress.get(key));
+      addIssue(index, ISSUE_TYPES.DUPLICATE_ADDRESS, address, 'address', address,
+        `Same normalized address as row ${firstRow}; only the last row is kept`);
+    } else {
+      firstRowByAddress.set(key, index);
+    }
+
+    // Parse every numeric field, flagging values that are present but not (whole) numbers
+    const values = {};
+    schema.forEach((column) => {
+      if (column.type !== 'number' && column.type !== 'percentage') return;
+      const raw = columns[column.field] ? row[columns[column.field]] : undefined;
+      if (isBlank(raw)) return;
+      const value = parseCellValue(raw, column);
+      if (value === undefined) {
+        addIssue(index, ISSUE_TYPES.INVALID_NUMBER, address, column.field, raw,
+          `${columns[column.field]} is not ${column.integer ? 'a whole number' : 'a number'}`);
+      } else {
+        values[column.field] = value;
+      }
+    });
+
+    if (values.confidence !== undefined && (values.confidence < 1 || values.confidence > 10)) {
+      addIssue(index, ISSUE_TYPES.CONFIDENCE_OUT_OF_RANGE, address, 'confidence', values.confidence,
+        `Confidence ${values.confidence} is outside 1-10`);
+    }
+
+    if (values.availabilityFactor !== undefined && values.availabilityFactor > 100) {
+      addIssue(index, ISSUE_TYPES.AVAILABILITY_OVER_100, address, 'availabilityFactor', values.availabilityFactor,
+        `Availability factor ${values.availabilityFactor}% is over 100%`);
+    }
+
+    if (values.kwp !== undefined && values.kwp > 0 && values.panels > 0) {
+      const avgPanelOutput = values.avgPanelOutput ?? columnsByField.avgPanelOutput?.default;
+      const expectedKwp = calculateKwp(values.panels, avgPanelOutput);
+      if (expectedKwp > 0 && Math.abs(values.kwp - expectedKwp) / expectedKwp > kwpTolerance) {
+        addIssue(index, ISSUE_TYPES.KWP_MISMATCH, address, 'kwp', values.kwp,
+          `kWp ${values.kwp} differs from ${values.panels} panels × ${avgPanelOutput} Wp = ${expectedKwp.toFixed(3)} kWp`);
+      }
+    }
+
+    // A coordinate pair that is incomplete or outside the Netherlands is ignored, and the row is geocoded instead
+    if ((values.latitude !== undefined || values.longitude !== undefined) && !isInNetherlands(values.latitude, values.longitude)) {
+      addIssue(index, ISSUE_TYPES.INVALID_COORDINATES, address, 'latitude', `${values.latitude ?? ''}, ${values.longitude ?? ''}`,
+        `Latitude/longitude ${values.latitude ?? '?'}, ${values.longitude ?? '?'} is not a location in the Netherlands`);
+    }
+    if ((values.rdX !== undefined || values.rdY !== undefined) && !isValidRd(values.rdX, values.rdY)) {
+      addIssue(index, ISSUE_TYPES.INVALID_COORDINATES, address, 'rdX', `${values.rdX ?? ''}, ${values.rdY ?? ''}`,
+        `RD X/Y ${values.rdX ?? '?'}, ${values.rdY ?? '?'} is not a location in the Netherlands`);
+    }
+
+    // Unusable map geometry is left out; the rest of the row is kept
+    schema.forEach((column) => {
+      if (column.type !== 'bag-id' && column.type !== 'geojson') return;
+      const raw = columns[column.field] ? row[columns[column.field]] : undefined;
+      if (isBlank(raw) || parseCellValue(raw, column) !== undefined) return;
+      if (column.type === 'bag-id') {
+        addIssue(index, ISSUE_TYPES.INVALID_PAND_ID, address, column.field, raw,
+          `${columns[column.field]} is not a 16-digit BAG pand ID`);
+      } else {
+        addIssue(index, ISSUE_TYPES.INVALID_GEOJSON, address, column.field,
+          typeof raw === 'string' ? raw : JSON.stringify(raw),
+          `${columns[column.field]} is not a GeoJSON geometry, Feature or FeatureCollection`);
+      }
+    });
+  });
+
+  const issueCounts = Object.fromEntries(Object.values(ISSUE_TYPES).map((type) => [type, 0]));
+  issues.forEach((issue) => {
+    issueCounts[issue.type]++;
+  });
+
+  return {
+    totalRows: rows.length,
+    validRows: rows.length - rowsWithIssues.size,
+    issueCounts,
+    issues
+  };
+};
+
+/**
+ * Converts a validation report to CSV, one line per issue
+ * @param {Object} report - Result of validateRows
+ * @returns {string} CSV text
+ */
+export const validationReportToCsv = (report) => {
+  return toCsv(
+    ['Row', 'Address', 'Issue', 'Field', 'Value', 'Message'],
+    report.issues.map((issue) => [
+      issue.row,
+      issue.address,
+      ISSUE_LABELS[issue.type] || issue.type,
+      issue.field,
+      issue.value,
+      issue.message
+    ])
+  );
+};
+
+/**
+ * Combines the validation reports of several sources into one, tagging each issue with its source
+ * @param {{name: string, report: Object}[]} sourceReports - Report per named source
+ * @returns {Object} Combined report with the same shape as validateRows' result plus sourceName
+ */
+export const combineValidationReports = (sourceReports) => {
+  const issueCounts = Object.fromEntries(Object.values(ISSUE_TYPES).map((type) => [type, 0]));
+  const issues = [];
+  let totalRows = 0;
+  let validRows = 0;
+
+  sourceReports.forEach(({ name, report }) => {
+    totalRows += report.totalRows;
+    validRows += report.validRows;
+    Object.entries(report.issueCounts).forEach(([type, count]) => {
+      issueCounts[type] = (issueCounts[type] || 0) + count;
+    });
+    report.issues.forEach((issue) => issues.push({ ...issue, source: name }));
+  });
+
+  return {
+    totalRows,
+    validRows,
+    issueCounts,
+    issues,
+    sourceName: sourceReports.map(({ name }) => name).join(', ')
+  };
+};
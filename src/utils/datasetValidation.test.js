@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { validateRows, validationReportToCsv, combineValidationReports, ISSUE_TYPES } from './datasetValidation';
+
+const row = (overrides) => ({
+  Address: 'Kerkstraat 23, 3511 AB Utrecht',
+  'Number of solar panels': 10,
+  'Confidence level (1-10)': 8,
+  kWp: 4.35,
+  'Availability factor (%)': 99,
+  'Avg solar panel output (Wp)': 435,
+  ...overrides
+});
+
+const issuesOfType = (report, type) => report.issues.filter((issue) => issue.type === type);
+
+describe('Dataset Validation', () => {
+  it('should report no issues for valid rows', () => {
+    const report = validateRows([row(), row({ Address: 'Oudegracht 101, Utrecht' })]);
+    expect(report.totalRows).toBe(2);
+    expect(report.validRows).toBe(2);
+    expect(report.issues).toEqual([]);
+  });
+
+  it('should report empty addresses', () => {
+    const report = validateRows([row({ Address: '  ' })]);
+    expect(issuesOfType(report, ISSUE_TYPES.EMPTY_ADDRESS)).toHaveLength(1);
+    expect(report.validRows).toBe(0);
+  });
+
+  it('should report duplicate normalized addresses with the first row number', () => {
+    const report = validateRows([row(), row({ Address: 'kerkstraat 23 3511 ab utrecht' })]);
+    const [duplicate] = issuesOfType(report, ISSUE_TYPES.DUPLICATE_ADDRESS);
+    expect(duplicate.row).toBe(3);
+    expect(duplicate.message).toContain('row 2');
+  });
+
+  it('should report non-numeric panel counts', () => {
+    const [issue] = issuesOfType(validateRows([row({ 'Number of solar panels': 'ten' })]), ISSUE_TYPES.INVALID_NUMBER);
+    expect(issue.field).toBe('panels');
+    expect(issue.value).toBe('ten');
+  });
+
+  it('should report panel counts that are not whole numbers', () => {
+    const report = validateRows([
+      row({ 'Number of solar panels': '12abc' }),
+      row({ Address: 'A 1', 'Number of solar panels': '12.5' }),
+      row({ Address: 'A 2', 'Number of solar panels': ' 12 ' })
+    ]);
+    const issues = issuesOfType(report, ISSUE_TYPES.INVALID_NUMBER);
+    expect(issues.map((issue) => issue.value)).toEqual(['12abc', '12.5']);
+    expect(issues[1].message).toBe('Number of solar panels is not a whole number');
+  });
+
+  it('should not read numbers with trailing text', () => {
+    const [issue] = issuesOfType(validateRows([row({ kWp: '4.35kWp' })]), ISSUE_TYPES.INVALID_NUMBER);
+    expect(issue).toMatchObject({ field: 'kwp', message: 'kWp is not a number' });
+  });
+
+  it('should prefix exported values that would run as spreadsheet formulas', () => {
+    const csv = validationReportToCsv(validateRows([row({ Address: '=HYPERLINK("http://example.com")', 'Number of solar panels': '-1+1' })]));
+    const [, line] = csv.split('\n');
+    expect(line).toBe('2,"\'=HYPERLINK(""http://example.com"")",Invalid number,panels,\'-1+1,Number of solar panels is not a whole number');
+  });
+
+  it('should report confidence outside 1-10', () => {
+    const report = validateRows([row({ 'Confidence level (1-10)': 0 }), row({ Address: 'A 1', 'Confidence level (1-10)': 11 })]);
+    expect(issuesOfType(report, ISSUE_TYPES.CONFIDENCE_OUT_OF_RANGE)).toHaveLength(2);
+  });
+
+  it('should report availability factors over 100', () => {
+    const report = validateRows([row({ 'Availability factor (%)': '120%' })]);
+    expect(issuesOfType(report, ISSUE_TYPES.AVAILABILITY_OVER_100)[0].value).toBe(120);
+  });
+
+  it('should report kWp that disagrees with panels × Wp beyond the tolerance', () => {
+    const report = validateRows([
+      row({ kWp: 4.5 }), // within 10% of 4.35
+      row({ Address: 'A 1', kWp: 6 })
+    ]);
+    const mismatches = issuesOfType(report, ISSUE_TYPES.KWP_MISMATCH);
+    expect(mismatches).toHaveLength(1);
+    expect(mismatches[0].address).toBe('A 1');
+  });
+
+  it('should accept a custom kWp tolerance', () => {
+    const report = validateRows([row({ kWp: 4.5 })], { kwpTolerance: 0.01 });
+    expect(issuesOfType(report, ISSUE_TYPES.KWP_MISMATCH)).toHaveLength(1);
+  });
+
+  it('should report coordinates outside the Netherlands', () => {
+    const report = validateRows([
+      row({ Latitude: 52.09, Longitude: 5.12 }),
+      row({ Address: 'A 1', Latitude: 5.12, Longitude: 52.09 }),
+      row({ Address: 'B 2', X: 136859, Y: 455944 }),
+      row({ Address: 'C 3', X: 136859 })
+    ]);
+    const issues = issuesOfType(report, ISSUE_TYPES.INVALID_COORDINATES);
+    expect(issues.map((issue) => issue.address)).toEqual(['A 1', 'C 3']);
+    expect(issues[1].field).toBe('rdX');
+  });
+
+  it('should report pand IDs and GeoJSON cells that cannot be used', () => {
+    const report = validateRows([
+      row({ 'BAG pand ID': '0344100000123456', 'Panels GeoJSON': '{"type": "Point", "coordinates": [5.12, 52.09]}' }),
+      row({ Address: 'A 1', 'BAG pand ID': 'unknown' }),
+      row({ Address: 'B 2', 'Panels GeoJSON': '{"type": "Polygon"' })
+    ]);
+    expect(issuesOfType(report, ISSUE_TYPES.INVALID_PAND_ID).map((issue) => issue.address)).toEqual(['A 1']);
+    expect(issuesOfType(report, ISSUE_TYPES.INVALID_GEOJSON)[0].field).toBe('panelPolygons');
+  });
+
+  it('should count issues per type', () => {
+    const report = validateRows([row({ Address: '' }), row({ 'Confidence level (1-10)': 42 })]);
+    expect(report.issueCounts[ISSUE_TYPES.EMPTY_ADDRESS]).toBe(1);
+    expect(report.issueCounts[ISSUE_TYPES.CONFIDENCE_OUT_OF_RANGE]).toBe(1);
+    expect(report.issueCounts[ISSUE_TYPES.KWP_MISMATCH]).toBe(0);
+  });
+
+  it('should export the report as CSV, quoting values with commas', () => {
+    const csv = validationReportToCsv(validateRows([row({ 'Number of solar panels': 'ten' })]));
+    const lines = csv.split('\n');
+    expect(lines[0]).toBe('Row,Address,Issue,Field,Value,Message');
+    expect(lines[1]).toBe('2,"Kerkstraat 23, 3511 AB Utrecht",Invalid number,panels,ten,Number of solar panels is not a whole number');
+  });
+
+  it('should combine reports of several sources and tag issues with their source', () => {
+    const combined = combineValidationReports([
+      { name: 'Sheet', report: validateRows([row(), row({ Address: '' })]) },
+      { name: 'Export', report: validateRows([row({ 'Confidence level (1-10)': 42 })]) }
+    ]);
+    expect(combined.totalRows).toBe(3);
+    expect(combined.validRows).toBe(1);
+    expect(combined.issueCounts[ISSUE_TYPES.EMPTY_ADDRESS]).toBe(1);
+    expect(combined.issues.map((issue) => issue.source)).toEqual(['Sheet', 'Export']);
+    expect(combined.sourceName).toBe('Sheet, Export');
+  });
+});
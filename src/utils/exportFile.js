@@ -0,0 +1,49 @@
+/**
+ * Helpers for exporting data from the app as downloadable files
+ */
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+const escapeCsvValue = (value) => {
+  let text = String(value ?? '');
+  // Quote text (e.g. an address typed into a spreadsheet) that would run as a formula, so opening
+  // an export can't execute it; negative numbers stay numbers
+  if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Converts rows of values to CSV text. Values that a spreadsheet app would run as a formula
+ * are prefixed with an apostrophe.
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array>} rows - Row values, in header order
+ * @returns {string} CSV text
+ */
+export const toCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map((values) => values.map(escapeCsvValue).join(','))
+    .join('\n');
+};
+
+/**
+ * Offers content to the user as a file download
+ * @param {string|Blob} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} [mimeType='text/csv;charset=utf-8'] - MIME type when content is a string
+ */
+export const downloadFile = (content, fileName, mimeType = 'text/csv;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { toCsv } from './exportFile';
+
+describe('Export File', () => {
+  describe('toCsv', () => {
+    it('should quote values with commas, quotes and line breaks', () => {
+      expect(toCsv(['Address', 'Note'], [['Kerkstraat 23, Utrecht', 'Says "hi"\nbye']]))
+        .toBe('Address,Note\n"Kerkstraat 23, Utrecht","Says ""hi""\nbye"');
+    });
+
+    it('should prefix values that would run as formulas', () => {
+      expect(toCsv(['Value'], [['=1+1'], ['+31 30 123'], ['-cmd'], ['@SUM(A1)'], ['\tTab']]))
+        .toBe("Value\n'=1+1\n'+31 30 123\n'-cmd\n'@SUM(A1)\n'\tTab");
+    });
+
+    it('should leave numbers unchanged, negative ones too', () => {
+      expect(toCsv(['Value'], [[-4.5], ['-12'], [0], [null]])).toBe('Value\n-4.5\n-12\n0\n');
+    });
+  });
+});
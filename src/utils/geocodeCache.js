@@ -0,0 +1,82 @@
+// Geocode results cached by normalized address, in memory and (when available) in localStorage
+
+export const DEFAULT_GEOCODE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+export const DEFAULT_GEOCODE_CACHE_SIZE = 500;
+const STORAGE_KEY = 'solar-panel-finder:geocode-cache';
+
+const defaultStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    // Accessing localStorage throws when storage is disabled
+    return null;
+  }
+};
+
+/**
+ * Creates a geocode cache. Entries expire after ttlMs; when there are more than maxEntries,
+ * the oldest are dropped.
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttlMs=DEFAULT_GEOCODE_TTL_MS] - Time to live of an entry
+ * @param {number} [options.maxEntries=DEFAULT_GEOCODE_CACHE_SIZE] - Maximum number of entries
+ * @param {Storage|null} [options.storage] - Persistent storage (default: localStorage; null for memory only)
+ * @param {function(): number} [options.now=Date.now] - Clock, for tests
+ * @returns {{get: function(string): Object|null, set: function(string, Object): void, entries: function(): Array, clear: function(): void}}
+ */
+export const createGeocodeCache = ({
+  ttlMs = DEFAULT_GEOCODE_TTL_MS,
+  maxEntries = DEFAULT_GEOCODE_CACHE_SIZE,
+  storage = defaultStorage(),
+  now = Date.now
+} = {}) => {
+  // Map keeps insertion order, so the first entries are the oldest
+  let entries = new Map();
+
+  if (storage) {
+    try {
+      const stored = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+      entries = new Map(stored.filter(([, entry]) => entry.expiresAt > now()));
+    } catch (error) {
+      console.warn('Ignoring unreadable geocode cache:', error);
+    }
+  }
+
+  const persist = () => {
+    if (!storage) return;
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify([...entries]));
+    } catch (error) {
+      // Quota exceeded or storage disabled: keep the memory cache only
+      console.warn('Failed to persist the geocode cache:', error);
+    }
+  };
+
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        persist();
+        return null;
+      }
+      return entry.result;
+    },
+    set: (key, result) => {
+      entries.delete(key);
+      entries.set(key, { result, expiresAt: now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      persist();
+    },
+    // Unexpired [key, result] pairs, oldest first
+    entries: () => [...entries]
+      .filter(([, entry]) => entry.expiresAt > now())
+      .map(([key, entry]) => [key, entry.result]),
+    clear: () => {
+      entries.clear();
+      storage?.removeItem(STORAGE_KEY);
+    }
+  };
+};
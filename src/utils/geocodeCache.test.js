@@ -0,0 +1,58 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createGeocodeCache } from './geocodeCache';
+
+const result = (lat) => ({ lat, lon: 5, precision: 'address', provider: 'Test' });
+
+describe('Geocode Cache', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should return cached results until they expire', () => {
+    let time = 0;
+    const cache = createGeocodeCache({ ttlMs: 1000, storage: null, now: () => time });
+    cache.set('kerkstraat 23 utrecht', result(52));
+
+    time = 999;
+    expect(cache.get('kerkstraat 23 utrecht')).toEqual(result(52));
+    time = 1000;
+    expect(cache.get('kerkstraat 23 utrecht')).toBeNull();
+  });
+
+  it('should drop the oldest entries beyond the maximum size', () => {
+    const cache = createGeocodeCache({ maxEntries: 2, storage: null });
+    cache.set('a', result(1));
+    cache.set('b', result(2));
+    cache.set('c', result(3));
+    expect(cache.get('a')).toBeNull();
+    expect(cache.get('c')).toEqual(result(3));
+  });
+
+  it('should list unexpired entries', () => {
+    let time = 0;
+    const cache = createGeocodeCache({ ttlMs: 1000, storage: null, now: () => time });
+    cache.set('a', result(1));
+    time = 500;
+    cache.set('b', result(2));
+    time = 1200;
+    expect(cache.entries()).toEqual([['b', result(2)]]);
+  });
+
+  it('should persist entries in storage across instances', () => {
+    createGeocodeCache({ storage: localStorage }).set('dam 1 amsterdam', result(52.37));
+    expect(createGeocodeCache({ storage: localStorage }).get('dam 1 amsterdam')).toEqual(result(52.37));
+  });
+
+  it('should skip expired entries when loading from storage', () => {
+    let time = 0;
+    createGeocodeCache({ ttlMs: 1000, storage: localStorage, now: () => time }).set('a', result(1));
+    time = 5000;
+    expect(createGeocodeCache({ ttlMs: 1000, storage: localStorage, now: () => time }).get('a')).toBeNull();
+  });
+
+  it('should ignore unreadable stored data', () => {
+    localStorage.setItem('solar-panel-finder:geocode-cache', '{not json');
+    const cache = createGeocodeCache({ storage: localStorage });
+    expect(cache.get('a')).toBeNull();
+  });
+});
@@ -1,40 +1,305 @@
 /**
- * Geocodes an address to get coordinates
- * Uses Nominatim (OpenStreetMap) geocoding service
- * @param {string} address - The address to geocode
- * @returns {Promise<{lat: number, lon: number}>} - Coordinates
+ * Geocoding with pluggable providers. A provider is an object
+ * {name, geocode(address) => Promise<GeocodeResult|null>}, where GeocodeResult is
+ * {lat, lon, displayName, precision, score, provider}. Providers resolve null when they
+ * find nothing and throw when the request itself fails; createGeocoder tries them in order.
+ * A provider may set minIntervalMs to have its requests spaced by a rate limiter, and may
+ * implement reverse(lat, lon) with the same result shape for reverseGeocode.
  */
-export const geocodeAddress = async (address) => {
-  try {
-    // Using Nominatim (OpenStreetMap) geocoding service
-    // This is free and works well for addresses
+
+import { normalizeAddress } from './addressMatcher';
+import { createRateLimiter } from './rateLimiter';
+import { createGeocodeCache } from './geocodeCache';
+import { distanceMeters } from './coordinates';
+
+// How precisely a result locates the address, from most to least precise
+export const GEOCODE_PRECISION = {
+  ADDRESS: 'address',
+  STREET: 'street',
+  POSTCODE: 'postcode',
+  CITY: 'city',
+  UNKNOWN: 'unknown'
+};
+
+const PRECISION_ORDER = [
+  GEOCODE_PRECISION.ADDRESS,
+  GEOCODE_PRECISION.STREET,
+  GEOCODE_PRECISION.POSTCODE,
+  GEOCODE_PRECISION.CITY,
+  GEOCODE_PRECISION.UNKNOWN
+];
+
+const precisionRank = (precision) => {
+  const rank = PRECISION_ORDER.indexOf(precision);
+  return rank === -1 ? PRECISION_ORDER.length : rank;
+};
+
+// PDOK Locatieserver document types
+const PDOK_TYPE_PRECISION = {
+  adres: GEOCODE_PRECISION.ADDRESS,
+  weg: GEOCODE_PRECISION.STREET,
+  postcode: GEOCODE_PRECISION.POSTCODE,
+  woonplaats: GEOCODE_PRECISION.CITY,
+  gemeente: GEOCODE_PRECISION.CITY,
+  provincie: GEOCODE_PRECISION.CITY
+};
+
+const PDOK_LOCATIESERVER_URL = 'https://api.pdok.nl/bzk/locatieserver/search/v3_1';
+
+// Runs a Locatieserver query and converts its first document to a GeocodeResult
+const pdokRequest = async (endpoint, params) => {
+  const query = new URLSearchParams({ ...params, rows: '1', fl: 'weergavenaam,type,score,centroide_ll' });
+  const response = await fetch(`${PDOK_LOCATIESERVER_URL}/${endpoint}?${query}`);
+  if (!response.ok) {
+    throw new Error(`PDOK Locatieserver request failed (HTTP ${response.status})`);
+  }
+
+  const data = await response.json();
+  const doc = data.response?.docs?.[0];
+  // centroide_ll is WKT: "POINT(lon lat)"
+  const point = doc?.centroide_ll?.match(/POINT\(([-\d.]+) ([-\d.]+)\)/);
+  if (!point) return null;
+
+  return {
+    lat: parseFloat(point[2]),
+    lon: parseFloat(point[1]),
+    displayName: doc.weergavenaam,
+    precision: PDOK_TYPE_PRECISION[doc.type] || GEOCODE_PRECISION.UNKNOWN,
+    score: doc.score,
+    provider: 'PDOK Locatieserver'
+  };
+};
+
+/**
+ * PDOK Locatieserver (BAG-based, Dutch addresses only). score is the Solr relevance score.
+ */
+export const pdokLocatieserverProvider = {
+  name: 'PDOK Locatieserver',
+  minIntervalMs: 100,
+  geocode: (address) => pdokRequest('free', { q: address }),
+  // Nearest address (BAG verblijfsobject) to the point
+  reverse: (lat, lon) => pdokRequest('reverse', { lat: String(lat), lon: String(lon), type: 'adres' })
+};
+
+// Nominatim place_rank: 30 for buildings and house numbers, 26-27 for streets
+const nominatimPrecision = (result) => {
+  if (result.addresstype === 'postcode') return GEOCODE_PRECISION.POSTCODE;
+  if (result.place_rank >= 28) return GEOCODE_PRECISION.ADDRESS;
+  if (result.place_rank >= 26) return GEOCODE_PRECISION.STREET;
+  if (result.place_rank >= 12) return GEOCODE_PRECISION.CITY;
+  return GEOCODE_PRECISION.UNKNOWN;
+};
+
+const nominatimResult = (result) => ({
+  lat: parseFloat(result.lat),
+  lon: parseFloat(result.lon),
+  displayName: result.display_name,
+  precision: nominatimPrecision(result),
+  score: result.importance,
+  provider: 'Nominatim'
+});
+
+/**
+ * OpenStreetMap Nominatim. score is Nominatim's importance (0-1).
+ * The usage policy allows at most one request per second.
+ */
+export const nominatimProvider = {
+  name: 'Nominatim',
+  minIntervalMs: 1000,
+  geocode: async (address) => {
     const encodedAddress = encodeURIComponent(address);
-    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodedAddress}&limit=1`;
-    
+    const url = `https://nominatim.openstreetmap.org/search?format=jsonv2&q=${encodedAddress}&limit=1`;
+
     const response = await fetch(url, {
       headers: {
         'User-Agent': 'SolarPanelApp/1.0' // Required by Nominatim
       }
     });
-    
     if (!response.ok) {
-      throw new Error('Geocoding request failed');
+      throw new Error(`Nominatim request failed (HTTP ${response.status})`);
     }
-    
+
     const data = await response.json();
-    
-    if (data.length === 0) {
+    if (data.length === 0) return null;
+    return nominatimResult(data[0]);
+  },
+  reverse: async (lat, lon) => {
+    const response = await fetch(`https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lon}&zoom=18`, {
+      headers: {
+        'User-Agent': 'SolarPanelApp/1.0' // Required by Nominatim
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Nominatim request failed (HTTP ${response.status})`);
+    }
+
+    const data = await response.json();
+    // Nominatim answers {error: 'Unable to geocode'} when nothing is near
+    if (data.error) return null;
+    return nominatimResult(data);
+  }
+};
+
+export const DEFAULT_GEOCODER_PROVIDERS = [pdokLocatieserverProvider, nominatimProvider];
+
+// Reverse lookups are cached by the point rounded to about a metre. normalizeAddress removes
+// colons, so these keys never collide with addresses.
+const REVERSE_KEY_PREFIX = 'reverse:';
+const reverseCacheKey = (lat, lon) => `${REVERSE_KEY_PREFIX}${lat.toFixed(5)},${lon.toFixed(5)}`;
+
+/**
+ * Creates a geocode function that asks the providers in order. It stops at the first result
+ * that is at least minPrecision; otherwise it returns the most precise result found (the
+ * earliest provider wins ties). Provider errors are logged and the next provider is tried.
+ * Results are cached by normalized address, concurrent requests for the same address share
+ * one lookup, and each provider's requests are queued to respect its rate limit. The returned
+ * function's reverse(lat, lon) finds the nearest address with the providers that support reverse
+ * lookups, through the same rate limiters and cache (keyed on the rounded point); it resolves
+ * null when nothing is found.
+ * @param {Object[]} [providers=DEFAULT_GEOCODER_PROVIDERS] - Providers in priority order
+ * @param {Object} [options] - Geocoder options
+ * @param {string} [options.minPrecision=GEOCODE_PRECISION.ADDRESS] - Precision that ends the search early
+ * @param {Object} [options.cache] - Cache from createGeocodeCache (default: none)
+ * @param {Object} [options.rateLimits] - Minimum ms between requests per provider name, overriding minIntervalMs
+ * @returns {function(string): Promise<Object>} - Resolves with a GeocodeResult, rejects when nothing is found
+ */
+export const createGeocoder = (providers = DEFAULT_GEOCODER_PROVIDERS, {
+  minPrecision = GEOCODE_PRECISION.ADDRESS,
+  cache = null,
+  rateLimits = {}
+} = {}) => {
+  const limiters = new Map(providers.map((provider) => [
+    provider,
+    createRateLimiter(rateLimits[provider.name] ?? provider.minIntervalMs ?? 0)
+  ]));
+  const inFlight = new Map();
+
+  const lookup = async (address) => {
+    let best = null;
+    for (const provider of providers) {
+      try {
+        const result = await limiters.get(provider).schedule(() => provider.geocode(address));
+        if (result && (!best || precisionRank(result.precision) < precisionRank(best.precision))) {
+          best = result;
+        }
+      } catch (error) {
+        console.warn(`Geocoding with ${provider.name} failed:`, error);
+      }
+      if (best && precisionRank(best.precision) <= precisionRank(minPrecision)) {
+        break;
+      }
+    }
+
+    if (!best) {
       throw new Error('Address not found');
     }
-    
-    const result = data[0];
-    return {
-      lat: parseFloat(result.lat),
-      lon: parseFloat(result.lon),
-    };
+    return best;
+  };
+
+  const reverseLookup = async (lat, lon) => {
+    for (const provider of providers.filter((candidate) => candidate.reverse)) {
+      try {
+        const result = await limiters.get(provider).schedule(() => provider.reverse(lat, lon));
+        if (result) return result;
+      } catch (error) {
+        console.warn(`Reverse geocoding with ${provider.name} failed:`, error);
+      }
+    }
+    return null;
+  };
+
+  // Caches the result under key and lets concurrent requests for the same key share one lookup
+  const cachedLookup = (key, request) => {
+    const cached = cache?.get(key);
+    if (cached) return Promise.resolve(cached);
+
+    if (!inFlight.has(key)) {
+      inFlight.set(key, request()
+        .then((result) => {
+          if (result) cache?.set(key, result);
+          return result;
+        })
+        .finally(() => inFlight.delete(key)));
+    }
+    return inFlight.get(key);
+  };
+
+  const geocode = (address) => cachedLookup(normalizeAddress(address), () => lookup(address));
+  geocode.reverse = (lat, lon) => cachedLookup(reverseCacheKey(lat, lon), () => reverseLookup(lat, lon));
+  return geocode;
+};
+
+/**
+ * Checks whether a geocode result only locates the city (or less), not the street or address
+ * @param {Object} result - GeocodeResult
+ * @returns {boolean}
+ */
+export const isCityLevelResult = (result) => {
+  return Boolean(result) && precisionRank(result.precision) >= precisionRank(GEOCODE_PRECISION.CITY);
+};
+
+const defaultGeocodeCache = createGeocodeCache();
+const defaultGeocoder = createGeocoder(DEFAULT_GEOCODER_PROVIDERS, { cache: defaultGeocodeCache });
+
+/**
+ * Geocodes an address to get coordinates
+ * Uses PDOK Locatieserver, falling back to Nominatim (OpenStreetMap); results are cached
+ * in localStorage for DEFAULT_GEOCODE_TTL_MS
+ * @param {string} address - The address to geocode
+ * @returns {Promise<{lat: number, lon: number, displayName: string, precision: string, score: number, provider: string}>}
+ */
+export const geocodeAddress = async (address) => {
+  try {
+    return await defaultGeocoder(address);
   } catch (error) {
     console.error('Geocoding error:', error);
     throw error;
   }
 };
 
+/**
+ * Locates a dataset record: coordinates stored in the dataset are used as-is, other records
+ * are geocoded by their address
+ * @param {Object} record - Solar panel record (see spreadsheetSchema's mapRow)
+ * @param {function(string): Promise<Object>} [geocode=geocodeAddress] - Geocoder for records without coordinates
+ * @returns {Promise<Object>} GeocodeResult; rejects when the address cannot be geocoded
+ */
+export const locateRecord = async (record, geocode = geocodeAddress) => {
+  if (record.coordinates) {
+    const { lat, lon, source } = record.coordinates;
+    return {
+      lat,
+      lon,
+      displayName: record.originalAddress,
+      precision: GEOCODE_PRECISION.ADDRESS,
+      score: 1,
+      provider: source === 'rd' ? 'Dataset (RD New)' : 'Dataset'
+    };
+  }
+  return geocode(record.originalAddress);
+};
+
+/**
+ * Lists the address-level locations in the geocode cache, keyed by normalized address like the
+ * dataset, so records located earlier can be found by position
+ * @returns {Array<{key: string, lat: number, lon: number}>}
+ */
+export const getCachedLocations = () => {
+  return defaultGeocodeCache.entries()
+    .filter(([key, result]) => result.precision === GEOCODE_PRECISION.ADDRESS && !key.startsWith(REVERSE_KEY_PREFIX))
+    .map(([key, { lat, lon }]) => ({ key, lat, lon }));
+};
+
+/**
+ * Finds the address nearest to a point, asking the providers that support reverse lookups in
+ * order. A provider error is logged and the next provider is tried. Lookups share the rate
+ * limits and cache of the geocoder.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {function(string): Promise<Object>} [geocoder] - Geocoder from createGeocoder (default: PDOK, then Nominatim)
+ * @returns {Promise<Object|null>} GeocodeResult plus distance (metres from the point), or null when nothing is found
+ */
+export const reverseGeocode = async (lat, lon, geocoder = defaultGeocoder) => {
+  const result = await geocoder.reverse(lat, lon);
+  return result && { ...result, distance: distanceMeters({ lat, lon }, result) };
+};
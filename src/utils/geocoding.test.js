@@ -0,0 +1,292 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  createGeocoder,
+  geocodeAddress,
+  isCityLevelResult,
+  locateRecord,
+  reverseGeocode,
+  getCachedLocations,
+  pdokLocatieserverProvider,
+  nominatimProvider,
+  GEOCODE_PRECISION
+} from './geocoding';
+import { createGeocodeCache } from './geocodeCache';
+
+const pdokResponse = (docs) => ({ response: { numFound: docs.length, docs } });
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+const stubProvider = (name, result) => ({
+  name,
+  geocode: vi.fn(async () => (result instanceof Error ? Promise.reject(result) : result))
+});
+
+describe('Geocoding', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('pdokLocatieserverProvider', () => {
+    it('should parse the centroid, name, type and score of the best document', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(pdokResponse([{
+        weergavenaam: 'Kerkstraat 23, 3511AB Utrecht',
+        type: 'adres',
+        score: 14.2,
+        centroide_ll: 'POINT(5.12003 52.09071)'
+      }]))));
+
+      const result = await pdokLocatieserverProvider.geocode('Kerkstraat 23 Utrecht');
+      expect(result).toEqual({
+        lat: 52.09071,
+        lon: 5.12003,
+        displayName: 'Kerkstraat 23, 3511AB Utrecht',
+        precision: GEOCODE_PRECISION.ADDRESS,
+        score: 14.2,
+        provider: 'PDOK Locatieserver'
+      });
+      expect(fetch.mock.calls[0][0]).toContain('q=Kerkstraat+23+Utrecht');
+    });
+
+    it('should map place types to city precision', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(pdokResponse([{
+        weergavenaam: 'Utrecht', type: 'woonplaats', score: 3, centroide_ll: 'POINT(5.1 52.1)'
+      }]))));
+      expect((await pdokLocatieserverProvider.geocode('Utrecht')).precision).toBe(GEOCODE_PRECISION.CITY);
+    });
+
+    it('should resolve null when nothing is found and throw on HTTP errors', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(pdokResponse([]))));
+      await expect(pdokLocatieserverProvider.geocode('nowhere')).resolves.toBeNull();
+
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({}, 503)));
+      await expect(pdokLocatieserverProvider.geocode('Utrecht')).rejects.toThrow('HTTP 503');
+    });
+  });
+
+  describe('nominatimProvider', () => {
+    it('should derive the precision from the place rank', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse([{
+        lat: '52.0907', lon: '5.1214', display_name: 'Kerkstraat, Utrecht', place_rank: 26, importance: 0.4
+      }])));
+
+      expect(await nominatimProvider.geocode('Kerkstraat Utrecht')).toMatchObject({
+        lat: 52.0907,
+        lon: 5.1214,
+        precision: GEOCODE_PRECISION.STREET,
+        score: 0.4,
+        provider: 'Nominatim'
+      });
+    });
+  });
+
+  describe('createGeocoder', () => {
+    const address = { lat: 52, lon: 5, precision: GEOCODE_PRECISION.ADDRESS, provider: 'B' };
+    const city = { lat: 52.1, lon: 5.1, precision: GEOCODE_PRECISION.CITY, provider: 'A' };
+
+    it('should stop at the first address-level result', async () => {
+      const first = stubProvider('A', { ...address, provider: 'A' });
+      const second = stubProvider('B', address);
+      expect((await createGeocoder([first, second])('x')).provider).toBe('A');
+      expect(second.geocode).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the next provider when one fails or finds nothing', async () => {
+      const failing = stubProvider('A', new Error('network'));
+      const empty = stubProvider('B', null);
+      const working = stubProvider('C', { ...address, provider: 'C' });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect((await createGeocoder([failing, empty, working])('x')).provider).toBe('C');
+    });
+
+    it('should prefer a more precise result from a later provider', async () => {
+      const result = await createGeocoder([stubProvider('A', city), stubProvider('B', address)])('x');
+      expect(result.provider).toBe('B');
+    });
+
+    it('should keep the earlier result when later providers are not more precise', async () => {
+      const result = await createGeocoder([stubProvider('A', city), stubProvider('B', { ...city, provider: 'B' })])('x');
+      expect(result.provider).toBe('A');
+    });
+
+    it('should reject when no provider finds the address', async () => {
+      await expect(createGeocoder([stubProvider('A', null)])('x')).rejects.toThrow('Address not found');
+    });
+
+    it('should collapse concurrent requests for the same normalized address', async () => {
+      const provider = stubProvider('A', address);
+      const geocode = createGeocoder([provider]);
+      const results = await Promise.all([geocode('Kerkstraat 23, Utrecht'), geocode('kerkstraat 23 utrecht')]);
+      expect(results[0]).toBe(results[1]);
+      expect(provider.geocode).toHaveBeenCalledTimes(1);
+    });
+
+    it('should serve repeated requests from the cache', async () => {
+      const provider = stubProvider('A', address);
+      const geocode = createGeocoder([provider], { cache: createGeocodeCache({ storage: null }) });
+      await geocode('Kerkstraat 23, Utrecht');
+      expect(await geocode('KERKSTRAAT 23 UTRECHT')).toEqual(address);
+      expect(provider.geocode).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not cache failed lookups', async () => {
+      const provider = stubProvider('A', null);
+      const geocode = createGeocoder([provider], { cache: createGeocodeCache({ storage: null }) });
+      await expect(geocode('x')).rejects.toThrow();
+      await expect(geocode('x')).rejects.toThrow();
+      expect(provider.geocode).toHaveBeenCalledTimes(2);
+    });
+
+    it('should space requests to a provider by its rate limit', async () => {
+      vi.useFakeTimers();
+      try {
+        const provider = { ...stubProvider('A', address), minIntervalMs: 1000 };
+        const geocode = createGeocoder([provider]);
+        const first = geocode('a 1');
+        const second = geocode('b 2');
+
+        await vi.advanceTimersByTimeAsync(0);
+        expect(provider.geocode).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(provider.geocode).toHaveBeenCalledTimes(2);
+        await Promise.all([first, second]);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should let options override a provider rate limit', async () => {
+      vi.useFakeTimers();
+      try {
+        const provider = { ...stubProvider('A', address), minIntervalMs: 1000 };
+        const geocode = createGeocoder([provider], { rateLimits: { A: 0 } });
+        const both = Promise.all([geocode('a 1'), geocode('b 2')]);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(provider.geocode).toHaveBeenCalledTimes(2);
+        await both;
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('geocodeAddress', () => {
+    it('should use PDOK first and fall back to Nominatim', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.stubGlobal('fetch', vi.fn(async (url) => (url.includes('api.pdok.nl')
+        ? jsonResponse({}, 500)
+        : jsonResponse([{ lat: '52.37', lon: '4.89', display_name: 'Dam 1, Amsterdam', place_rank: 30, importance: 0.5 }]))));
+
+      const result = await geocodeAddress('Dam 1 Amsterdam');
+      expect(result).toMatchObject({ lat: 52.37, lon: 4.89, provider: 'Nominatim', precision: GEOCODE_PRECISION.ADDRESS });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getCachedLocations', () => {
+    it('should list address-level results of the default geocoder by normalized address', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(pdokResponse([{
+        weergavenaam: 'Neude 11, 3512AE Utrecht', type: 'adres', score: 12, centroide_ll: 'POINT(5.1186 52.0929)'
+      }]))));
+      await geocodeAddress('Neude 11, Utrecht');
+
+      expect(getCachedLocations()).toContainEqual({ key: 'neude 11 utrecht', lat: 52.0929, lon: 5.1186 });
+    });
+  });
+
+  describe('reverseGeocode', () => {
+    it('should ask PDOK for the nearest address and add the distance', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(pdokResponse([{
+        weergavenaam: 'Kerkstraat 23, 3511AB Utrecht', type: 'adres', score: 1, centroide_ll: 'POINT(5.1214 52.0908)'
+      }]))));
+
+      const result = await reverseGeocode(52.0907, 5.1214);
+      expect(result).toMatchObject({ displayName: 'Kerkstraat 23, 3511AB Utrecht', precision: GEOCODE_PRECISION.ADDRESS });
+      expect(result.distance).toBeCloseTo(11.1, 0);
+      expect(fetch.mock.calls[0][0]).toContain('/reverse?lat=52.0907&lon=5.1214&type=adres');
+    });
+
+    it('should fall back to Nominatim and resolve null when nobody finds an address', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.stubGlobal('fetch', vi.fn(async (url) => (url.includes('api.pdok.nl')
+        ? jsonResponse({}, 500)
+        : jsonResponse({ lat: '52.37', lon: '4.89', display_name: 'Dam 1, Amsterdam', place_rank: 30 }))));
+      expect((await reverseGeocode(52.37, 4.89)).provider).toBe('Nominatim');
+
+      vi.stubGlobal('fetch', vi.fn(async (url) => (url.includes('api.pdok.nl')
+        ? jsonResponse(pdokResponse([]))
+        : jsonResponse({ error: 'Unable to geocode' }))));
+      await expect(reverseGeocode(0, 0)).resolves.toBeNull();
+    });
+
+    it('should skip providers without reverse lookups', async () => {
+      const provider = stubProvider('Forward only', null);
+      await expect(reverseGeocode(52, 5, createGeocoder([provider]))).resolves.toBeNull();
+      expect(provider.geocode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createGeocoder reverse lookups', () => {
+    const reverseProvider = (minIntervalMs) => ({
+      name: 'Reverse',
+      minIntervalMs,
+      geocode: vi.fn(async () => null),
+      reverse: vi.fn(async (lat, lon) => ({ lat, lon, displayName: 'Somewhere', precision: GEOCODE_PRECISION.ADDRESS }))
+    });
+
+    it('should space reverse lookups by the provider rate limit', async () => {
+      const provider = reverseProvider(50);
+      const starts = [];
+      provider.reverse.mockImplementation(async (lat, lon) => {
+        starts.push(Date.now());
+        return { lat, lon, displayName: 'Somewhere', precision: GEOCODE_PRECISION.ADDRESS };
+      });
+      const geocoder = createGeocoder([provider]);
+
+      await Promise.all([reverseGeocode(52.1, 5.1, geocoder), reverseGeocode(52.2, 5.2, geocoder)]);
+      expect(starts).toHaveLength(2);
+      expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should cache reverse lookups by the rounded point', async () => {
+      const provider = reverseProvider(0);
+      const cache = createGeocodeCache({ storage: null });
+      const geocoder = createGeocoder([provider], { cache });
+
+      await reverseGeocode(52.0907001, 5.1214001, geocoder);
+      const result = await reverseGeocode(52.0907002, 5.1214002, geocoder);
+      expect(provider.reverse).toHaveBeenCalledTimes(1);
+      expect(result.displayName).toBe('Somewhere');
+      expect(cache.entries().map(([key]) => key)).toEqual(['reverse:52.09070,5.12140']);
+    });
+  });
+
+  describe('isCityLevelResult', () => {
+    it('should flag city and unknown precision only', () => {
+      expect(isCityLevelResult({ precision: GEOCODE_PRECISION.CITY })).toBe(true);
+      expect(isCityLevelResult({ precision: GEOCODE_PRECISION.UNKNOWN })).toBe(true);
+      expect(isCityLevelResult({ precision: GEOCODE_PRECISION.STREET })).toBe(false);
+      expect(isCityLevelResult(null)).toBe(false);
+    });
+  });
+
+  describe('locateRecord', () => {
+    it('should use dataset coordinates without geocoding', async () => {
+      const geocode = vi.fn();
+      const result = await locateRecord({
+        originalAddress: 'Kerkstraat 23, Utrecht',
+        coordinates: { lat: 52.09, lon: 5.12, source: 'rd' }
+      }, geocode);
+
+      expect(result).toMatchObject({ lat: 52.09, lon: 5.12, precision: GEOCODE_PRECISION.ADDRESS, provider: 'Dataset (RD New)' });
+      expect(geocode).not.toHaveBeenCalled();
+    });
+
+    it('should geocode the address of records without coordinates', async () => {
+      const geocode = vi.fn(async () => ({ lat: 52, lon: 5, precision: GEOCODE_PRECISION.STREET }));
+      await locateRecord({ originalAddress: 'Kerkstraat 23, Utrecht', coordinates: null }, geocode);
+      expect(geocode).toHaveBeenCalledWith('Kerkstraat 23, Utrecht');
+    });
+  });
+});
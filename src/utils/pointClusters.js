@@ -0,0 +1,182 @@
+// Spatial queries on the located dataset records: grid clustering for the map's overview mode
+// and nearest-record lookup for map clicks. Records are projected to Web Mercator once per
+// dataset; each cluster request then bins the points inside the view into screen-sized cells,
+// which stays fast for tens of thousands of records.
+
+import { distanceMeters } from './coordinates';
+
+const TILE_SIZE = 256;
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Screen pixels per cluster cell
+export const DEFAULT_CELL_SIZE = 60;
+
+// From this zoom level on, every record gets its own marker
+export const DEFAULT_MAX_CLUSTER_ZOOM = 18;
+
+/**
+ * Values the overview markers can be coloured by. Classes are checked in order; a record
+ * without a value (0 or missing) is unknown.
+ */
+export const CLUSTER_METRICS = {
+  panels: {
+    label: 'Panel count',
+    classes: [
+      { max: 10, color: '#4fc3f7', label: '1-9 panels' },
+      { max: 25, color: '#81c784', label: '10-24 panels' },
+      { max: 50, color: '#ffd54f', label: '25-49 panels' },
+      { max: Infinity, color: '#ff8a65', label: '50+ panels' }
+    ]
+  },
+  confidence: {
+    label: 'Confidence',
+    classes: [
+      { max: 5, color: '#e57373', label: 'Low (1-4)' },
+      { max: 8, color: '#ffd54f', label: 'Medium (5-7)' },
+      { max: Infinity, color: '#81c784', label: 'High (8-10)' }
+    ]
+  }
+};
+
+export const UNKNOWN_METRIC_CLASS = { color: '#9e9e9e', label: 'Unknown' };
+
+/**
+ * Finds the colour class of a metric value
+ * @param {string} metric - Key of CLUSTER_METRICS
+ * @param {number|null} value - Record value or cluster average
+ * @returns {{color: string, label: string}} Matching class, or UNKNOWN_METRIC_CLASS
+ */
+export const metricClass = (metric, value) => {
+  if (!value) return UNKNOWN_METRIC_CLASS;
+  return CLUSTER_METRICS[metric].classes.find((metricClass) => value < metricClass.max) || UNKNOWN_METRIC_CLASS;
+};
+
+/**
+ * Projects WGS84 coordinates to Web Mercator, normalized to 0-1 across the world
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {{x: number, y: number}} Normalized Mercator position (y grows southwards)
+ */
+export const projectPoint = (lat, lon) => {
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return {
+    x: (lon + 180) / 360,
+    y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+  };
+};
+
+/**
+ * Turns a located record into a point for clustering
+ * @param {string} key - Normalized address of the record
+ * @param {Object} record - Solar panel record
+ * @param {{lat: number, lon: number}} location - Where the record is
+ * @returns {Object} Point: {key, label, lat, lon, x, y, panels, confidence}
+ */
+export const toClusterPoint = (key, record, { lat, lon }) => ({
+  key,
+  label: record.originalAddress,
+  lat,
+  lon,
+  ...projectPoint(lat, lon),
+  panels: record.panels,
+  confidence: record.confidence
+});
+
+/**
+ * Collects the records that have coordinates, projected for clustering
+ * @param {Object} addressMap - Object mapping normalized addresses to solar panel records
+ * @returns {Object[]} Points, see toClusterPoint
+ */
+export const buildPointIndex = (addressMap) => {
+  const points = [];
+  Object.entries(addressMap).forEach(([key, record]) => {
+    if (record.coordinates) points.push(toClusterPoint(key, record, record.coordinates));
+  });
+  return points;
+};
+
+/**
+ * Groups the points inside the bounds into clusters for a zoom level
+ * @param {Object[]} points - Result of buildPointIndex
+ * @param {Object} options - Clustering options
+ * @param {{south: number, west: number, north: number, east: number}} options.bounds - Visible area
+ * @param {number} options.zoom - Map zoom level
+ * @param {string} [options.metric='panels'] - Key of CLUSTER_METRICS to average per cluster
+ * @param {number} [options.cellSize=DEFAULT_CELL_SIZE] - Cluster cell size in pixels
+ * @param {number} [options.maxClusterZoom=DEFAULT_MAX_CLUSTER_ZOOM] - Zoom above which points are not clustered
+ * @returns {Object[]} Clusters: {lat, lon, count, value, bounds}; single points also carry key and label
+ */
+export const clusterPoints = (points, {
+  bounds,
+  zoom,
+  metric = 'panels',
+  cellSize = DEFAULT_CELL_SIZE,
+  maxClusterZoom = DEFAULT_MAX_CLUSTER_ZOOM
+}) => {
+  const cellsPerWorld = (TILE_SIZE * 2 ** zoom) / cellSize;
+  const cells = new Map();
+
+  points.forEach((point, index) => {
+    if (point.lat < bounds.south || point.lat > bounds.north || point.lon < bounds.west || point.lon > bounds.east) {
+      return;
+    }
+    const cellKey = zoom > maxClusterZoom
+      ? index
+      : `${Math.floor(point.x * cellsPerWorld)}:${Math.floor(point.y * cellsPerWorld)}`;
+    let cell = cells.get(cellKey);
+    if (!cell) {
+      cell = { points: [], latSum: 0, lonSum: 0, valueSum: 0, valueCount: 0, south: 90, west: 180, north: -90, east: -180 };
+      cells.set(cellKey, cell);
+    }
+    cell.points.push(point);
+    cell.latSum += point.lat;
+    cell.lonSum += point.lon;
+    if (point[metric] > 0) {
+      cell.valueSum += point[metric];
+      cell.valueCount++;
+    }
+    cell.south = Math.min(cell.south, point.lat);
+    cell.north = Math.max(cell.north, point.lat);
+    cell.west = Math.min(cell.west, point.lon);
+    cell.east = Math.max(cell.east, point.lon);
+  });
+
+  return [...cells.values()].map((cell) => {
+    const count = cell.points.length;
+    const cluster = {
+      lat: cell.latSum / count,
+      lon: cell.lonSum / count,
+      count,
+      value: cell.valueCount > 0 ? cell.valueSum / cell.valueCount : null,
+      bounds: { south: cell.south, west: cell.west, north: cell.north, east: cell.east }
+    };
+    if (count === 1) {
+      cluster.key = cell.points[0].key;
+      cluster.label = cell.points[0].label;
+    }
+    return cluster;
+  });
+};
+
+/**
+ * Finds the point closest to a location within a radius
+ * @param {Object[]} points - Points with lat and lon, e.g. from buildPointIndex
+ * @param {{lat: number, lon: number}} location - Clicked location
+ * @param {number} radiusMeters - Maximum distance
+ * @returns {{point: Object, distance: number}|null} Nearest point and its distance in metres
+ */
+export const findNearestPoint = (points, location, radiusMeters) => {
+  // Cheap bounding-box check before measuring the great-circle distance
+  const latRange = radiusMeters / METERS_PER_DEGREE_LAT;
+  const lonRange = latRange / Math.cos((location.lat * Math.PI) / 180);
+
+  let nearest = null;
+  points.forEach((point) => {
+    if (Math.abs(point.lat - location.lat) > latRange || Math.abs(point.lon - location.lon) > lonRange) return;
+    const distance = distanceMeters(location, point);
+    if (distance <= radiusMeters && (!nearest || distance < nearest.distance)) {
+      nearest = { point, distance };
+    }
+  });
+  return nearest;
+};
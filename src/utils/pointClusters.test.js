@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { projectPoint, buildPointIndex, clusterPoints, findNearestPoint, metricClass, UNKNOWN_METRIC_CLASS } from './pointClusters';
+
+const NETHERLANDS = { south: 50.7, west: 3.3, north: 53.6, east: 7.3 };
+
+const addressMap = {
+  'kerkstraat 23 utrecht': { originalAddress: 'Kerkstraat 23, Utrecht', panels: 10, confidence: 8, coordinates: { lat: 52.0907, lon: 5.1214 } },
+  'kerkstraat 25 utrecht': { originalAddress: 'Kerkstraat 25, Utrecht', panels: 30, confidence: 0, coordinates: { lat: 52.0908, lon: 5.1216 } },
+  'dam 1 amsterdam': { originalAddress: 'Dam 1, Amsterdam', panels: 4, confidence: 6, coordinates: { lat: 52.3731, lon: 4.8926 } },
+  'oudegracht 101 utrecht': { originalAddress: 'Oudegracht 101, Utrecht', panels: 12, confidence: 9, coordinates: null }
+};
+
+describe('Point Clusters', () => {
+  describe('projectPoint', () => {
+    it('should map the equator and prime meridian to the centre of the world', () => {
+      expect(projectPoint(0, 0)).toEqual({ x: 0.5, y: 0.5 });
+      expect(projectPoint(52, 5).y).toBeLessThan(0.5);
+    });
+  });
+
+  describe('buildPointIndex', () => {
+    it('should keep only records with coordinates', () => {
+      const points = buildPointIndex(addressMap);
+      expect(points.map((point) => point.key)).toEqual(['kerkstraat 23 utrecht', 'kerkstraat 25 utrecht', 'dam 1 amsterdam']);
+      expect(points[0]).toMatchObject({ label: 'Kerkstraat 23, Utrecht', panels: 10, confidence: 8 });
+    });
+  });
+
+  describe('clusterPoints', () => {
+    const points = buildPointIndex(addressMap);
+
+    it('should group nearby points and average the metric', () => {
+      const clusters = clusterPoints(points, { bounds: NETHERLANDS, zoom: 10 });
+      const utrecht = clusters.find((cluster) => cluster.count === 2);
+      expect(clusters).toHaveLength(2);
+      expect(utrecht.value).toBe(20);
+      expect(utrecht.lat).toBeCloseTo(52.09075, 5);
+      expect(utrecht.bounds).toEqual({ south: 52.0907, west: 5.1214, north: 52.0908, east: 5.1216 });
+      expect(utrecht.key).toBeUndefined();
+    });
+
+    it('should identify single points by key and label', () => {
+      const clusters = clusterPoints(points, { bounds: NETHERLANDS, zoom: 10 });
+      expect(clusters.find((cluster) => cluster.count === 1)).toMatchObject({ key: 'dam 1 amsterdam', label: 'Dam 1, Amsterdam', value: 4 });
+    });
+
+    it('should ignore missing values when averaging', () => {
+      const [utrecht] = clusterPoints(points, { bounds: NETHERLANDS, zoom: 10, metric: 'confidence' })
+        .filter((cluster) => cluster.count === 2);
+      expect(utrecht.value).toBe(8);
+    });
+
+    it('should skip points outside the bounds', () => {
+      const clusters = clusterPoints(points, { bounds: { south: 52, west: 5, north: 52.2, east: 5.2 }, zoom: 10 });
+      expect(clusters.map((cluster) => cluster.count)).toEqual([2]);
+    });
+
+    it('should stop clustering above the maximum cluster zoom', () => {
+      const clusters = clusterPoints(points, { bounds: NETHERLANDS, zoom: 19 });
+      expect(clusters.every((cluster) => cluster.count === 1)).toBe(true);
+      expect(clusters).toHaveLength(3);
+    });
+  });
+
+  describe('findNearestPoint', () => {
+    const points = buildPointIndex(addressMap);
+
+    it('should return the closest point with its distance', () => {
+      const nearest = findNearestPoint(points, { lat: 52.09071, lon: 5.12141 }, 50);
+      expect(nearest.point.key).toBe('kerkstraat 23 utrecht');
+      expect(nearest.distance).toBeLessThan(2);
+    });
+
+    it('should return null when no point is within the radius', () => {
+      expect(findNearestPoint(points, { lat: 52.1, lon: 5.12 }, 50)).toBeNull();
+    });
+  });
+
+  describe('metricClass', () => {
+    it('should pick the first class above the value', () => {
+      expect(metricClass('panels', 9).label).toBe('1-9 panels');
+      expect(metricClass('panels', 50).label).toBe('50+ panels');
+      expect(metricClass('confidence', 7.5).label).toBe('Medium (5-7)');
+    });
+
+    it('should treat missing values as unknown', () => {
+      expect(metricClass('confidence', null)).toBe(UNKNOWN_METRIC_CLASS);
+      expect(metricClass('panels', 0)).toBe(UNKNOWN_METRIC_CLASS);
+    });
+  });
+});
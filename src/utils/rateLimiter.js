@@ -0,0 +1,34 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a queue that starts tasks at least minIntervalMs apart, in the order they were
+ * scheduled. Tasks may still overlap once started; only their start times are spaced.
+ * @param {number} minIntervalMs - Minimum time between two task starts
+ * @returns {{schedule: function(Function): Promise, pending: function(): number}} Rate limiter
+ */
+export const createRateLimiter = (minIntervalMs) => {
+  let lastStart = -Infinity;
+  let queue = Promise.resolve();
+  let pending = 0;
+
+  const waitTurn = async () => {
+    const wait = lastStart + minIntervalMs - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    lastStart = Date.now();
+  };
+
+  return {
+    schedule: (task) => {
+      pending++;
+      const turn = queue.then(waitTurn);
+      queue = turn;
+      return turn.then(() => {
+        pending--;
+        return task();
+      });
+    },
+    pending: () => pending
+  };
+};
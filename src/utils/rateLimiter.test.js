@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRateLimiter } from './rateLimiter';
+
+describe('Rate Limiter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should start the first task immediately', async () => {
+    const limiter = createRateLimiter(1000);
+    const task = vi.fn(async () => 'done');
+    const result = limiter.schedule(task);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(task).toHaveBeenCalledTimes(1);
+    await expect(result).resolves.toBe('done');
+  });
+
+  it('should space task starts by the minimum interval, in order', async () => {
+    const limiter = createRateLimiter(1000);
+    const starts = [];
+    const results = [1, 2, 3].map((n) => limiter.schedule(async () => {
+      starts.push([n, Date.now()]);
+      return n;
+    }));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(starts).toHaveLength(1);
+    expect(limiter.pending()).toBe(2);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(starts).toHaveLength(2);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await expect(Promise.all(results)).resolves.toEqual([1, 2, 3]);
+    expect(starts.map(([n]) => n)).toEqual([1, 2, 3]);
+    expect(starts[2][1] - starts[0][1]).toBe(2000);
+  });
+
+  it('should keep the queue going after a task fails', async () => {
+    const limiter = createRateLimiter(100);
+    const failed = limiter.schedule(async () => {
+      throw new Error('boom');
+    });
+    const next = limiter.schedule(async () => 'ok');
+    await expect(failed).rejects.toThrow('boom');
+    await vi.advanceTimersByTimeAsync(100);
+    await expect(next).resolves.toBe('ok');
+  });
+
+  it('should not delay tasks when the interval is zero', async () => {
+    const limiter = createRateLimiter(0);
+    const results = Promise.all([limiter.schedule(async () => 'a'), limiter.schedule(async () => 'b')]);
+    await vi.advanceTimersByTimeAsync(0);
+    await expect(results).resolves.toEqual(['a', 'b']);
+  });
+});
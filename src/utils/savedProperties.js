@@ -0,0 +1,134 @@
+// Search history and saved properties, kept in memory and (when available) in localStorage
+
+import { normalizeAddress } from './addressMatcher';
+import { buildUrlSearch, describeLookup } from './urlState';
+import { toCsv } from './exportFile';
+
+export const DEFAULT_HISTORY_SIZE = 50;
+const STORAGE_KEY = 'solar-panel-finder:saved-properties';
+
+const defaultStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    // Accessing localStorage throws when storage is disabled
+    return null;
+  }
+};
+
+/**
+ * ID of a saved property: its normalized address, so saving the same property again updates it
+ * @param {string} address - Address as shown in the info panel
+ * @returns {string} Property ID
+ */
+export const propertyId = (address) => normalizeAddress(address);
+
+/**
+ * Creates the store of searches and saved properties. Both lists are kept newest first.
+ * @param {Object} [options] - Store options
+ * @param {number} [options.maxHistory=DEFAULT_HISTORY_SIZE] - Searches kept in the history
+ * @param {Storage|null} [options.storage] - Persistent storage (default: localStorage; null for memory only)
+ * @param {function(): number} [options.now=Date.now] - Clock, for tests
+ * @returns {Object} Store with history, addToHistory, clearHistory, saved, saveProperty,
+ *   updateProperty and removeProperty
+ */
+export const createPropertyStore = ({
+  maxHistory = DEFAULT_HISTORY_SIZE,
+  storage = defaultStorage(),
+  now = Date.now
+} = {}) => {
+  let history = [];
+  let saved = [];
+
+  if (storage) {
+    try {
+      const stored = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+      history = Array.isArray(stored.history) ? stored.history : [];
+      saved = Array.isArray(stored.saved) ? stored.saved : [];
+    } catch (error) {
+      console.warn('Ignoring unreadable saved properties:', error);
+    }
+  }
+
+  const persist = () => {
+    if (!storage) return;
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify({ history, saved }));
+    } catch (error) {
+      // Quota exceeded or storage disabled: keep the lists in memory only
+      console.warn('Failed to persist the saved properties:', error);
+    }
+  };
+
+  return {
+    history: () => history,
+    /**
+     * Records a search; searching the same thing again moves it to the top
+     * @param {Object} lookup - Lookup as returned by readUrlState
+     */
+    addToHistory: (lookup) => {
+      const id = buildUrlSearch({ lookup });
+      history = [
+        { id, lookup, label: describeLookup(lookup), searchedAt: now() },
+        ...history.filter((entry) => entry.id !== id)
+      ].slice(0, maxHistory);
+      persist();
+    },
+    clearHistory: () => {
+      history = [];
+      persist();
+    },
+    saved: () => saved,
+    /**
+     * Saves the shown property with its values and the user's overrides, keeping the notes
+     * of an earlier save
+     * @param {Object} property - {address, panels, kwp, annualOutput, confidence,
+     *   kwhPerKwpPerYear, availabilityFactor, avgPanelOutput, overrides}
+     */
+    saveProperty: (property) => {
+      const id = propertyId(property.address);
+      const existing = saved.find((entry) => entry.id === id);
+      saved = [
+        { notes: '', ...existing, ...property, id, savedAt: now() },
+        ...saved.filter((entry) => entry.id !== id)
+      ];
+      persist();
+    },
+    updateProperty: (id, changes) => {
+      saved = saved.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry));
+      persist();
+    },
+    removeProperty: (id) => {
+      saved = saved.filter((entry) => entry.id !== id);
+      persist();
+    }
+  };
+};
+
+/**
+ * Converts saved properties to CSV, with a link that reopens each one with its overrides
+ * @param {Object[]} properties - Saved properties
+ * @param {string} baseUrl - URL of the app without query string
+ * @returns {string} CSV text
+ */
+export const savedPropertiesToCsv = (properties, baseUrl) => {
+  return toCsv(
+    [
+      'Address', 'Notes', 'Panels', 'kWp', 'Annual output (kWh)', 'Confidence', 'kWh/kWp/year',
+      'Availability factor (%)', 'Wp per panel', 'Saved at', 'Link'
+    ],
+    properties.map((property) => [
+      property.address,
+      property.notes,
+      property.panels,
+      property.kwp.toFixed(3),
+      Math.round(property.annualOutput),
+      property.confidence || '',
+      property.kwhPerKwpPerYear,
+      property.availabilityFactor,
+      property.avgPanelOutput,
+      new Date(property.savedAt).toISOString(),
+      `${baseUrl}${buildUrlSearch({ lookup: { type: 'address', query: property.address }, overrides: property.overrides })}`
+    ])
+  );
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createPropertyStore, propertyId, savedPropertiesToCsv } from './savedProperties';
+
+const property = (address, overrides) => ({
+  address,
+  panels: 10,
+  kwp: 4.35,
+  annualOutput: 3768.19,
+  confidence: 8,
+  kwhPerKwpPerYear: 875,
+  availabilityFactor: 99,
+  avgPanelOutput: 435,
+  overrides: {},
+  ...overrides
+});
+
+describe('Saved Properties', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  describe('createPropertyStore', () => {
+    it('should keep the latest searches first without duplicates', () => {
+      const store = createPropertyStore({ maxHistory: 2, storage: null });
+      store.addToHistory({ type: 'address', query: 'Kerkstraat 23' });
+      store.addToHistory({ type: 'postcode', postcode: '3511AB', houseNumber: 25, addition: '' });
+      store.addToHistory({ type: 'address', query: 'Kerkstraat 23' });
+      expect(store.history().map((entry) => entry.label)).toEqual(['Kerkstraat 23', '3511AB 25']);
+
+      store.addToHistory({ type: 'pick', lat: 52.09, lon: 5.12, radius: 50 });
+      expect(store.history()).toHaveLength(2);
+      store.clearHistory();
+      expect(store.history()).toEqual([]);
+    });
+
+    it('should update a property saved again and keep its notes', () => {
+      let time = 1;
+      const store = createPropertyStore({ storage: null, now: () => time });
+      store.saveProperty(property('Kerkstraat 23, 3511 AB Utrecht'));
+      store.updateProperty(propertyId('Kerkstraat 23, 3511 AB Utrecht'), { notes: 'Call back in May' });
+      store.saveProperty(property('Dam 1, Amsterdam'));
+      time = 2;
+      store.saveProperty(property('Kerkstraat 23, 3511 AB Utrecht', { overrides: { avgPanelOutput: 400 } }));
+
+      const [latest, other] = store.saved();
+      expect(latest).toMatchObject({ notes: 'Call back in May', overrides: { avgPanelOutput: 400 }, savedAt: 2 });
+      expect(other.address).toBe('Dam 1, Amsterdam');
+
+      store.removeProperty(latest.id);
+      expect(store.saved()).toEqual([other]);
+    });
+
+    it('should persist to storage', () => {
+      const store = createPropertyStore({ storage: localStorage });
+      store.saveProperty(property('Dam 1, Amsterdam'));
+      store.addToHistory({ type: 'address', query: 'Dam 1' });
+
+      const reloaded = createPropertyStore({ storage: localStorage });
+      expect(reloaded.saved()).toEqual(store.saved());
+      expect(reloaded.history()).toEqual(store.history());
+    });
+
+    it('should ignore unreadable storage', () => {
+      localStorage.setItem('solar-panel-finder:saved-properties', '{broken');
+      expect(createPropertyStore({ storage: localStorage }).saved()).toEqual([]);
+    });
+  });
+
+  describe('savedPropertiesToCsv', () => {
+    it('should export one line per property with a link that restores the overrides', () => {
+      const saved = [{ ...property('Dam 1, Amsterdam', { notes: 'Roof, south', overrides: { kwhPerKwpPerYear: 900 } }), savedAt: 0 }];
+      expect(savedPropertiesToCsv(saved, 'https://example.com/').split('\n')).toEqual([
+        'Address,Notes,Panels,kWp,Annual output (kWh),Confidence,kWh/kWp/year,Availability factor (%),Wp per panel,Saved at,Link',
+        '"Dam 1, Amsterdam","Roof, south",10,4.350,3768,8,875,99,435,1970-01-01T00:00:00.000Z,https://example.com/?q=Dam+1%2C+Amsterdam&kwh=900'
+      ]);
+    });
+  });
+});
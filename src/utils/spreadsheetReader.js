@@ -1,50 +1,63 @@
 import * as XLSX from 'xlsx';
+import { rowsToAddressMap } from './spreadsheetSchema';
+import { validateRows } from './datasetValidation';
 
 /**
- * Reads solar panel data from a spreadsheet file
+ * Converts parsed spreadsheet rows into a dataset using the column schema
+ * @param {Object[]} rows - Rows as returned by XLSX.utils.sheet_to_json, or plain row objects
+ * @param {Object} [options] - Conversion options
+ * @param {Function} [options.onProgress] - Receives {stage: 'records', loaded, total} while rows are converted
+ * @returns {{addressMap: Object, report: Object, rowCount: number}}
+ */
+export const rowsToDataset = (rows, { onProgress } = {}) => ({
+  addressMap: rowsToAddressMap(rows, undefined, {
+    onProgress: onProgress && ((loaded, total) => onProgress({ stage: 'records', loaded, total }))
+  }),
+  report: validateRows(rows),
+  rowCount: rows.length
+});
+
+/**
+ * Converts one sheet of a workbook into a dataset using the column schema
+ * @param {Object} workbook - Workbook as returned by XLSX.read
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.sheetName] - Sheet to read (default: the first sheet)
+ * @param {Function} [options.onProgress] - Receives {stage, loaded, total} progress updates
+ * @returns {{addressMap: Object, report: Object, sheetNames: string[], sheetName: string, rowCount: number}}
+ */
+export const workbookToDataset = (workbook, { sheetName, onProgress } = {}) => {
+  const selectedSheetName = sheetName && workbook.SheetNames.includes(sheetName) ? sheetName : workbook.SheetNames[0];
+  const worksheet = workbook.Sheets[selectedSheetName];
+  onProgress?.({ stage: 'parse' });
+  const jsonData = XLSX.utils.sheet_to_json(worksheet);
+  return {
+    ...rowsToDataset(jsonData, { onProgress }),
+    sheetNames: workbook.SheetNames,
+    sheetName: selectedSheetName
+  };
+};
+
+/**
+ * Reads a spreadsheet file (CSV, XLSX or XLS) into a workbook
  * @param {File} file - The spreadsheet file to read
- * @returns {Promise<Object>} - Object mapping addresses to solar panel data
+ * @returns {Promise<Object>} - Workbook as returned by XLSX.read
  */
-export const readSpreadsheet = async (file) => {
+export const readWorkbookFile = async (file) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     
     reader.onload = (e) => {
       try {
-        let workbook;
         const fileName = file.name.toLowerCase();
         
         // Handle CSV files differently
         if (fileName.endsWith('.csv')) {
           const text = e.target.result;
-          workbook = XLSX.read(text, { type: 'string', csv: true });
+          resolve(XLSX.read(text, { type: 'string', csv: true }));
         } else {
           const data = new Uint8Array(e.target.result);
-          workbook = XLSX.read(data, { type: 'array' });
+          resolve(XLSX.read(data, { type: 'array' }));
         }
-        
-        // Get the first sheet
-        const firstSheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[firstSheetName];
-        
-        // Convert to JSON
-        const jsonData = XLSX.utils.sheet_to_json(worksheet);
-        
-        // Create a map of address to solar panel data
-        const addressMap = {};
-        jsonData.forEach((row) => {
-          // Normalize address for matching (case-insensitive)
-          const addressKey = (row.Address || row.address || '').toLowerCase().trim();
-          if (addressKey) {
-            addressMap[addressKey] = {
-              panels: row.Panels || row.panels || row['Number of Panels'] || row['Number of panels'],
-              capacity: row.Capacity || row.capacity || row['Total Capacity (kW)'],
-              installationDate: row['Installation Date'] || row['Installation date'] || row.installationDate,
-            };
-          }
-        });
-        
-        resolve(addressMap);
       } catch (error) {
         reject(error);
       }
@@ -63,90 +76,184 @@ export const readSpreadsheet = async (file) => {
 };
 
 /**
- * Loads spreadsheet from a URL (for public files or Google Sheets)
- * @param {string} url - URL to the spreadsheet file or Google Sheets export URL
+ * Reads solar panel data and its validation report from a spreadsheet file
+ * @param {File} file - The spreadsheet file to read
+ * @param {Object} [options] - Read options
+ * @param {string} [options.sheetName] - Sheet to read (default: the first sheet)
+ * @param {Function} [options.onProgress] - Receives {stage, loaded, total} progress updates
+ * @returns {Promise<{addressMap: Object, report: Object, sheetNames: string[], sheetName: string, rowCount: number}>}
+ */
+export const readDatasetFile = async (file, options) => {
+  const workbook = await readWorkbookFile(file);
+  return workbookToDataset(workbook, options);
+};
+
+/**
+ * Reads solar panel data from a spreadsheet file
+ * @param {File} file - The spreadsheet file to read
  * @returns {Promise<Object>} - Object mapping addresses to solar panel data
  */
-export const loadSpreadsheetFromUrl = async (url) => {
+export const readSpreadsheet = async (file) => {
+  const { addressMap } = await readDatasetFile(file);
+  return addressMap;
+};
+
+export const SOURCE_TYPES = {
+  GOOGLE_SHEET: 'google-sheet',
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  JSON: 'json'
+};
+
+/**
+ * Guesses the source type of a dataset URL from its host and extension
+ * @param {string} url - Dataset URL
+ * @returns {string} One of SOURCE_TYPES (XLSX when nothing else matches; XLSX.read sniffs the format)
+ */
+export const detectSourceType = (url) => {
+  const lowerUrl = url.toLowerCase();
+  if (lowerUrl.includes('docs.google.com/spreadsheets/d/')) return SOURCE_TYPES.GOOGLE_SHEET;
+  if (lowerUrl.split(/[?#]/)[0].endsWith('.json')) return SOURCE_TYPES.JSON;
+  if (lowerUrl.includes('.csv') || lowerUrl.includes('format=csv')) return SOURCE_TYPES.CSV;
+  return SOURCE_TYPES.XLSX;
+};
+
+// Reads a response body as text or bytes, reporting {stage: 'download', loaded, total} as chunks
+// arrive (total is null when the server sends no Content-Length)
+const readResponseBody = async (response, asText, onProgress) => {
+  if (!onProgress || !response.body?.getReader) {
+    return asText ? response.text() : new Uint8Array(await response.arrayBuffer());
+  }
+
+  const total = Number(response.headers.get('content-length')) || null;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress({ stage: 'download', loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return asText ? new TextDecoder().decode(bytes) : bytes;
+};
+
+// Fetches a source, conditionally when validators of an earlier copy are known. The conditional
+// headers need a CORS preflight on other origins; when that fails the source is fetched normally.
+const fetchSource = async (url, validators) => {
+  const headers = {};
+  if (validators?.etag) headers['If-None-Match'] = validators.etag;
+  if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  if (Object.keys(headers).length === 0) return fetch(url);
+  try {
+    return await fetch(url, { headers });
+  } catch (error) {
+    console.warn(`Conditional request for ${url} failed, retrying without validators:`, error);
+    return fetch(url);
+  }
+};
+
+/**
+ * Loads solar panel data and its validation report from a URL (for public files or Google Sheets)
+ * @param {string} url - URL to the spreadsheet file, JSON file or Google Sheets URL
+ * @param {Object} [options] - Load options
+ * @param {string} [options.type] - One of SOURCE_TYPES (default: detected from the URL)
+ * @param {Function} [options.onProgress] - Receives {stage, loaded, total} as the file downloads and is parsed
+ * @param {{etag: string|null, lastModified: string|null}} [options.validators] - Validators of a copy loaded
+ *   earlier, sent as If-None-Match/If-Modified-Since so an unchanged file isn't downloaded again
+ * @returns {Promise<{addressMap: Object, report: Object, rowCount: number, version: string|null, validators: Object}>} -
+ *   Address map, validation report, the response's ETag or Last-Modified header as version (null when the
+ *   server sends neither) and both headers as validators. When the server answers 304 Not Modified, only
+ *   {notModified: true, version, validators} is returned.
+ */
+export const loadDatasetFromUrl = async (url, { type = detectSourceType(url), onProgress, validators = null } = {}) => {
   try {
     // Convert Google Sheets URL to CSV export URL if needed
     let exportUrl = url;
-    if (url.includes('docs.google.com/spreadsheets/d/')) {
+    if (type === SOURCE_TYPES.GOOGLE_SHEET) {
       const sheetId = url.match(/\/d\/([a-zA-Z0-9-_]+)/)?.[1];
       if (sheetId) {
         exportUrl = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv`;
       }
     }
     
-    const response = await fetch(exportUrl);
+    const response = await fetchSource(exportUrl, validators);
+    if (response.status === 304) {
+      // A 304 should repeat the ETag, but fall back on the validators sent
+      const current = {
+        etag: response.headers.get('etag') || validators.etag || null,
+        lastModified: response.headers.get('last-modified') || validators.lastModified || null
+      };
+      return { notModified: true, version: current.etag || current.lastModified, validators: current };
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const responseValidators = { etag: response.headers.get('etag'), lastModified: response.headers.get('last-modified') };
+    const version = responseValidators.etag || responseValidators.lastModified;
+
+    // JSON sources hold the rows directly: an array of objects, or {rows: [...]}
+    if (type === SOURCE_TYPES.JSON) {
+      const json = JSON.parse(await readResponseBody(response, true, onProgress));
+      const rows = Array.isArray(json) ? json : json?.rows;
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON must be an array of rows or an object with a rows array');
+      }
+      return { ...rowsToDataset(rows, { onProgress }), version, validators: responseValidators };
+    }
+
     let workbook;
     
     // Handle CSV files differently
-    if (exportUrl.toLowerCase().includes('.csv') || exportUrl.includes('format=csv')) {
-      const text = await response.text();
+    if (type === SOURCE_TYPES.CSV || type === SOURCE_TYPES.GOOGLE_SHEET) {
+      const text = await readResponseBody(response, true, onProgress);
+      onProgress?.({ stage: 'parse' });
       workbook = XLSX.read(text, { type: 'string', csv: true });
     } else {
-      const arrayBuffer = await response.arrayBuffer();
-      const data = new Uint8Array(arrayBuffer);
+      const data = await readResponseBody(response, false, onProgress);
+      onProgress?.({ stage: 'parse' });
       workbook = XLSX.read(data, { type: 'array' });
     }
     
-    const firstSheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[firstSheetName];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet);
-    
-    // Helper function to normalize address (same as in App.jsx)
-    const normalizeAddress = (addr) => {
-      return addr
-        .replace(/^["']|["']$/g, '') // Remove quotes
-        .toLowerCase()
-        .replace(/[.,;:]/g, ' ') // Replace punctuation with spaces
-        .replace(/\s+/g, ' ') // Normalize spaces
-        .trim();
-    };
-    
-    const addressMap = {};
-    jsonData.forEach((row) => {
-      // Try multiple possible column name variations
-      const address = row.Address || row.address || '';
-      if (!address) return;
-      
-      // Normalize address for matching (same normalization as search)
-      const addressKey = normalizeAddress(address);
-      
-      // Parse availability factor (remove % sign if present)
-      // Normalize: if value is less than 1, treat as decimal and convert to percentage (multiply by 100)
-      const availabilityFactorStr = row['Availability factor (%)'] || row['Availability factor'] || row['Availability Factor (%)'] || '';
-      let availabilityFactor = parseFloat(availabilityFactorStr.toString().replace('%', '')) || 99;
-      // If value is less than 1, it's likely a decimal (0.99) and should be converted to percentage (99)
-      if (availabilityFactor > 0 && availabilityFactor < 1) {
-        availabilityFactor = availabilityFactor * 100;
-      }
-      
-      // Parse other numeric values
-      const panels = parseFloat(row['Number of solar panels'] || row['Number of Solar Panels'] || row.panels || 0) || 0;
-      const confidence = parseFloat(row['Confidence level (1-10)'] || row['Confidence Level (1-10)'] || row.confidence || 0) || 0;
-      const annualOutput = parseFloat(row['Annual output (kWh)'] || row['Annual Output (kWh)'] || row.annualOutput || 0) || 0;
-      const kwp = parseFloat(row.kWp || row.kwp || 0) || 0;
-      const kwhPerKwpPerYear = parseFloat(row['kWh/kWp/year_NL'] || row['kWh/kWp/Year_NL'] || 875) || 875;
-      const avgPanelOutput = parseFloat(row['Avg solar panel output (Wp)'] || row['Avg Solar Panel Output (Wp)'] || row.avgPanelOutput || 435) || 435;
-      
-      addressMap[addressKey] = {
-        panels,
-        confidence,
-        annualOutput,
-        kwp,
-        kwhPerKwpPerYear,
-        availabilityFactor,
-        avgPanelOutput,
-        // Store original address for display
-        originalAddress: address
-      };
-    });
-    
-    return addressMap;
+    return { ...workbookToDataset(workbook, { onProgress }), version, validators: responseValidators };
   } catch (error) {
     throw new Error(`Failed to load spreadsheet: ${error.message}`);
   }
 };
 
+/**
+ * Loads spreadsheet from a URL (for public files or Google Sheets)
+ * @param {string} url - URL to the spreadsheet file or Google Sheets export URL
+ * @returns {Promise<Object>} - Object mapping addresses to solar panel data
+ */
+export const loadSpreadsheetFromUrl = async (url) => {
+  const { addressMap } = await loadDatasetFromUrl(url);
+  return addressMap;
+};
+
+/**
+ * Merges a newly loaded address map into the current one; rows in the new map win
+ * @param {Object} current - Current address map
+ * @param {Object} incoming - Newly loaded address map
+ * @returns {{addressMap: Object, added: number, updated: number}} - Merged map and change counts
+ */
+export const mergeAddressMaps = (current, incoming) => {
+  let added = 0;
+  let updated = 0;
+  Object.keys(incoming).forEach((key) => {
+    if (Object.prototype.hasOwnProperty.call(current, key)) {
+      updated++;
+    } else {
+      added++;
+    }
+  });
+  return { addressMap: { ...current, ...incoming }, added, updated };
+};
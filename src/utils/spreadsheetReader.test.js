@@ -0,0 +1,183 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import * as XLSX from 'xlsx';
+import {
+  readSpreadsheet,
+  readDatasetFile,
+  loadSpreadsheetFromUrl,
+  mergeAddressMaps
+} from './spreadsheetReader';
+
+const sampleCsv = readFileSync(resolve(__dirname, '../../public/solar_panels.csv'), 'utf-8');
+
+// Same data as the sample CSV's first rows, in the Google Sheets column layout
+const googleSheetsCsv = [
+  'Address,Number of solar panels,Confidence level (1-10),Annual output (kWh),kWp,kWh/kWp/year_NL,Availability factor (%),Avg solar panel output (Wp)',
+  '"Amsterdam, Netherlands",25,8,,5.0,875,99%,435',
+  '"Rotterdam, Netherlands",30,7,,6.5,875,0.95,435'
+].join('\n');
+
+const mockFetch = (body) => {
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(body, { status: 200 })));
+};
+
+describe('Spreadsheet Reader', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('readSpreadsheet', () => {
+    it('should read the bundled sample CSV into records', async () => {
+      const data = await readSpreadsheet(new File([sampleCsv], 'solar_panels.csv', { type: 'text/csv' }));
+
+      expect(Object.keys(data)).toHaveLength(10);
+      expect(data['amsterdam netherlands']).toMatchObject({
+        panels: 25,
+        kwp: 5,
+        installationDate: '2020-03-15',
+        originalAddress: 'Amsterdam, Netherlands'
+      });
+    });
+
+    it('should fill schema defaults for columns the sample CSV does not have', async () => {
+      const data = await readSpreadsheet(new File([sampleCsv], 'solar_panels.csv', { type: 'text/csv' }));
+
+      expect(data['utrecht netherlands']).toMatchObject({
+        confidence: 0,
+        annualOutput: 0,
+        kwhPerKwpPerYear: 875,
+        availabilityFactor: 99,
+        avgPanelOutput: 435
+      });
+    });
+  });
+
+  describe('loadSpreadsheetFromUrl', () => {
+    it('should load the bundled sample CSV into the same records as readSpreadsheet', async () => {
+      mockFetch(sampleCsv);
+      const fromUrl = await loadSpreadsheetFromUrl('/solar_panels.csv');
+      const fromFile = await readSpreadsheet(new File([sampleCsv], 'solar_panels.csv', { type: 'text/csv' }));
+
+      expect(fromUrl).toEqual(fromFile);
+    });
+
+    it('should request the CSV export of a Google Sheets URL', async () => {
+      mockFetch(googleSheetsCsv);
+      await loadSpreadsheetFromUrl('https://docs.google.com/spreadsheets/d/abc123/edit?usp=sharing');
+
+      expect(fetch).toHaveBeenCalledWith('https://docs.google.com/spreadsheets/d/abc123/export?format=csv');
+    });
+
+    it('should map the Google Sheets column layout onto the same fields', async () => {
+      mockFetch(googleSheetsCsv);
+      const data = await loadSpreadsheetFromUrl('https://docs.google.com/spreadsheets/d/abc123/edit');
+
+      expect(data['amsterdam netherlands']).toMatchObject({
+        panels: 25,
+        confidence: 8,
+        kwp: 5,
+        availabilityFactor: 99,
+        avgPanelOutput: 435
+      });
+      // Fractional availability factors are converted to percentages
+      expect(data['rotterdam netherlands'].availabilityFactor).toBeCloseTo(95, 5);
+    });
+
+    it('should match headers regardless of case and punctuation', async () => {
+      mockFetch('ADDRESS,number of Solar Panels,Confidence Level 1-10\n"Kerkstraat 23, Utrecht",12,9');
+      const data = await loadSpreadsheetFromUrl('/data.csv');
+
+      expect(data['kerkstraat 23 utrecht']).toMatchObject({ panels: 12, confidence: 9 });
+    });
+
+    it('should reject when the request fails', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => new Response('Not found', { status: 404 })));
+
+      await expect(loadSpreadsheetFromUrl('/missing.csv')).rejects.toThrow('Failed to load spreadsheet');
+    });
+  });
+
+  describe('readDatasetFile', () => {
+    const buildWorkbookFile = () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ Address: 'Kerkstraat 23, Utrecht', Panels: 10 }]), 'Batch 1');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([
+        { Address: 'Oudegracht 101, Utrecht', Panels: 12 },
+        { Address: '', Panels: 3 }
+      ]), 'Batch 2');
+      const data = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+      return new File([data], 'batches.xlsx');
+    };
+
+    it('should read the first sheet and list all sheet names', async () => {
+      const dataset = await readDatasetFile(buildWorkbookFile());
+
+      expect(dataset.sheetNames).toEqual(['Batch 1', 'Batch 2']);
+      expect(dataset.sheetName).toBe('Batch 1');
+      expect(Object.keys(dataset.addressMap)).toEqual(['kerkstraat 23 utrecht']);
+    });
+
+    it('should read a chosen sheet with its row count and validation report', async () => {
+      const dataset = await readDatasetFile(buildWorkbookFile(), { sheetName: 'Batch 2' });
+
+      expect(dataset.sheetName).toBe('Batch 2');
+      expect(dataset.rowCount).toBe(2);
+      expect(Object.keys(dataset.addressMap)).toEqual(['oudegracht 101 utrecht']);
+      expect(dataset.report.issues).toHaveLength(1);
+    });
+  });
+
+  describe('coordinate columns', () => {
+    const readCsv = (lines) => readSpreadsheet(new File([lines.join('\n')], 'coordinates.csv', { type: 'text/csv' }));
+
+    it('should store latitude/longitude columns as record coordinates', async () => {
+      const data = await readCsv(['Address,Panels,Latitude,Longitude', '"Kerkstraat 23, Utrecht",10,52.0907,5.1214']);
+      expect(data['kerkstraat 23 utrecht'].coordinates).toEqual({ lat: 52.0907, lon: 5.1214, source: 'wgs84' });
+      expect(data['kerkstraat 23 utrecht']).not.toHaveProperty('latitude');
+    });
+
+    it('should convert RD New X/Y columns to WGS84', async () => {
+      const data = await readCsv(['Address,Panels,X,Y', 'Westermarkt 1 Amsterdam,4,120700.723,487525.501']);
+      const { coordinates } = data['westermarkt 1 amsterdam'];
+      expect(coordinates.source).toBe('rd');
+      expect(coordinates.lat).toBeCloseTo(52.3745, 4);
+      expect(coordinates.lon).toBeCloseTo(4.8835, 4);
+    });
+
+    it('should leave coordinates empty for rows without them', async () => {
+      const data = await readCsv(['Address,Panels,Latitude,Longitude', 'Oudegracht 101 Utrecht,4,,']);
+      expect(data['oudegracht 101 utrecht'].coordinates).toBeNull();
+    });
+  });
+
+  describe('geometry columns', () => {
+    it('should read pand IDs and GeoJSON polygons from a JSON source', async () => {
+      const panel = { type: 'Polygon', coordinates: [[[5.1214, 52.0907], [5.1215, 52.0907], [5.1215, 52.0908], [5.1214, 52.0907]]] };
+      mockFetch(JSON.stringify([
+        { Address: 'Kerkstraat 23 Utrecht', Panels: 1, 'Pand ID': 344100000123456, 'Panels GeoJSON': panel },
+        { Address: 'Oudegracht 101 Utrecht', Panels: 4 }
+      ]));
+      const addressMap = await loadSpreadsheetFromUrl('/panels.json');
+
+      const record = addressMap['kerkstraat 23 utrecht'];
+      expect(record.bagPandId).toBe('0344100000123456');
+      expect(record.panelPolygons.features[0].geometry).toEqual(panel);
+      expect(record.footprint).toBeNull();
+      expect(addressMap['oudegracht 101 utrecht'].panelPolygons).toBeNull();
+    });
+  });
+
+  describe('mergeAddressMaps', () => {
+    it('should add new addresses and let incoming rows replace existing ones', () => {
+      const result = mergeAddressMaps(
+        { a: { panels: 1 }, b: { panels: 2 } },
+        { b: { panels: 20 }, c: { panels: 3 } }
+      );
+
+      expect(result.addressMap).toEqual({ a: { panels: 1 }, b: { panels: 20 }, c: { panels: 3 } });
+      expect(result.added).toBe(1);
+      expect(result.updated).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+import * as XLSX from 'xlsx';
+import { normalizeAddress } from './addressMatcher';
+import { parseDutchAddress } from './addressParser';
+import { resolveCoordinates } from './coordinates';
+import { toFeatureCollection, normalizeBagPandId } from './buildingGeometry';
+
+// Number of rows between progress callbacks when converting large sheets
+export const PROGRESS_INTERVAL = 10000;
+
+/**
+ * Column schema for solar panel spreadsheets. Every loader maps rows through this
+ * definition, so CSV, XLSX and Google Sheets exports produce identical records.
+ * Header aliases are compared case-insensitively and ignoring punctuation and spacing.
+ * Number columns marked integer only accept whole numbers.
+ */
+export const COLUMN_SCHEMA = [
+  {
+    field: 'address',
+    aliases: ['Address', 'Adres'],
+    type: 'string',
+    required: true
+  },
+  {
+    field: 'panels',
+    aliases: ['Number of solar panels', 'Number of panels', 'Panels', 'Aantal zonnepanelen'],
+    type: 'number',
+    unit: 'panels',
+    integer: true,
+    default: 0
+  },
+  {
+    field: 'confidence',
+    aliases: ['Confidence level (1-10)', 'Confidence level', 'Confidence'],
+    type: 'number',
+    unit: '1-10',
+    default: 0
+  },
+  {
+    field: 'annualOutput',
+    aliases: ['Annual output (kWh)', 'Annual output', 'annualOutput'],
+    type: 'number',
+    unit: 'kWh',
+    default: 0
+  },
+  {
+    field: 'kwp',
+    aliases: ['kWp', 'Capacity', 'Total Capacity (kW)', 'Capacity (kWp)'],
+    type: 'number',
+    unit: 'kWp',
+    default: 0
+  },
+  {
+    field: 'kwhPerKwpPerYear',
+    aliases: ['kWh/kWp/year_NL', 'kWh/kWp/year', 'kwhPerKwpPerYear'],
+    type: 'number',
+    unit: 'kWh/kWp/year',
+    default: 875
+  },
+  {
+    field: 'availabilityFactor',
+    aliases: ['Availability factor (%)', 'Availability factor', 'availabilityFactor'],
+    type: 'percentage',
+    unit: '%',
+    default: 99
+  },
+  {
+    field: 'avgPanelOutput',
+    aliases: ['Avg solar panel output (Wp)', 'Avg solar panel output', 'avgPanelOutput'],
+    type: 'number',
+    unit: 'Wp',
+    default: 435
+  },
+  {
+    field: 'installationDate',
+    aliases: ['Installation Date', 'installationDate'],
+    type: 'date',
+    default: null
+  },
+  // Optional location of the roof, as WGS84 latitude/longitude or RD New (EPSG:28992) X/Y.
+  // mapRow combines them into record.coordinates; rows without them are geocoded.
+  {
+    field: 'latitude',
+    aliases: ['Latitude', 'Lat', 'Breedtegraad'],
+    type: 'number',
+    unit: '°',
+    default: null
+  },
+  {
+    field: 'longitude',
+    aliases: ['Longitude', 'Lon', 'Lng', 'Lengtegraad'],
+    type: 'number',
+    unit: '°',
+    default: null
+  },
+  {
+    field: 'rdX',
+    aliases: ['RD X', 'X', 'X (RD)', 'x_rd', 'rd_x'],
+    type: 'number',
+    unit: 'm',
+    default: null
+  },
+  {
+    field: 'rdY',
+    aliases: ['RD Y', 'Y', 'Y (RD)', 'y_rd', 'rd_y'],
+    type: 'number',
+    unit: 'm',
+    default: null
+  },
+  // Optional geometry drawn on the map: the building footprint comes from the GeoJSON column,
+  // or is fetched from the BAG by pand ID; panel polygons only come from the dataset
+  {
+    field: 'bagPandId',
+    aliases: ['BAG pand ID', 'Pand ID', 'BAG ID', 'pand_id', 'Pandidentificatie'],
+    type: 'bag-id',
+    default: null
+  },
+  {
+    field: 'footprint',
+    aliases: ['Footprint GeoJSON', 'Building GeoJSON', 'Footprint', 'Pand geometrie'],
+    type: 'geojson',
+    default: null
+  },
+  {
+    field: 'panelPolygons',
+    aliases: ['Panels GeoJSON', 'Panel polygons', 'Panel GeoJSON', 'Panelen geometrie'],
+    type: 'geojson',
+    default: null
+  },
+  // Optional area fields for the statistics view. totalBuildings is the number of buildings in
+  // the row's area (e.g. its postcode), repeated on every row of that area.
+  {
+    field: 'municipality',
+    aliases: ['Municipality', 'Gemeente', 'Gemeentenaam'],
+    type: 'string',
+    default: null
+  },
+  {
+    field: 'totalBuildings',
+    aliases: ['Total buildings', 'Buildings', 'Aantal panden', 'Aantal gebouwen'],
+    type: 'number',
+    unit: 'buildings',
+    integer: true,
+    default: null
+  }
+];
+
+/**
+ * Normalizes a column header for alias matching ("Confidence Level (1-10)" -> "confidence level 1 10")
+ * @param {string} header - Column header as found in the spreadsheet
+ * @returns {string} Normalized header
+ */
+export const normalizeHeader = (header) => {
+  return String(header ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9%]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Resolves which spreadsheet column feeds each schema field
+ * @param {string[]} headers - Column headers found in the spreadsheet
+ * @param {Array} [schema=COLUMN_SCHEMA] - Column schema
+ * @returns {Object} Object mapping schema field names to spreadsheet headers
+ */
+export const resolveColumns = (headers, schema = COLUMN_SCHEMA) => {
+  const byNormalizedHeader = new Map();
+  headers.forEach((header) => {
+    const normalized = normalizeHeader(header);
+    if (!byNormalizedHeader.has(normalized)) {
+      byNormalizedHeader.set(normalized, header);
+    }
+  });
+
+  const columns = {};
+  schema.forEach((column) => {
+    const alias = [column.field, ...column.aliases].find((name) => byNormalizedHeader.has(normalizeHeader(name)));
+    if (alias) {
+      columns[column.field] = byNormalizedHeader.get(normalizeHeader(alias));
+    }
+  });
+  return columns;
+};
+
+/**
+ * Parses a raw cell value according to a schema column type
+ * @param {*} raw - Raw cell value
+ * @param {Object} column - Schema column definition
+ * @returns {*} Parsed value, or undefined if the cell is empty or invalid
+ */
+export const parseCellValue = (raw, column) => {
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return undefined;
+  }
+
+  switch (column.type) {
+    case 'number':
+    case 'percentage': {
+      let text = String(raw).replace('%', '').trim();
+      // Accept a Dutch decimal comma ("5,5")
+      if (/^-?\d+,\d+$/.test(text)) {
+        text = text.replace(',', '.');
+      }
+      // Number() rather than parseFloat, which would read "12abc" as 12
+      let value = Number(text);
+      if (!Number.isFinite(value)) return undefined;
+      if (column.integer && !Number.isInteger(value)) return undefined;
+      // Percentages given as a fraction (0.99) are converted to a percentage (99)
+      if (column.type === 'percentage' && value > 0 && value < 1) {
+        value = value * 100;
+      }
+      return value;
+    }
+    case 'date': {
+      if (typeof raw === 'number') {
+        // Excel serial date
+        const date = XLSX.SSF.parse_date_code(raw);
+        if (!date) return undefined;
+        return `${date.y}-${String(date.m).padStart(2, '0')}-${String(date.d).padStart(2, '0')}`;
+      }
+      return String(raw).trim();
+    }
+    case 'bag-id':
+      return normalizeBagPandId(raw) ?? undefined;
+    case 'geojson':
+      return toFeatureCollection(raw) ?? undefined;
+    default:
+      return String(raw).trim();
+  }
+};
+
+/**
+ * Maps a spreadsheet row onto a solar panel record using the schema
+ * @param {Object} row - Row object as returned by XLSX.utils.sheet_to_json
+ * @param {Object} columns - Result of resolveColumns
+ * @param {Array} [schema=COLUMN_SCHEMA] - Column schema
+ * @returns {Object|null} Solar panel record, or null if the row has no address
+ */
+export const mapRow = (row, columns, schema = COLUMN_SCHEMA) => {
+  const values = {};
+  schema.forEach((column) => {
+    const header = columns[column.field];
+    const value = header === undefined ? undefined : parseCellValue(row[header], column);
+    values[column.field] = value === undefined ? column.default : value;
+  });
+
+  const { address, latitude, longitude, rdX, rdY, ...fields } = values;
+  if (!address) return null;
+
+  return {
+    ...fields,
+    // WGS84 location from the coordinate columns, or null when the row has to be geocoded
+    coordinates: resolveCoordinates({ latitude, longitude, rdX, rdY }),
+    // Store original address for display
+    originalAddress: address,
+    // Structured address so searches are compared field by field
+    parsedAddress: parseDutchAddress(address)
+  };
+};
+
+/**
+ * Converts spreadsheet rows into an object mapping normalized addresses to solar panel records
+ * @param {Object[]} rows - Rows as returned by XLSX.utils.sheet_to_json
+ * @param {Array} [schema=COLUMN_SCHEMA] - Column schema
+ * @param {Object} [options] - Conversion options
+ * @param {Function} [options.onProgress] - Called as (processedRows, totalRows) every PROGRESS_INTERVAL rows
+ * @returns {Object} Object mapping normalized addresses to solar panel data
+ */
+export const rowsToAddressMap = (rows, schema = COLUMN_SCHEMA, { onProgress } = {}) => {
+  const headers = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((header) => headers.add(header)));
+  const columns = resolveColumns([...headers], schema);
+
+  const addressMap = {};
+  rows.forEach((row, index) => {
+    const record = mapRow(row, columns, schema);
+    if (record) {
+      addressMap[normalizeAddress(record.originalAddress)] = record;
+    }
+    if (onProgress && (index + 1) % PROGRESS_INTERVAL === 0) {
+      onProgress(index + 1, rows.length);
+    }
+  });
+  onProgress?.(rows.length, rows.length);
+  return addressMap;
+};
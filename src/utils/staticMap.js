@@ -0,0 +1,52 @@
+// Static map images for printed reports, requested from the PDOK aerial photo WMS
+
+// Same service and layer as the map's default base layer
+const AERIAL_WMS_URL = 'https://service.pdok.nl/hwh/luchtfotorgb/wms/v1_0';
+const AERIAL_LAYER = 'Actueel_orthoHR';
+
+// Web Mercator (EPSG:3857) sphere radius and the ground resolution of zoom level 0
+const WEB_MERCATOR_RADIUS = 6378137;
+const ZOOM_0_RESOLUTION = (2 * Math.PI * WEB_MERCATOR_RADIUS) / 256;
+
+/**
+ * Projects WGS84 coordinates to Web Mercator metres
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {{x: number, y: number}} EPSG:3857 coordinates
+ */
+export const toWebMercator = (lat, lon) => ({
+  x: WEB_MERCATOR_RADIUS * ((lon * Math.PI) / 180),
+  y: WEB_MERCATOR_RADIUS * Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360))
+});
+
+/**
+ * Builds a WMS GetMap URL for an aerial photo centred on a location, at the scale the
+ * interactive map shows for the same zoom level
+ * @param {{lat: number, lon: number}} center - Centre of the image
+ * @param {Object} [options] - Image options
+ * @param {number} [options.width=800] - Image width in pixels
+ * @param {number} [options.height=500] - Image height in pixels
+ * @param {number} [options.zoom=19] - Zoom level (19 is the map's zoom for a searched address)
+ * @returns {string} Image URL
+ */
+export const buildStaticMapUrl = ({ lat, lon }, { width = 800, height = 500, zoom = 19 } = {}) => {
+  const { x, y } = toWebMercator(lat, lon);
+  const resolution = ZOOM_0_RESOLUTION / 2 ** zoom;
+  const halfWidth = (width / 2) * resolution;
+  const halfHeight = (height / 2) * resolution;
+  const bbox = [x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight].map((value) => value.toFixed(2));
+
+  const params = new URLSearchParams({
+    service: 'WMS',
+    request: 'GetMap',
+    version: '1.1.1',
+    layers: AERIAL_LAYER,
+    styles: '',
+    srs: 'EPSG:3857',
+    bbox: bbox.join(','),
+    width: String(width),
+    height: String(height),
+    format: 'image/jpeg'
+  });
+  return `${AERIAL_WMS_URL}?${params}`;
+};
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { toWebMercator, buildStaticMapUrl } from './staticMap';
+
+describe('Static Map', () => {
+  describe('toWebMercator', () => {
+    it('should project WGS84 to EPSG:3857 metres', () => {
+      const origin = toWebMercator(0, 0);
+      expect(origin.x).toBe(0);
+      expect(origin.y).toBeCloseTo(0, 5);
+      const { x, y } = toWebMercator(52.0907, 5.1214);
+      expect(x).toBeCloseTo(570111.6, 0);
+      expect(y).toBeCloseTo(6816541.8, 0);
+    });
+  });
+
+  describe('buildStaticMapUrl', () => {
+    it('should request an aerial photo centred on the location', () => {
+      const url = new URL(buildStaticMapUrl({ lat: 52.0907, lon: 5.1214 }, { width: 400, height: 200, zoom: 19 }));
+      const params = url.searchParams;
+
+      expect(url.origin + url.pathname).toBe('https://service.pdok.nl/hwh/luchtfotorgb/wms/v1_0');
+      expect(params.get('request')).toBe('GetMap');
+      expect(params.get('srs')).toBe('EPSG:3857');
+      expect(params.get('width')).toBe('400');
+
+      // About 0.3 m per pixel at zoom 19
+      const [minX, minY, maxX, maxY] = params.get('bbox').split(',').map(Number);
+      expect(maxX - minX).toBeCloseTo(400 * 0.2986, 0);
+      expect(maxY - minY).toBeCloseTo(200 * 0.2986, 0);
+      expect((minX + maxX) / 2).toBeCloseTo(570111.6, 0);
+      expect((minY + maxY) / 2).toBeCloseTo(6816541.8, 0);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+// Shareable links: the shown search, calculation overrides and map view in the query string
+
+import { normalizePostcode } from './addressParser';
+
+// Base layers of the map by their short URL name
+export const BASE_LAYERS = {
+  hr: 'Satellite HR (10cm - Best Quality)',
+  aerial: 'Satellite (25cm)',
+  osm: 'OpenStreetMap'
+};
+
+export const DEFAULT_BASE_LAYER = 'hr';
+
+// Query parameter per calculation override (see SolarPanelInfo)
+const OVERRIDE_PARAMS = {
+  kwhPerKwpPerYear: 'kwh',
+  availabilityFactor: 'af',
+  avgPanelOutput: 'wp'
+};
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 25;
+
+const readNumber = (params, name) => {
+  const value = params.get(name);
+  if (value === null || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Reads the app state from a query string. Unknown or invalid parameters are ignored.
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {{lookup: Object|null, overrides: Object, view: {baseLayer: string|null, zoom: number|null}}}
+ *   lookup is {type: 'address', query}, {type: 'postcode', postcode, houseNumber, addition}
+ *   or {type: 'pick', lat, lon, radius}
+ */
+export const readUrlState = (search) => {
+  const params = new URLSearchParams(search);
+
+  let lookup = null;
+  const postcode = normalizePostcode(params.get('pc'));
+  const houseNumber = readNumber(params, 'nr');
+  const lat = readNumber(params, 'lat');
+  const lon = readNumber(params, 'lon');
+  if (params.get('q')?.trim()) {
+    lookup = { type: 'address', query: params.get('q').trim() };
+  } else if (postcode && Number.isInteger(houseNumber) && houseNumber > 0) {
+    lookup = { type: 'postcode', postcode, houseNumber, addition: params.get('add')?.trim() || '' };
+  } else if (lat !== null && lon !== null && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+    const radius = readNumber(params, 'r');
+    lookup = { type: 'pick', lat, lon, radius: radius > 0 ? radius : null };
+  }
+
+  const overrides = {};
+  Object.entries(OVERRIDE_PARAMS).forEach(([field, name]) => {
+    const value = readNumber(params, name);
+    if (value !== null && value >= 0) overrides[field] = value;
+  });
+
+  const zoom = readNumber(params, 'z');
+  return {
+    lookup,
+    overrides,
+    view: {
+      baseLayer: BASE_LAYERS[params.get('layer')] ? params.get('layer') : null,
+      zoom: zoom !== null ? Math.min(Math.max(Math.round(zoom), MIN_ZOOM), MAX_ZOOM) : null
+    }
+  };
+};
+
+/**
+ * Writes the app state as a query string; the inverse of readUrlState. Defaults are left out.
+ * @param {Object} state - {lookup, overrides, view} as returned by readUrlState
+ * @returns {string} Query string including the "?", or '' when there is nothing to share
+ */
+export const buildUrlSearch = ({ lookup, overrides, view }) => {
+  const params = new URLSearchParams();
+  if (lookup?.type === 'address') {
+    params.set('q', lookup.query);
+  } else if (lookup?.type === 'postcode') {
+    params.set('pc', lookup.postcode);
+    params.set('nr', String(lookup.houseNumber));
+    if (lookup.addition) params.set('add', lookup.addition);
+  } else if (lookup?.type === 'pick') {
+    params.set('lat', lookup.lat.toFixed(6));
+    params.set('lon', lookup.lon.toFixed(6));
+    if (lookup.radius) params.set('r', String(lookup.radius));
+  }
+
+  Object.entries(OVERRIDE_PARAMS).forEach(([field, name]) => {
+    if (overrides?.[field] !== undefined) params.set(name, String(overrides[field]));
+  });
+
+  if (view?.baseLayer && view.baseLayer !== DEFAULT_BASE_LAYER) params.set('layer', view.baseLayer);
+  if (view?.zoom) params.set('z', String(view.zoom));
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+/**
+ * Describes a lookup the way the search shows it
+ * @param {Object} lookup - Lookup as returned by readUrlState
+ * @returns {string} The searched address, "postcode house number addition", or "lat, lon" for a map pick
+ */
+export const describeLookup = (lookup) => {
+  switch (lookup.type) {
+    case 'postcode':
+      return `${lookup.postcode} ${lookup.houseNumber}${lookup.addition ? ` ${lookup.addition}` : ''}`;
+    case 'pick':
+      return `${lookup.lat.toFixed(5)}, ${lookup.lon.toFixed(5)}`;
+    default:
+      return lookup.query;
+  }
+};
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { readUrlState, buildUrlSearch, describeLookup } from './urlState';
+
+describe('URL State', () => {
+  describe('readUrlState', () => {
+    it('should read an address search with overrides and map view', () => {
+      expect(readUrlState('?q=Kerkstraat+23%2C+Utrecht&kwh=900&af=95.5&layer=osm&z=18')).toEqual({
+        lookup: { type: 'address', query: 'Kerkstraat 23, Utrecht' },
+        overrides: { kwhPerKwpPerYear: 900, availabilityFactor: 95.5 },
+        view: { baseLayer: 'osm', zoom: 18 }
+      });
+    });
+
+    it('should read a postcode search and a map pick', () => {
+      expect(readUrlState('?pc=3511+ab&nr=23&add=A').lookup).toEqual({
+        type: 'postcode', postcode: '3511AB', houseNumber: 23, addition: 'A'
+      });
+      expect(readUrlState('?lat=52.0907&lon=5.1214&r=30').lookup).toEqual({
+        type: 'pick', lat: 52.0907, lon: 5.1214, radius: 30
+      });
+    });
+
+    it('should ignore invalid parameters', () => {
+      expect(readUrlState('?pc=1234&nr=abc&lat=95&lon=5&wp=-1&layer=terrain&z=x')).toEqual({
+        lookup: null,
+        overrides: {},
+        view: { baseLayer: null, zoom: null }
+      });
+      expect(readUrlState('').lookup).toBeNull();
+    });
+
+    it('should clamp the zoom level', () => {
+      expect(readUrlState('?z=40').view.zoom).toBe(25);
+    });
+  });
+
+  describe('buildUrlSearch', () => {
+    it('should round-trip through readUrlState', () => {
+      const state = {
+        lookup: { type: 'postcode', postcode: '3511AB', houseNumber: 23, addition: '' },
+        overrides: { avgPanelOutput: 400 },
+        view: { baseLayer: 'aerial', zoom: 17 }
+      };
+      expect(buildUrlSearch(state)).toBe('?pc=3511AB&nr=23&wp=400&layer=aerial&z=17');
+      expect(readUrlState(buildUrlSearch(state))).toEqual(state);
+    });
+
+    it('should leave out the default base layer and return an empty string for no state', () => {
+      expect(buildUrlSearch({ lookup: { type: 'pick', lat: 52.09071234, lon: 5.1214, radius: null }, view: { baseLayer: 'hr' } }))
+        .toBe('?lat=52.090712&lon=5.121400');
+      expect(buildUrlSearch({ lookup: null, overrides: {}, view: {} })).toBe('');
+    });
+  });
+
+  describe('describeLookup', () => {
+    it('should label each kind of lookup', () => {
+      expect(describeLookup({ type: 'address', query: 'Kerkstraat 23' })).toBe('Kerkstraat 23');
+      expect(describeLookup({ type: 'postcode', postcode: '3511AB', houseNumber: 23, addition: 'bis' })).toBe('3511AB 23 bis');
+      expect(describeLookup({ type: 'pick', lat: 52.090712, lon: 5.1214, radius: 50 })).toBe('52.09071, 5.12140');
+    });
+  });
+});
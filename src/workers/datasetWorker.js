@@ -0,0 +1,20 @@
+// Dataset Web Worker: runs the dataset service off the main thread.
+// Messages in: {id, type, payload}. Messages out: {id, type: 'progress', progress},
+// then {id, type: 'result', result} or {id, type: 'error', error}.
+
+import { createDatasetService } from '../utils/datasetService';
+
+const service = createDatasetService();
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  const onProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+  try {
+    if (!service[type]) {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+    const result = await service[type](payload, onProgress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: error.message });
+  }
+};